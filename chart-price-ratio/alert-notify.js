@@ -0,0 +1,115 @@
+/**
+ * alert-notify.js
+ *
+ * Standalone module delivering watch-mode alerts (see alert-rules.js) to the channels configured in
+ * config.json "watch.notify":
+ * - stdout:  one line per alert (on by default).
+ * - webhook: a JSON POST to a URL, e.g. a local relay to chat or mail. The body is the alert payload below.
+ * - command: a shell command run once per alert, with the payload on stdin and in environment variables
+ *            (ALERT_PAIR, ALERT_RULE, ALERT_MESSAGE, ALERT_RATIO, ALERT_TIME), e.g. `notify-send "$ALERT_MESSAGE"`.
+ *
+ * Payload: { pair, tokenA, tokenB, interval, rule (id), type, message, ratio, timestamp (start of the latest candle,
+ * ms), time (when the alert fired, ISO) }.
+ *
+ * A failing channel is reported with a warning and does not stop the others, nor the watch.
+ *
+ * Used by pulse-token-ratio.js (--watch).
+ */
+
+import { spawn } from 'child_process';
+
+/** Longest a webhook or command may take, in milliseconds. */
+const NOTIFY_TIMEOUT_MS = 15000;
+
+/**
+ * Builds the payload of an alert.
+ * @param {{rule: Object, message: string, ratio: number, timestamp: number}} alert - From evaluateRules
+ * @param {{pair: string, tokenA: string, tokenB: string, interval: string}} context
+ * @returns {Object}
+ */
+export function alertPayload(alert, { pair, tokenA, tokenB, interval }) {
+  return {
+    pair,
+    tokenA,
+    tokenB,
+    interval,
+    rule: alert.rule.id,
+    type: alert.rule.type,
+    message: alert.message,
+    ratio: alert.ratio,
+    timestamp: alert.timestamp,
+    time: new Date().toISOString()
+  };
+}
+
+/**
+ * POSTs a payload to a webhook.
+ * @param {string} url
+ * @param {Object} payload
+ * @returns {Promise<void>}
+ * @throws {Error} On a network error, a timeout or a non-2xx response
+ */
+async function postWebhook(url, payload) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS)
+  });
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}`);
+  }
+}
+
+/**
+ * Runs a shell command with a payload on stdin and in its environment.
+ * @param {string} command
+ * @param {Object} payload
+ * @returns {Promise<void>}
+ * @throws {Error} If the command cannot start, exits non-zero or times out
+ */
+function runCommand(command, payload) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'inherit'],
+      timeout: NOTIFY_TIMEOUT_MS,
+      env: {
+        ...process.env,
+        ALERT_PAIR: payload.pair,
+        ALERT_RULE: payload.rule,
+        ALERT_MESSAGE: payload.message,
+        ALERT_RATIO: String(payload.ratio),
+        ALERT_TIME: payload.time
+      }
+    });
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) resolve();
+      else reject(new Error(signal ? `killed by ${signal}` : `exit code ${code}`));
+    });
+    child.stdin.on('error', () => {}); // The command need not read its input
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+/**
+ * Sends an alert to every configured channel.
+ * @param {Object} payload - From alertPayload
+ * @param {Object} notify
+ * @param {boolean} [notify.stdout=true]
+ * @param {?string} [notify.webhook] - URL to POST to
+ * @param {?string} [notify.command] - Shell command to run
+ * @returns {Promise<void>}
+ */
+export async function sendAlert(payload, { stdout = true, webhook = null, command = null } = {}) {
+  if (stdout) {
+    console.log(`🔔 ${payload.time.slice(0, 16).replace('T', ' ')} ${payload.pair} (${payload.interval}): ${payload.message}`);
+  }
+  if (webhook) {
+    await postWebhook(webhook, payload).catch(e => console.warn(`Alert webhook ${webhook} failed: ${e.message}`));
+  }
+  if (command) {
+    await runCommand(command, payload).catch(e => console.warn(`Alert command failed: ${e.message}`));
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * alert-rules.js
+ *
+ * Standalone module evaluating alert rules on a ratio series, for watch mode (--watch) in pulse-token-ratio.js.
+ *
+ * Rules (config.json "watch.rules"), each optionally with an "id" (default: derived from its settings):
+ * - { "type": "above", "value": X }                 The ratio crosses above X.
+ * - { "type": "below", "value": X }                 The ratio crosses below X.
+ * - { "type": "move", "percent": Y, "hours": Z }    The ratio moved Y% or more over the last Z hours; an optional
+ *                                                   "direction" of "up" or "down" (default "any") limits it to one side.
+ * - { "type": "deviation", "percent": Y, "period": N }  The ratio is Y% or more away from its N-candle simple
+ *                                                   moving average.
+ *
+ * Rules fire on the transition, not on every check: a crossing fires once when the ratio passes the level, and a
+ * move or deviation fires once when its condition becomes true, then re-arms when it is false again. What each rule
+ * last saw is kept in a state object, which the caller persists between polls and runs (loadAlertState and
+ * saveAlertState), so a restart does not repeat alerts. A rule with no state yet compares with the previous candle.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { sma } from './indicators.js';
+
+/** Supported rule types. */
+export const RULE_TYPES = ['above', 'below', 'move', 'deviation'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Formats a ratio for messages: six significant digits.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatRatio(value) {
+  return String(Number(value.toPrecision(6)));
+}
+
+/**
+ * Checks a rule and fills in its id.
+ * @param {Object} rule - As in config.json "watch.rules"
+ * @returns {Object} The rule, with an id
+ * @throws {Error} If the type is unknown or a setting is missing or invalid
+ */
+export function validateRule(rule) {
+  const { type } = rule;
+  const positive = (key) => {
+    if (!(Number(rule[key]) > 0)) {
+      throw new Error(`Alert rule ${JSON.stringify(rule)}: '${key}' must be a positive number`);
+    }
+  };
+  if (!RULE_TYPES.includes(type)) {
+    throw new Error(`Alert rule ${JSON.stringify(rule)}: unknown type '${type}' (supported: ${RULE_TYPES.join(', ')})`);
+  }
+  let id;
+  if (type === 'above' || type === 'below') {
+    positive('value');
+    id = `${type}:${rule.value}`;
+  } else if (type === 'move') {
+    positive('percent');
+    positive('hours');
+    const { direction = 'any' } = rule;
+    if (!['any', 'up', 'down'].includes(direction)) {
+      throw new Error(`Alert rule ${JSON.stringify(rule)}: direction must be any, up or down`);
+    }
+    id = `move:${direction}:${rule.percent}%:${rule.hours}h`;
+  } else {
+    positive('percent');
+    positive('period');
+    id = `deviation:${rule.percent}%:sma${rule.period}`;
+  }
+  return { ...rule, id: rule.id || id };
+}
+
+/**
+ * Describes a rule, e.g. 'ratio crosses above 0.5'.
+ * @param {Object} rule - A validated rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  switch (rule.type) {
+    case 'above':
+    case 'below':
+      return `ratio crosses ${rule.type} ${rule.value}`;
+    case 'move':
+      return `ratio moves ${rule.direction && rule.direction !== 'any' ? `${rule.direction} ` : ''}${rule.percent}% in ${rule.hours}h`;
+    default:
+      return `ratio deviates ${rule.percent}% from its ${rule.period}-candle average`;
+  }
+}
+
+/**
+ * Evaluates a rule's condition on a ratio series.
+ * @param {Object} rule - A validated rule
+ * @param {Array<{timestamp: number, ratio: number}>} points - Oldest first; the last point is the latest ratio
+ * @param {?Object} previous - The rule's state from the last evaluation, or null
+ * @returns {{state: Object, message: ?string}} The rule's new state, and a message if it fires
+ */
+function evaluateRule(rule, points, previous) {
+  const latest = points[points.length - 1];
+  const ratio = latest.ratio;
+
+  if (rule.type === 'above' || rule.type === 'below') {
+    const last = previous?.lastRatio ?? (points.length > 1 ? points[points.length - 2].ratio : null);
+    const crossed = last !== null && (rule.type === 'above'
+      ? last <= rule.value && ratio > rule.value
+      : last >= rule.value && ratio < rule.value);
+    return {
+      state: { lastRatio: ratio },
+      message: crossed ? `ratio crossed ${rule.type} ${rule.value}: ${formatRatio(last)} → ${formatRatio(ratio)}` : null
+    };
+  }
+
+  let active = false;
+  let detail = null;
+  if (rule.type === 'move') {
+    // The reference is the last point at or before the start of the window
+    const since = latest.timestamp - rule.hours * HOUR_MS;
+    const reference = [...points].reverse().find(p => p.timestamp <= since);
+    if (reference && reference.ratio > 0) {
+      const change = (ratio / reference.ratio - 1) * 100;
+      const { direction = 'any' } = rule;
+      active = (direction !== 'down' && change >= rule.percent) || (direction !== 'up' && change <= -rule.percent);
+      detail = `ratio moved ${change >= 0 ? '+' : ''}${change.toFixed(2)}% in ${rule.hours}h: ${formatRatio(reference.ratio)} → ${formatRatio(ratio)}`;
+    }
+  } else {
+    const average = sma(points.map(p => p.ratio), rule.period)[points.length - 1];
+    if (average) {
+      const deviation = (ratio / average - 1) * 100;
+      active = Math.abs(deviation) >= rule.percent;
+      detail = `ratio ${formatRatio(ratio)} is ${deviation >= 0 ? '+' : ''}${deviation.toFixed(2)}% from its ${rule.period}-candle average ${formatRatio(average)}`;
+    }
+  }
+  return {
+    state: { lastRatio: ratio, active },
+    message: active && !previous?.active ? detail : null
+  };
+}
+
+/**
+ * Evaluates rules on the latest ratio series.
+ * @param {Array<Object>} rules - Validated rules
+ * @param {Array<{timestamp: number, ratio: number}>} points - Oldest first, not empty
+ * @param {Object<string, Object>} state - Rule id → state from the previous evaluation (empty at first)
+ * @returns {{alerts: Array<{rule: Object, message: string, ratio: number, timestamp: number}>, state: Object<string, Object>}}
+ *          The rules that fired, and the new state to persist
+ */
+export function evaluateRules(rules, points, state = {}) {
+  const latest = points[points.length - 1];
+  const alerts = [];
+  const next = {};
+  for (const rule of rules) {
+    const { state: ruleState, message } = evaluateRule(rule, points, state[rule.id] || null);
+    next[rule.id] = ruleState;
+    if (message) {
+      alerts.push({ rule, message, ratio: latest.ratio, timestamp: latest.timestamp });
+    }
+  }
+  return { alerts, state: next };
+}
+
+/**
+ * Reads the persisted rule states.
+ * @param {string} file
+ * @returns {Object<string, Object>} Watch key (pair and interval) → rule id → state; empty if the file does not exist
+ * @throws {Error} If the file exists but cannot be parsed
+ */
+export function loadAlertState(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read alert state ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes the rule states.
+ * @param {string} file
+ * @param {Object<string, Object>} state - As returned by loadAlertState
+ */
+export function saveAlertState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
+}
@@ -0,0 +1,119 @@
+/**
+ * align-series.js
+ *
+ * Joins two price series on bucketed timestamps, so that each ratio compares prices from the same
+ * hour or day even when one pool has gaps or a different history length.
+ *
+ * Each candle is assigned to the bucket containing its timestamp (floor to the bucket size); the union
+ * of both series' buckets is then walked in time order.  A bucket present in only one series is a gap
+ * in the other, handled by the gap policy:
+ *   - drop:        skip the bucket.
+ *   - ffill:       carry the other series' last known close forward.
+ *   - interpolate: interpolate the other series' close linearly in time between its neighbouring candles.
+ * Buckets before a series' first candle (or, for interpolate, after its last) cannot be filled and are
+ * always dropped.
+ *
+ * Each point also carries both full candles (see candles.js); a filled-in candle is flat, with no volume.
+ *
+ * Used by pulse-token-ratio.js.
+ */
+
+import { flatCandle, toCandle } from './candles.js';
+
+/** Gap policies accepted by alignSeries. */
+export const GAP_POLICIES = ['drop', 'ffill', 'interpolate'];
+
+/**
+ * Indexes a series by bucket start, keeping the latest candle of each bucket.
+ *
+ * @param {Array<{timestamp: number, close: number}>} series - Candles in any order.
+ * @param {number} bucketMs - Bucket size in milliseconds.
+ * @returns {Map<number, {timestamp: number, close: number}>} Bucket start → candle.
+ */
+function bucketize(series, bucketMs) {
+  const buckets = new Map();
+  for (const candle of series) {
+    const bucket = Math.floor(candle.timestamp / bucketMs) * bucketMs;
+    const existing = buckets.get(bucket);
+    if (!existing || candle.timestamp >= existing.timestamp) {
+      buckets.set(bucket, candle);
+    }
+  }
+  return buckets;
+}
+
+/**
+ * Joins two series on bucketed timestamps.
+ *
+ * @param {Array<{timestamp: number, close: number}>} seriesA - Token A candles (millisecond timestamps), in any order.
+ * @param {Array<{timestamp: number, close: number}>} seriesB - Token B candles, in any order.
+ * @param {Object} options
+ * @param {number} options.bucketMs - Bucket size in milliseconds (e.g. one hour or one day).
+ * @param {string} [options.gapPolicy='drop'] - One of GAP_POLICIES.
+ * @returns {{points: Array<{timestamp: number, closeA: number, closeB: number, candleA: Object, candleB: Object}>,
+ *          filledA: number, filledB: number, dropped: number}}
+ *          The joined points, oldest first, timestamped at their bucket start (as are their candles); how many
+ *          points had A or B filled in; and how many buckets were dropped.
+ * @throws {Error} If the gap policy is unknown.
+ */
+export function alignSeries(seriesA, seriesB, { bucketMs, gapPolicy = 'drop' }) {
+  if (!GAP_POLICIES.includes(gapPolicy)) {
+    throw new Error(`Invalid gap policy '${gapPolicy}'. Supported values: ${GAP_POLICIES.join(', ')}.`);
+  }
+
+  const bucketsA = bucketize(seriesA, bucketMs);
+  const bucketsB = bucketize(seriesB, bucketMs);
+  const allBuckets = [...new Set([...bucketsA.keys(), ...bucketsB.keys()])].sort((a, b) => a - b);
+
+  /**
+   * Walks a series' sorted buckets alongside the union: buckets are looked up in time order, so the
+   * neighbours of each one are found from where the previous lookup stopped.
+   * @returns {function(number): {before: ?number, after: ?number}} The series' nearest buckets around a bucket.
+   */
+  const neighbours = (buckets) => {
+    const sorted = [...buckets.keys()].sort((a, b) => a - b);
+    let i = 0;
+    return (bucket) => {
+      while (i < sorted.length && sorted[i] < bucket) i++;
+      return { before: i > 0 ? sorted[i - 1] : null, after: i < sorted.length ? sorted[i] : null };
+    };
+  };
+  const neighboursA = neighbours(bucketsA);
+  const neighboursB = neighbours(bucketsB);
+
+  /**
+   * Fills a gap in one series at a bucket, per the gap policy.
+   * @returns {?number} The filled close, or null if the gap cannot be filled.
+   */
+  const fill = (buckets, around, bucket) => {
+    if (gapPolicy === 'drop') return null;
+    const { before, after } = around(bucket);
+    if (before === null) return null;
+    if (gapPolicy === 'ffill') return buckets.get(before).close;
+    if (after === null) return null;
+    const closeBefore = buckets.get(before).close;
+    const closeAfter = buckets.get(after).close;
+    return closeBefore + (closeAfter - closeBefore) * (bucket - before) / (after - before);
+  };
+
+  const points = [];
+  let filledA = 0;
+  let filledB = 0;
+  let dropped = 0;
+
+  for (const bucket of allBuckets) {
+    const closeA = bucketsA.has(bucket) ? bucketsA.get(bucket).close : fill(bucketsA, neighboursA, bucket);
+    const closeB = bucketsB.has(bucket) ? bucketsB.get(bucket).close : fill(bucketsB, neighboursB, bucket);
+    if (closeA === null || closeB === null) {
+      dropped++;
+      continue;
+    }
+    if (!bucketsA.has(bucket)) filledA++;
+    if (!bucketsB.has(bucket)) filledB++;
+    const candleA = bucketsA.has(bucket) ? { ...toCandle(bucketsA.get(bucket)), timestamp: bucket } : flatCandle(bucket, closeA);
+    const candleB = bucketsB.has(bucket) ? { ...toCandle(bucketsB.get(bucket)), timestamp: bucket } : flatCandle(bucket, closeB);
+    points.push({ timestamp: bucket, closeA, closeB, candleA, candleB });
+  }
+
+  return { points, filledA, filledB, dropped };
+}
@@ -0,0 +1,446 @@
+/**
+ * ascii-chart.js
+ *
+ * Standalone module that renders a numeric time series as an aligned ASCII chart,
+ * using asciichart for the plot itself, or OHLC candles as a candlestick chart with
+ * a volume sub-panel.
+ *
+ * Layout:
+ * - Y-scale uses the data min/max, with label precision chosen from the range
+ *   (scientific notation for very small ranges) so tick labels stay unique.
+ * - All y-tick labels are right-padded for perfect visual alignment.
+ * - Log scale (scale: 'log'): values are plotted as their base-10 logarithm, and only the rows nearest
+ *   the decade and sub-decade ticks of generateLogTicks (plus the top and bottom rows) are labelled.
+ * - X-axis shows sparse date (or date+hour) labels aligned under their chart columns.
+ *
+ * Used by pulse-token-ratio.js and by ../check-token-balance (balance time series).
+ */
+
+import asciichart from 'asciichart';
+
+import { generateNiceTicks, generateLogTicks } from './generateNiceTicks.js';
+
+/**
+ * Builds the y-tick label formatter for a value range: precision chosen from the range (scientific
+ * notation for very small ranges), so tick labels stay unique.
+ *
+ * @param {number} minValue
+ * @param {number} maxValue
+ * @param {number} [height=0] - Chart rows; their labels are measured too, since they fall between the nice ticks
+ * @returns {{formatYRaw: function(number): string, labelWidth: number}} The formatter (unpadded) and the
+ *          width its tick labels need.
+ */
+function makeYFormatter(minValue, maxValue, height = 0) {
+  const range = maxValue - minValue;
+
+  const formatYRaw = (value) => {
+    let precision = 6;
+    if (range < 0.01) precision = 8;
+    if (range < 0.001) precision = 10;
+    if (range < 0.0001) precision = 12;
+    if (range < 0.00001) {
+      return value.toExponential(4);
+    }
+
+    let formatted = value.toFixed(precision);
+    formatted = formatted.replace(/0+$/, '');
+    if (formatted.endsWith('.')) formatted = formatted.slice(0, -1);
+    return formatted || '0';
+  };
+
+  const testTicks = generateNiceTicks(minValue, maxValue, 10);
+  const rowValues = Array.from({ length: height + 1 }, (_, i) => minValue + range * i / (height || 1));
+  const rawLabels = [...testTicks, ...rowValues].map(formatYRaw);
+  // asciichart overwrites one-character labels with the axis, so labels are at least two wide
+  const labelWidth = Math.max(...rawLabels.map(l => l.length), 2);
+
+  return { formatYRaw, labelWidth };
+}
+
+/**
+ * Formats a log-scale label compactly (three significant digits), e.g. 0.000123 or 4.5e-7.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatLogLabel(value) {
+  return String(Number(value.toPrecision(3)));
+}
+
+/**
+ * Builds the y-tick label formatter for a log-scale chart, whose rows hold base-10 logarithms: rows
+ * nearest a nice log tick show the tick, the top and bottom rows show their value, others are blank.
+ *
+ * @param {number} minLog - log10 of the smallest value
+ * @param {number} maxLog - log10 of the largest value
+ * @param {number} rowStep - Difference in log10 between adjacent rows
+ * @returns {{formatYRaw: function(number): string, labelWidth: number}} The formatter (unpadded, taking a
+ *          row's log10 value) and the width its labels need.
+ */
+function makeLogFormatter(minLog, maxLog, rowStep) {
+  const ticks = generateLogTicks(Math.pow(10, minLog), Math.pow(10, maxLog), 10)
+    .map(tick => ({ label: formatLogLabel(tick), log: Math.log10(tick) }));
+
+  const formatYRaw = (value) => {
+    // Each tick labels exactly one row: the one within half a row below or at it
+    const tick = ticks.find(t => t.log - value > -rowStep / 2 && t.log - value <= rowStep / 2);
+    if (tick) return tick.label;
+    if (value <= minLog + rowStep / 2 || value >= maxLog - rowStep / 2) return formatLogLabel(Math.pow(10, value));
+    return '';
+  };
+
+  const labels = [...ticks.map(t => t.label), formatLogLabel(Math.pow(10, minLog)), formatLogLabel(Math.pow(10, maxLog))];
+  return { formatYRaw, labelWidth: Math.max(...labels.map(l => l.length), 2) };
+}
+
+/**
+ * Maps values to their base-10 logarithm for a log-scale chart.
+ * @param {Array<?number>} values
+ * @returns {Array<?number>} Logarithms, null for missing or non-positive values
+ */
+function toLog(values) {
+  return values.map(v => (v > 0 ? Math.log10(v) : null));
+}
+
+/**
+ * Right-pads a formatter's labels to a common width, so every chart row starts its plot in the same column.
+ * @param {function(number): string} formatYRaw
+ * @param {number} labelWidth
+ * @returns {function(number): string}
+ */
+function padded(formatYRaw, labelWidth) {
+  return (value) => formatYRaw(value).padEnd(labelWidth, ' ');
+}
+
+/**
+ * Renders the x-axis line: sparse date (or date+hour) labels aligned under their chart columns.
+ *
+ * @param {Array<number>} timestamps - Millisecond timestamps, one per chart column, oldest first.
+ * @param {number} yTickWidth - Width of the y-tick labels and axis before the first column.
+ * @param {boolean} hourly - Label with date and hour instead of date only.
+ * @returns {string} The x-axis line.
+ */
+function renderXAxis(timestamps, yTickWidth, hourly) {
+  const maxLabels = 10;
+  const minLabels = 4;
+  const labelCount = Math.min(timestamps.length, maxLabels, Math.max(minLabels, Math.ceil(timestamps.length / 30)));
+  const step = Math.floor((timestamps.length - 1) / (labelCount - 1));
+
+  const labels = [];
+  for (let i = 0; i < labelCount - 1; i++) {
+    labels.push({ idx: i * step, ts: timestamps[i * step] });
+  }
+  labels.push({ idx: timestamps.length - 1, ts: timestamps[timestamps.length - 1] });
+
+  const formatLabel = (ts) => {
+    const d = new Date(ts);
+    if (hourly) {
+      return d.toISOString().replace('T', ' ').slice(0, 16);
+    }
+    return d.toISOString().split('T')[0];
+  };
+
+  const labelTexts = labels.map(l => formatLabel(l.ts));
+
+  let xAxis = '';
+  let prevEnd = 0;
+  for (let i = 0; i < labels.length; i++) {
+    const { idx } = labels[i];
+    const text = labelTexts[i];
+    const padding = idx - prevEnd;
+    if (padding < 0) continue; // Skip labels that would overlap the previous one on short series
+    xAxis += ' '.repeat(padding) + text;
+    prevEnd = idx + text.length;
+  }
+
+  return ' '.repeat(yTickWidth) + xAxis;
+}
+
+/** Symbols and colors of overlay lines, in order of use. */
+const OVERLAY_STYLES = [
+  { char: '·', color: asciichart.cyan },
+  { char: '+', color: asciichart.magenta },
+  { char: '×', color: asciichart.yellow },
+  { char: '*', color: asciichart.green },
+  { char: '°', color: asciichart.blue },
+  { char: '~', color: asciichart.red }
+];
+
+/**
+ * Finds the data range of a series and its overlays, ignoring nulls.
+ * @param {Array<?number>} values
+ * @param {Array<{values: Array<?number>}>} [overlays=[]]
+ * @returns {{min: number, max: number}}
+ */
+function dataRange(values, overlays = []) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const series of [values, ...overlays.map(o => o.values)]) {
+    for (const v of series) {
+      if (v === null || v === undefined) continue;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+  return { min, max };
+}
+
+/**
+ * Plots a series with asciichart, shifting it right past any leading nulls (e.g. the first period - 1
+ * points of a moving average) so that its columns line up with the full series.
+ * @param {Array<?number>} values
+ * @param {Object} cfg - asciichart config (height, min, max, format)
+ * @param {number} labelWidth - Width the format pads labels to
+ * @returns {Array<string>} The chart lines
+ */
+function plotSeries(values, cfg, labelWidth) {
+  const first = values.findIndex(v => v !== null && v !== undefined);
+  if (first === -1) {
+    return [`${' '.repeat(labelWidth)} ┤ (not enough data)`];
+  }
+  const prefix = labelWidth + 2;
+  return asciichart.plot(values.slice(first), cfg).split('\n')
+    .map(line => line.slice(0, prefix) + ' '.repeat(first) + line.slice(prefix));
+}
+
+/**
+ * Draws overlay lines into chart rows as symbols, in cells the chart left blank.
+ * @param {Array<Array<string>>} grid - Chart rows, one cell per column (after the labels)
+ * @param {Array<{values: Array<?number>}>} overlays
+ * @param {function(number): number} rowOf - Row index of a value
+ * @param {boolean} color - Color the symbols (ANSI)
+ */
+function drawOverlays(grid, overlays, rowOf, color) {
+  overlays.forEach((overlay, i) => {
+    const { char, color: ansi } = OVERLAY_STYLES[i % OVERLAY_STYLES.length];
+    overlay.values.forEach((v, x) => {
+      if (v === null || v === undefined) return;
+      const row = grid[rowOf(v)];
+      if (row && row[x] === ' ') row[x] = color ? asciichart.colored(char, ansi) : char;
+    });
+  });
+}
+
+/**
+ * Renders sub-panels (indicators on their own scale, such as RSI) below a chart.
+ * @param {Array<{label: string, values: Array<?number>, height?: number, min?: ?number, max?: ?number}>} panels
+ * @param {number} width - Columns of the chart above
+ * @param {number} labelWidth - Label width shared with the chart above
+ * @returns {Array<string>} The panel lines
+ */
+function renderPanels(panels, width, labelWidth) {
+  const lines = [];
+  for (const panel of panels) {
+    const fitted = dataRange(panel.values);
+    const min = panel.min ?? fitted.min;
+    const max = panel.max ?? fitted.max;
+    const { formatYRaw } = makeYFormatter(min, max, panel.height || 8);
+    lines.push(`${' '.repeat(labelWidth)} ┼${'─'.repeat(width)} ${panel.label}`);
+    lines.push(...plotSeries(panel.values, { height: panel.height || 8, min, max, format: padded(formatYRaw, labelWidth) }, labelWidth));
+  }
+  return lines;
+}
+
+/**
+ * Label width needed by a set of panels.
+ * @param {Array<{values: Array<?number>, min?: ?number, max?: ?number}>} panels
+ * @returns {number}
+ */
+function panelLabelWidth(panels) {
+  return Math.max(0, ...panels.map(panel => {
+    const fitted = dataRange(panel.values);
+    return makeYFormatter(panel.min ?? fitted.min, panel.max ?? fitted.max, panel.height || 8).labelWidth;
+  }));
+}
+
+/**
+ * Renders the legend of overlay lines.
+ * @param {Array<{label: string}>} overlays
+ * @param {boolean} color
+ * @param {?string} [label=null] - Label of the main series, listed first
+ * @returns {string}
+ */
+function renderLegend(overlays, color, label = null) {
+  const entries = overlays.map((overlay, i) => {
+    const { char, color: ansi } = OVERLAY_STYLES[i % OVERLAY_STYLES.length];
+    return `${color ? asciichart.colored(char, ansi) : char} ${overlay.label}`;
+  });
+  return (label ? [`─ ${label}`, ...entries] : entries).join('   ');
+}
+
+/**
+ * Renders a chronological series (oldest first) as chart lines plus an x-axis line.
+ *
+ * Overlays (e.g. moving averages) are drawn on the same scale as symbols, with a legend below the
+ * x-axis; panels (e.g. RSI) are drawn below the chart on their own scale, sharing its columns.
+ *
+ * @param {Array<number>} values - Series values, oldest first.
+ * @param {Array<number>} timestamps - Millisecond timestamps matching each value.
+ * @param {Object} [options]
+ * @param {number} [options.height=30] - Chart height in rows.
+ * @param {boolean} [options.hourly=false] - Label the x-axis with date and hour instead of date only.
+ * @param {Array<{label: string, values: Array<?number>}>} [options.overlays=[]] - Lines aligned with values
+ *        (null where undefined) to draw over the chart.
+ * @param {Array<{label: string, values: Array<?number>, height?: number, min?: ?number, max?: ?number}>} [options.panels=[]]
+ *        Lines to draw in their own panels below the chart (min/max null = fit the data).
+ * @param {boolean} [options.color=false] - Color the overlays (ANSI).
+ * @param {string} [options.scale='linear'] - 'linear' or 'log' (values must then be positive; overlay points
+ *        that are not are skipped). Panels always use a linear scale.
+ * @param {?string} [options.label=null] - Legend label of the series itself (by default only overlays are listed).
+ * @returns {string} The rendered chart, newline-separated.
+ * @throws {Error} If a log scale is asked for with non-positive values
+ */
+export function renderAsciiChart(values, timestamps, {
+  height = 30, hourly = false, overlays = [], panels = [], color = false, scale = 'linear', label = null
+} = {}) {
+  if (scale === 'log') {
+    if (values.some(v => !(v > 0))) {
+      throw new Error('A log-scale chart needs positive values');
+    }
+    values = toLog(values);
+    overlays = overlays.map(overlay => ({ ...overlay, values: toLog(overlay.values) }));
+  }
+
+  const { min: minValue, max: maxValue } = dataRange(values, overlays);
+  // Same row mapping as asciichart.plot
+  const range = maxValue - minValue;
+  const ratio = range !== 0 ? height / range : 1;
+  const min2 = Math.round(minValue * ratio);
+  const rows = Math.abs(Math.round(maxValue * ratio) - min2);
+
+  const { formatYRaw, labelWidth: chartLabelWidth } = scale === 'log'
+    ? makeLogFormatter(minValue, maxValue, rows > 0 ? range / rows : 1)
+    : makeYFormatter(minValue, maxValue, height);
+  const labelWidth = Math.max(chartLabelWidth, panelLabelWidth(panels));
+
+  const chartConfig = {
+    height,
+    min: minValue,
+    max: maxValue,
+    format: padded(formatYRaw, labelWidth),
+  };
+
+  const prefix = labelWidth + 2;
+  const chartLines = asciichart.plot(values, chartConfig).split('\n');
+
+  if (overlays.length > 0) {
+    const grid = chartLines.map(line => Array.from(line.slice(prefix)));
+    drawOverlays(grid, overlays, v => rows - (Math.round(v * ratio) - min2), color);
+    grid.forEach((cells, i) => {
+      chartLines[i] = chartLines[i].slice(0, prefix) + cells.join('');
+    });
+  }
+
+  chartLines.push(...renderPanels(panels, values.length, labelWidth));
+  chartLines.push(renderXAxis(timestamps, prefix, hourly));
+  if (overlays.length > 0 || label) {
+    chartLines.push(' '.repeat(prefix) + renderLegend(overlays, color, label));
+  }
+  return chartLines.join('\n');
+}
+
+/**
+ * Formats a volume compactly for the volume panel, e.g. 1234567 → "1.23M".
+ * @param {number} value
+ * @returns {string}
+ */
+function formatVolume(value) {
+  const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+  for (const [size, suffix] of units) {
+    if (value >= size) return `${(value / size).toPrecision(3)}${suffix}`;
+  }
+  return value.toPrecision(3);
+}
+
+/**
+ * Renders chronological OHLC candles (oldest first) as a Unicode candlestick chart, one column per
+ * candle, with a volume sub-panel below and an x-axis line.
+ *
+ * Bodies span open to close ("█" when the close is at or above the open, "░" when below) and wicks
+ * ("│") span low to high. Each row covers an equal slice of the low-to-high range, and the volume
+ * bars are scaled to the largest volume. Overlays and panels work as in renderAsciiChart.
+ *
+ * @param {Array<{open: number, high: number, low: number, close: number, volume: number}>} candles - Oldest first.
+ * @param {Array<number>} timestamps - Millisecond timestamps matching each candle.
+ * @param {Object} [options]
+ * @param {number} [options.height=30] - Candle panel height in rows.
+ * @param {number} [options.volumeHeight=6] - Volume panel height in rows (0 for none).
+ * @param {string} [options.volumeLabel='volume'] - Caption of the volume panel.
+ * @param {boolean} [options.hourly=false] - Label the x-axis with date and hour instead of date only.
+ * @param {Array<{label: string, values: Array<?number>}>} [options.overlays=[]] - See renderAsciiChart.
+ * @param {Array<Object>} [options.panels=[]] - See renderAsciiChart; drawn below the volume panel.
+ * @param {boolean} [options.color=false] - Color the overlays (ANSI).
+ * @param {string} [options.scale='linear'] - 'linear' or 'log' (see renderAsciiChart; a non-positive low
+ *        is drawn at the body).
+ * @returns {string} The rendered chart, newline-separated.
+ * @throws {Error} If a log scale is asked for with non-positive opens or closes
+ */
+export function renderCandlestickChart(candles, timestamps, {
+  height = 30, volumeHeight = 6, volumeLabel = 'volume', hourly = false, overlays = [], panels = [], color = false,
+  scale = 'linear'
+} = {}) {
+  if (scale === 'log') {
+    if (candles.some(c => !(c.open > 0) || !(c.close > 0))) {
+      throw new Error('A log-scale chart needs positive values');
+    }
+    candles = candles.map(c => ({
+      ...c,
+      open: Math.log10(c.open),
+      high: Math.log10(c.high),
+      low: Math.log10(c.low > 0 ? c.low : Math.min(c.open, c.close)),
+      close: Math.log10(c.close)
+    }));
+    overlays = overlays.map(overlay => ({ ...overlay, values: toLog(overlay.values) }));
+  }
+
+  const lows = dataRange(candles.map(c => c.low), overlays);
+  const highs = dataRange(candles.map(c => c.high), overlays);
+  const minValue = lows.min;
+  const maxValue = highs.max;
+  const range = maxValue - minValue || Math.abs(maxValue) || 1;
+  const { formatYRaw, labelWidth: chartLabelWidth } = scale === 'log'
+    ? makeLogFormatter(minValue, maxValue, range / Math.max(height - 1, 1))
+    : makeYFormatter(minValue, maxValue, height);
+  const labelWidth = Math.max(chartLabelWidth, panelLabelWidth(panels));
+  const formatY = padded(formatYRaw, labelWidth);
+
+  // Row 0 is the top (maxValue), row height - 1 the bottom (minValue)
+  const rowOf = (value) => Math.min(height - 1, Math.max(0, Math.round((maxValue - value) / range * (height - 1))));
+
+  const grid = [];
+  for (let row = 0; row < height; row++) {
+    const cells = [];
+    for (const c of candles) {
+      const bodyTop = rowOf(Math.max(c.open, c.close));
+      const bodyBottom = rowOf(Math.min(c.open, c.close));
+      if (row >= bodyTop && row <= bodyBottom) {
+        cells.push(c.close >= c.open ? '█' : '░');
+      } else if (row >= rowOf(c.high) && row <= rowOf(c.low)) {
+        cells.push('│');
+      } else {
+        cells.push(' ');
+      }
+    }
+    grid.push(cells);
+  }
+  drawOverlays(grid, overlays, rowOf, color);
+  const lines = grid.map((cells, row) => `${formatY(maxValue - row * range / (height - 1))} ┤${cells.join('')}`);
+
+  if (volumeHeight > 0) {
+    const maxVolume = Math.max(...candles.map(c => c.volume || 0));
+    lines.push(`${' '.repeat(labelWidth)} ┼${'─'.repeat(candles.length)} ${volumeLabel}`);
+    for (let row = 0; row < volumeHeight; row++) {
+      // A bar fills this row if it reaches above the row's lower edge
+      const threshold = maxVolume * (volumeHeight - row - 1) / volumeHeight;
+      const cells = candles.map(c => ((c.volume || 0) > threshold && maxVolume > 0 ? '█' : ' ')).join('');
+      const label = row === 0 ? formatVolume(maxVolume) : '';
+      lines.push(`${label.slice(0, labelWidth).padEnd(labelWidth, ' ')} ┤${cells}`);
+    }
+  }
+
+  lines.push(...renderPanels(panels, candles.length, labelWidth));
+  lines.push(renderXAxis(timestamps, labelWidth + 2, hourly));
+  if (overlays.length > 0) {
+    lines.push(' '.repeat(labelWidth + 2) + renderLegend(overlays, color));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,81 @@
+/**
+ * candles.js
+ *
+ * Helpers for OHLCV candles, shared by the price modules and the ratio chart.
+ *
+ * A candle is { timestamp, open, high, low, close, volume } with a millisecond timestamp at the start of
+ * its period and volume in USD. Sources without OHLC (the DexTools current price, gap-filled points) give
+ * flat candles, whose open, high and low equal the close.
+ *
+ * Synthetic candles (a token priced through an intermediate pool, or the ratio of two tokens) cannot be
+ * known exactly from two candles, since the two highs need not fall at the same moment. Their open and
+ * close are exact; their high and low are the widest the two candles allow (e.g. high A / low B for a
+ * ratio), so the wick always contains the true range.
+ */
+
+/** Length of one period of each GeckoTerminal timeframe, in milliseconds. */
+export const TIMEFRAME_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+/**
+ * Makes a flat candle.
+ * @param {number} timestamp - Milliseconds
+ * @param {number} close
+ * @param {number} [volume=0]
+ * @returns {{timestamp: number, open: number, high: number, low: number, close: number, volume: number}}
+ */
+export function flatCandle(timestamp, close, volume = 0) {
+  return { timestamp, open: close, high: close, low: close, close, volume };
+}
+
+/**
+ * Fills in whatever a candle lacks (open, high, low, volume) from its close.
+ * @param {{timestamp: number, close: number, open?: number, high?: number, low?: number, volume?: number}} candle
+ * @returns {{timestamp: number, open: number, high: number, low: number, close: number, volume: number}}
+ */
+export function toCandle(candle) {
+  const { timestamp, close, open = close, volume = 0 } = candle;
+  const high = candle.high ?? Math.max(open, close);
+  const low = candle.low ?? Math.min(open, close);
+  return { timestamp, open, high, low, close, volume };
+}
+
+/**
+ * Multiplies (or divides) two candles of the same period into a synthetic candle.
+ * @param {Object} a - Candle of the first series
+ * @param {Object} b - Candle of the second series
+ * @param {boolean} [divide=false] - a / b instead of a × b
+ * @returns {{timestamp: number, open: number, high: number, low: number, close: number, volume: number}}
+ *          Timestamped like a, with a's volume
+ */
+export function combineCandles(a, b, divide = false) {
+  const open = divide ? a.open / b.open : a.open * b.open;
+  const close = divide ? a.close / b.close : a.close * b.close;
+  // A zero low (e.g. a bad print) bounds nothing; fall back to the body
+  const high = divide ? (b.low > 0 ? a.high / b.low : -Infinity) : a.high * b.high;
+  const low = divide ? a.low / b.high : a.low * b.low;
+  return {
+    timestamp: a.timestamp,
+    open,
+    high: Math.max(high, open, close),
+    low: Math.min(low, open, close),
+    close,
+    volume: a.volume
+  };
+}
+
+/**
+ * Merges consecutive candles into one: first open, highest high, lowest low, last close, summed volume.
+ * @param {Array<Object>} candles - Oldest first, not empty
+ * @param {number} [timestamp] - Timestamp of the merged candle (default: the first candle's)
+ * @returns {{timestamp: number, open: number, high: number, low: number, close: number, volume: number}}
+ */
+export function mergeCandles(candles, timestamp = candles[0].timestamp) {
+  return {
+    timestamp,
+    open: candles[0].open,
+    high: Math.max(...candles.map(c => c.high)),
+    low: Math.min(...candles.map(c => c.low)),
+    close: candles[candles.length - 1].close,
+    volume: candles.reduce((sum, c) => sum + c.volume, 0)
+  };
+}
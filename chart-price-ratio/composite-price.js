@@ -0,0 +1,129 @@
+/**
+ * composite-price.js
+ *
+ * Standalone module that prices a token from several pools at once, so that one thin or
+ * manipulated pair cannot distort its price series.
+ *
+ * Logic:
+ * - Takes the token's top N pools by liquidity (see getTopPools in pool-selector.js).
+ * - Fetches each pool's closes in the common base (PLS or USD, see quote-conversion.js).
+ * - For each hour or day, takes the median of the pools' closes and rejects pools whose close
+ *   deviates from it by more than the outlier threshold (e.g. 0.1 = 10%).
+ * - Averages the remaining candles (open, high, low and close alike), weighted by each pool's liquidity
+ *   (reserve_in_usd) or by its USD volume in that candle. A candle where every pool has zero volume is
+ *   weighted equally. The composite candle's volume is the kept pools' total.
+ *
+ * Used by pulse-token-ratio.js.
+ */
+
+import { getClosesGecko } from './gecko-terminal.js';
+import { getTopPools } from './pool-selector.js';
+import { getNormalizedCloses } from './quote-conversion.js';
+import { TIMEFRAME_MS, toCandle } from './candles.js';
+
+/** Weightings accepted by getCompositeCloses. */
+export const COMPOSITE_WEIGHTINGS = ['liquidity', 'volume'];
+
+/**
+ * Median of a non-empty list of numbers.
+ * @param {Array<number>} values
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Fetches a composite price series for a token from its top pools.
+ * @param {string} tokenAddress - Token contract address (lowercase)
+ * @param {string} timeframe - 'minute', 'hour' or 'day'
+ * @param {number} limit - Maximum candles to fetch per pool
+ * @param {Object} [options]
+ * @param {string} [options.network='pulsechain'] - Network name for GeckoTerminal API
+ * @param {number} [options.pools=3] - Number of top pools to combine
+ * @param {string} [options.weighting='liquidity'] - One of COMPOSITE_WEIGHTINGS
+ * @param {number} [options.outlierThreshold=0.1] - Maximum relative deviation from the median close
+ * @param {string} [options.priceIn='pls'] - Common base, see quote-conversion.js
+ * @param {string} [options.gapPolicy='drop'] - How conversions join series, see align-series.js
+ * @param {Object} [options.poolSelection] - Pinned and excluded pools, see pool-selector.js
+ * @param {number} [options.aggregate=1] - Periods per candle (see getClosesGecko)
+ * @param {number} [options.beforeTimestamp] - Only candles before this Unix timestamp (seconds)
+ * @returns {Promise<{closes: Array<Object>, path: string, rejected: number}>}
+ *          The composite candles (oldest first, see candles.js), a description of the pools used, and how many
+ *          pool candles were rejected as outliers
+ * @throws {Error} If no pool has price data
+ */
+export async function getCompositeCloses(tokenAddress, timeframe, limit, options = {}) {
+  const {
+    network = 'pulsechain',
+    pools: poolCount = 3,
+    weighting = 'liquidity',
+    outlierThreshold = 0.1,
+    priceIn = 'pls',
+    gapPolicy = 'drop',
+    poolSelection = {},
+    aggregate = 1,
+    beforeTimestamp
+  } = options;
+  const bucketMs = TIMEFRAME_MS[timeframe] * aggregate;
+
+  const pools = await getTopPools(tokenAddress, network, poolCount, poolSelection);
+  const series = [];
+  for (const pool of pools) {
+    try {
+      const { closes, path } = await getNormalizedCloses(tokenAddress, pool, timeframe, limit, { network, priceIn, gapPolicy, poolSelection, aggregate, beforeTimestamp });
+      let volumes = null;
+      if (weighting === 'volume') {
+        const usd = await getClosesGecko(pool.address, timeframe, limit, { network, currency: 'usd', token: tokenAddress, aggregate, beforeTimestamp });
+        volumes = new Map(usd.map(c => [Math.floor(c.timestamp / bucketMs) * bucketMs, c.volume]));
+      }
+      const byBucket = new Map(closes.map(c => [Math.floor(c.timestamp / bucketMs) * bucketMs, toCandle(c)]));
+      series.push({ pool, path, byBucket, volumes });
+    } catch (err) {
+      console.warn(`Skipping pool ${pool.address} in composite: ${err.message}`);
+    }
+  }
+  if (series.length === 0) throw new Error('No pool with price data for the composite');
+
+  const buckets = [...new Set(series.flatMap(s => [...s.byBucket.keys()]))].sort((a, b) => a - b);
+  const closes = [];
+  let rejected = 0;
+
+  for (const bucket of buckets) {
+    const quotes = series
+      .filter(s => s.byBucket.has(bucket))
+      .map(s => ({
+        ...s.byBucket.get(bucket),
+        weight: weighting === 'volume' ? (s.volumes.get(bucket) || 0) : s.pool.liquidity
+      }));
+
+    const mid = median(quotes.map(q => q.close));
+    let kept = quotes.filter(q => Math.abs(q.close / mid - 1) <= outlierThreshold);
+    if (kept.length === 0) {
+      // Two pools that disagree deviate equally from their median; trust the heavier one
+      kept = [quotes.reduce((best, q) => (q.weight > best.weight ? q : best))];
+    }
+    rejected += quotes.length - kept.length;
+
+    const totalWeight = kept.reduce((sum, q) => sum + q.weight, 0);
+    const average = (field) => (totalWeight > 0
+      ? kept.reduce((sum, q) => sum + q[field] * q.weight, 0) / totalWeight
+      : kept.reduce((sum, q) => sum + q[field], 0) / kept.length);
+    closes.push({
+      timestamp: bucket,
+      open: average('open'),
+      high: average('high'),
+      low: average('low'),
+      close: average('close'),
+      volume: kept.reduce((sum, q) => sum + q.volume, 0)
+    });
+  }
+
+  return {
+    closes,
+    path: `composite of ${series.length} pools (${weighting}-weighted: ${series.map(s => s.path).join('; ')})`,
+    rejected
+  };
+}
@@ -0,0 +1,256 @@
+/**
+ * gecko-terminal.js
+ *
+ * Standalone module for the GeckoTerminal API calls shared by pulse-token-ratio.js,
+ * pool-selector.js and ../check-token-balance (balance valuation).
+ *
+ * GeckoTerminal is free and needs no API key. OHLCV prices are in USD unless
+ * `currency: 'token'` is requested, and are for the pool's base token unless
+ * another `token` (base, quote or a token address) is requested.
+ *
+ * OHLCV requests beyond one page (1000 candles) are paged backwards with
+ * `before_timestamp`, and candles of several periods (4h, 15m, ...) are requested
+ * with `aggregate`.
+ *
+ * Token info and OHLCV series go through the on-disk cache when it is configured
+ * (see response-cache.js); cached series are topped up with only the newer candles.
+ * Requests go through the shared, throttled and retrying client (see http-client.js).
+ *
+ * The API root can be pointed elsewhere with configureGeckoTerminal(), e.g. at a local mock server
+ * for tests (see mock-price-server.js).
+ */
+
+import { getJson } from './http-client.js';
+import { cached, isOffline, offlineMiss, readCacheEntry, writeCacheEntry } from './response-cache.js';
+import { TIMEFRAME_MS } from './candles.js';
+
+/** GeckoTerminal API root. */
+export const DEFAULT_GECKO_API = 'https://api.geckoterminal.com/api/v2';
+
+const settings = { apiUrl: DEFAULT_GECKO_API };
+
+/** Most candles GeckoTerminal returns per OHLCV request. */
+const MAX_OHLCV_LIMIT = 1000;
+
+/** OHLCV aggregates GeckoTerminal supports for each timeframe (periods per candle). */
+export const OHLCV_AGGREGATES = { minute: [1, 5, 15], hour: [1, 4, 12], day: [1] };
+
+/**
+ * Overrides the API root for the rest of the run.
+ * @param {Object} options
+ * @param {string} [options.apiUrl=DEFAULT_GECKO_API] - API root, e.g. http://127.0.0.1:8787/api/v2
+ */
+export function configureGeckoTerminal({ apiUrl = DEFAULT_GECKO_API } = {}) {
+  settings.apiUrl = apiUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Builds a GeckoTerminal API URL.
+ * @param {string} path - Path under the API root, e.g. '/networks/pulsechain/pools/0x...'
+ * @returns {string}
+ */
+export function geckoApiUrl(path) {
+  return `${settings.apiUrl}${path}`;
+}
+
+/**
+ * Fetch token name and symbol
+ * @param {string} tokenAddress
+ * @param {string} network - Network name for GeckoTerminal API (e.g., 'pulsechain')
+ * @returns {Promise<{name: string, symbol: string}>}
+ */
+export async function getTokenInfo(tokenAddress, network = 'pulsechain') {
+  let data;
+  try {
+    data = await cached('tokenInfo', `${network}_${tokenAddress}`, async () => {
+      const json = await getJson(geckoApiUrl(`/networks/${network}/tokens/${tokenAddress}`), {
+        service: 'geckoterminal',
+        endpoint: 'GeckoTerminal token info',
+        token: tokenAddress
+      });
+      return { name: json.data.attributes.name, symbol: json.data.attributes.symbol };
+    });
+  } catch (err) {
+    console.warn(`Could not fetch token info for ${tokenAddress}: ${err.message}`);
+    return { name: 'Unknown Token', symbol: '???' };
+  }
+  return {
+    name: data.name || 'Unknown Token',
+    symbol: data.symbol || '???'
+  };
+}
+
+/**
+ * Downloads raw OHLCV rows from GeckoTerminal.
+ * @param {string} poolAddress
+ * @param {string} timeframe
+ * @param {number} limit
+ * @param {Object} options - network, currency, token, aggregate and beforeTimestamp, as for getClosesGecko
+ * @returns {Promise<Array<Array<number>>>} [timestamp (s), open, high, low, close, volume] rows, newest first
+ */
+async function fetchOhlcv(poolAddress, timeframe, limit, { network, currency, token, aggregate = 1, beforeTimestamp }) {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (aggregate > 1) params.set('aggregate', String(aggregate));
+  if (currency) params.set('currency', currency);
+  if (token) params.set('token', token);
+  if (beforeTimestamp) params.set('before_timestamp', String(beforeTimestamp));
+  const url = geckoApiUrl(`/networks/${network}/pools/${poolAddress}/ohlcv/${timeframe}?${params}`);
+  const json = await getJson(url, {
+    service: 'geckoterminal',
+    endpoint: `GeckoTerminal ${aggregate > 1 ? `${aggregate}-${timeframe}` : timeframe} OHLCV`,
+    token: token && token.startsWith('0x') ? `${token} in pool ${poolAddress}` : `pool ${poolAddress}`
+  });
+  return json.data.attributes.ohlcv_list;
+}
+
+/**
+ * Downloads up to `limit` OHLCV rows, paging backwards from the newest (or from beforeTimestamp) with
+ * before_timestamp, one page of at most MAX_OHLCV_LIMIT rows per request.
+ * @param {string} poolAddress
+ * @param {string} timeframe
+ * @param {number} limit
+ * @param {Object} options - As for fetchOhlcv
+ * @returns {Promise<{rows: Array<Array<number>>, complete: boolean}>} Rows newest first, and whether the pool's
+ *          first candle was reached
+ */
+async function fetchOhlcvPages(poolAddress, timeframe, limit, options) {
+  let rows = [];
+  let before = options.beforeTimestamp;
+  while (rows.length < limit) {
+    const wanted = Math.min(limit - rows.length, MAX_OHLCV_LIMIT);
+    const page = await fetchOhlcv(poolAddress, timeframe, wanted, { ...options, beforeTimestamp: before });
+    const older = before ? page.filter(r => r[0] < before) : page;
+    rows = [...rows, ...older];
+    if (page.length < wanted || older.length === 0) {
+      return { rows, complete: true };
+    }
+    before = rows[rows.length - 1][0];
+    if (rows.length < limit) {
+      console.log(`  Pool ${poolAddress.slice(0, 8)}...: ${rows.length} of up to ${limit} candles, paging back before ` +
+        `${new Date(before * 1000).toISOString().slice(0, 16).replace('T', ' ')}`);
+    }
+  }
+  return { rows, complete: false };
+}
+
+/**
+ * Brings a cached OHLCV series up to date and deep enough for a request.
+ *
+ * Only candles from the cached tail (the newest cached candle, which may have been incomplete) onwards are
+ * downloaded, and older candles only when the request reaches further back than the cache and the cache
+ * does not already hold the pool's whole history.
+ *
+ * @param {?{data: {rows: Array<Array<number>>, complete: boolean}, fresh: boolean}} entry - The cache entry, if any
+ * @param {string} poolAddress
+ * @param {string} timeframe
+ * @param {number} limit
+ * @param {Object} options - network, currency, token and aggregate, as for getClosesGecko
+ * @returns {Promise<{rows: Array<Array<number>>, complete: boolean}>} Rows newest first, and whether they go back
+ *          to the pool's first candle
+ */
+async function topUpOhlcv(entry, poolAddress, timeframe, limit, options) {
+  let rows = entry ? entry.data.rows : [];
+  let complete = entry ? entry.data.complete : false;
+
+  if (!entry) {
+    ({ rows, complete } = await fetchOhlcvPages(poolAddress, timeframe, limit, options));
+  } else if (!entry.fresh) {
+    const tail = rows[0][0];
+    const missing = Math.ceil((Date.now() / 1000 - tail) / (TIMEFRAME_MS[timeframe] / 1000 * (options.aggregate || 1))) + 1;
+    if (missing > MAX_OHLCV_LIMIT) {
+      // Too far behind to bridge in one request; start over
+      ({ rows, complete } = await fetchOhlcvPages(poolAddress, timeframe, limit, options));
+    } else {
+      const newer = await fetchOhlcv(poolAddress, timeframe, missing, options);
+      const fetched = new Set(newer.map(r => r[0]));
+      rows = [...newer, ...rows.filter(r => !fetched.has(r[0]))];
+    }
+  }
+
+  if (rows.length < limit && !complete && rows.length > 0) {
+    const older = await fetchOhlcvPages(poolAddress, timeframe, limit - rows.length, { ...options, beforeTimestamp: rows[rows.length - 1][0] });
+    rows = [...rows, ...older.rows];
+    complete = older.complete;
+  }
+
+  return { rows, complete };
+}
+
+/**
+ * Serves a window into the past from a cached series, if the series covers it.
+ * @param {?Object} entry - Cache entry from readCacheEntry, or null
+ * @param {string} timeframe
+ * @param {number} limit
+ * @param {number} aggregate
+ * @param {number} beforeTimestamp - Unix timestamp (seconds)
+ * @returns {?Array<Array>} Up to limit rows before beforeTimestamp, newest first, or null if the series ends
+ *          before the window does or does not reach back far enough
+ */
+function cachedWindow(entry, timeframe, limit, aggregate, beforeTimestamp) {
+  if (!entry || entry.data.rows.length === 0) return null;
+  const { rows: all, complete } = entry.data;
+  const step = TIMEFRAME_MS[timeframe] / 1000 * aggregate; // GeckoTerminal timestamps are in seconds
+  if (all[0][0] + step < beforeTimestamp) return null;
+  const rows = all.filter(r => r[0] < beforeTimestamp);
+  return rows.length >= limit || complete ? rows.slice(0, limit) : null;
+}
+
+/**
+ * Fetches OHLCV candles from GeckoTerminal (named for the closes most callers use)
+ *
+ * With the cache on, the series is served from the cache, topped up as needed (see topUpOhlcv);
+ * offline, it is served from the cache as is. Requests with beforeTimestamp are served from the cached
+ * series when it covers their window, and fetched otherwise (without caching the window); offline, they
+ * get whatever part of the window is cached.
+ * Limits above one page are fetched in several requests (see fetchOhlcvPages).
+ * @param {string} poolAddress
+ * @param {string} timeframe
+ * @param {number} limit
+ * @param {Object} [options]
+ * @param {string} [options.network='pulsechain'] - Network name for GeckoTerminal API
+ * @param {string} [options.currency] - 'usd' (GeckoTerminal default) or 'token' (price in the pool's other token)
+ * @param {string} [options.token] - 'base' (GeckoTerminal default), 'quote', or the address of the token to price
+ * @param {number} [options.aggregate=1] - Periods per candle, one of OHLCV_AGGREGATES[timeframe] (e.g. 4 hours)
+ * @param {number} [options.beforeTimestamp] - Only return candles before this Unix timestamp (seconds)
+ * @returns {Promise<Array<{timestamp: number, open: number, high: number, low: number, close: number, volume: number}>>}
+ *          Newest first, as returned by the API (volume is in USD)
+ */
+export async function getClosesGecko(poolAddress, timeframe = 'day', limit = 1000, { network = 'pulsechain', currency, token, aggregate = 1, beforeTimestamp } = {}) {
+  if (!(OHLCV_AGGREGATES[timeframe] || []).includes(aggregate)) {
+    throw new Error(`GeckoTerminal has no ${aggregate}-${timeframe} candles (supported: ${(OHLCV_AGGREGATES[timeframe] || []).join(', ')})`);
+  }
+  const options = { network, currency, token, aggregate };
+  const timeframeKey = aggregate > 1 ? `${timeframe}${aggregate}` : timeframe;
+  const key = `${network}_${poolAddress}_${timeframeKey}_${currency || 'usd'}_${token || 'base'}`;
+  const entry = readCacheEntry('ohlcv', key);
+  let list;
+  if (beforeTimestamp) {
+    // Windows into the past are not cached themselves; only whole series ending now are
+    if (isOffline()) {
+      list = entry ? entry.data.rows.filter(r => r[0] < beforeTimestamp).slice(0, limit) : [];
+      if (list.length === 0) throw offlineMiss('ohlcv', `${key} before ${beforeTimestamp}`);
+    } else {
+      list = cachedWindow(entry, timeframe, limit, aggregate, beforeTimestamp) ||
+        (await fetchOhlcvPages(poolAddress, timeframe, limit, { ...options, beforeTimestamp })).rows;
+    }
+  } else {
+    if (isOffline()) {
+      if (!entry) throw offlineMiss('ohlcv', key);
+      list = entry.data.rows;
+    } else {
+      const data = await topUpOhlcv(entry, poolAddress, timeframe, limit, options);
+      if (data.rows.length > 0) writeCacheEntry('ohlcv', key, data);
+      list = data.rows;
+    }
+    list = list.slice(0, limit);
+  }
+  if (list.length === 0) throw new Error('Empty OHLCV data');
+  return list.map(c => ({
+    timestamp: c[0] * 1000,
+    open: parseFloat(c[1]),
+    high: parseFloat(c[2]),
+    low: parseFloat(c[3]),
+    close: parseFloat(c[4]),
+    volume: parseFloat(c[5]) || 0
+  }));
+}
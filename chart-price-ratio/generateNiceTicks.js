@@ -5,7 +5,7 @@
  * @param {number} tickCount Approx number of ticks desired (default 10)
  * @returns {Array<number>} Array of tick values
  */
-function generateNiceTicks(min, max, tickCount = 10) {
+export function generateNiceTicks(min, max, tickCount = 10) {
   if (min === max) return [min];
 
   const range = max - min;
@@ -26,6 +26,9 @@ function generateNiceTicks(min, max, tickCount = 10) {
   let start = Math.floor(min / step) * step;
   if (start < min) start += step;
 
+  // A range this small next to its values' magnitude cannot be stepped through in floating point
+  if (start + step === start) return [min, max];
+
   const ticks = [];
   for (let val = start; val <= max + step / 2; val += step) {
     if (val >= min - step / 10) {
@@ -47,3 +50,52 @@ function generateNiceTicks(min, max, tickCount = 10) {
 
   return uniqueTicks;
 }
+
+/** Sub-decade multiples tried for log ticks, sparsest first. */
+const LOG_MANTISSAS = [[1], [1, 2, 5], [1, 2, 3, 4, 5, 6, 7, 8, 9]];
+
+/**
+ * Generate nice tick values for a log-scale y-axis: decades (1, 10, 100, ...), with sub-decade
+ * multiples (2 and 5, then 2 through 9) when the range spans too few decades, and only every
+ * n-th decade when it spans too many.
+ * Ranges too narrow for any of these (within one decade) get linear ticks from generateNiceTicks.
+ * @param {number} min Must be positive
+ * @param {number} max Must be positive
+ * @param {number} tickCount Approx number of ticks desired (default 10)
+ * @returns {Array<number>} Array of tick values, ascending
+ */
+export function generateLogTicks(min, max, tickCount = 10) {
+  if (!(min > 0) || !(max > 0)) {
+    throw new Error(`Log ticks need a positive range, got ${min} to ${max}`);
+  }
+  if (min === max) return [min];
+
+  const lowDecade = Math.floor(Math.log10(min));
+  const highDecade = Math.ceil(Math.log10(max));
+
+  // Of the tick sets, keep the one whose count is nearest the target
+  let ticks = [];
+  let decadesOnly = false;
+  LOG_MANTISSAS.forEach((mantissas, i) => {
+    const candidate = [];
+    for (let exponent = lowDecade; exponent <= highDecade; exponent++) {
+      for (const mantissa of mantissas) {
+        // toPrecision avoids values like 3.0000000000000004e-7
+        const tick = Number((mantissa * Math.pow(10, exponent)).toPrecision(12));
+        if (tick >= min && tick <= max) candidate.push(tick);
+      }
+    }
+    if (i === 0 || Math.abs(candidate.length - tickCount) < Math.abs(ticks.length - tickCount)) {
+      ticks = candidate;
+      decadesOnly = i === 0;
+    }
+  });
+
+  if (decadesOnly && ticks.length > tickCount) {
+    const every = Math.ceil(ticks.length / tickCount);
+    ticks = ticks.filter(tick => (Math.round(Math.log10(tick)) - lowDecade) % every === 0);
+  }
+  if (ticks.length < 2) return generateNiceTicks(min, max, tickCount);
+
+  return ticks;
+}
@@ -0,0 +1,199 @@
+/**
+ * http-client.js
+ *
+ * The one HTTP client shared by every GeckoTerminal and DexTools request (gecko-terminal.js,
+ * pool-selector.js and the DexTools fallback in pulse-token-ratio.js), so that rate limits and
+ * flaky responses are handled in one place instead of ending the run.
+ *
+ * - Throttling: requests to each service are spaced to its rate (DEFAULT_RATE_PER_MINUTE;
+ *   GeckoTerminal publishes 30 calls per minute for its free API).
+ * - Retries: 429 and 5xx responses, timeouts and network errors are retried with exponential
+ *   backoff (1s, 2s, 4s, ... plus jitter), or after the delay a `Retry-After` header asks for.
+ *   Other 4xx responses are not retried.
+ * - Timeouts: each attempt is aborted after the configured time, body included; a body cut short by a
+ *   timeout or a dropped connection is retried, while a complete body that is not JSON fails at once.
+ * - Budget: the run stops sending requests (retries included) after the configured number.
+ *
+ * Failures are thrown as HttpError, which names the endpoint and the token (or pool) requested.
+ *
+ * Defaults apply until configureHttpClient() is called (pulse-token-ratio.js calls it with
+ * config.json "http").
+ */
+
+/** Default requests per minute for each service. */
+export const DEFAULT_RATE_PER_MINUTE = {
+  geckoterminal: 30,
+  dextools: 60
+};
+
+const settings = {
+  timeoutMs: 15000,
+  maxRetries: 4,
+  requestBudget: Infinity,
+  ratePerMinute: DEFAULT_RATE_PER_MINUTE
+};
+
+const MAX_BACKOFF_MS = 60000;
+
+let requestsSent = 0;
+const nextSlot = {}; // service → earliest time (ms) the next request may be sent
+
+/**
+ * A failed request, with what was being requested.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.endpoint - What was requested, e.g. 'GeckoTerminal OHLCV'
+   * @param {?string} [details.token] - Token (or pool) the request was for
+   * @param {?number} [details.status] - HTTP status of the last response, if any
+   * @param {number} [details.attempts] - Attempts made
+   * @param {string} [details.url]
+   * @param {Error} [details.cause] - Underlying network or timeout error
+   */
+  constructor(message, { endpoint, token = null, status = null, attempts = 0, url, cause } = {}) {
+    super(message, { cause });
+    this.name = 'HttpError';
+    this.endpoint = endpoint;
+    this.token = token;
+    this.status = status;
+    this.attempts = attempts;
+    this.url = url;
+  }
+}
+
+/**
+ * Overrides the client settings for the rest of the run.
+ * @param {Object} options
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {number} [options.requestBudget] - Most requests to send in this run (0 or missing = unlimited)
+ * @param {Object<string, number>} [options.ratePerMinute] - Per-service rates, merged over DEFAULT_RATE_PER_MINUTE
+ */
+export function configureHttpClient({ timeoutMs, maxRetries, requestBudget, ratePerMinute = {} } = {}) {
+  if (timeoutMs !== undefined) settings.timeoutMs = timeoutMs;
+  if (maxRetries !== undefined) settings.maxRetries = maxRetries;
+  if (requestBudget !== undefined) settings.requestBudget = requestBudget > 0 ? requestBudget : Infinity;
+  settings.ratePerMinute = { ...DEFAULT_RATE_PER_MINUTE, ...ratePerMinute };
+}
+
+/** @returns {number} Requests sent so far in this run, retries included */
+export function getRequestCount() {
+  return requestsSent;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Waits for the service's next free slot, and reserves the one after it.
+ * @param {string} service
+ */
+async function throttle(service) {
+  const rate = settings.ratePerMinute[service];
+  if (!rate) return;
+  const now = Date.now();
+  const slot = Math.max(now, nextSlot[service] || 0);
+  nextSlot[service] = slot + 60000 / rate;
+  if (slot > now) await sleep(slot - now);
+}
+
+/**
+ * Delay before a retry: what Retry-After asks for, else exponential backoff with jitter.
+ * @param {number} attempt - Attempts made so far (1 after the first)
+ * @param {?Response} res - The failed response, if any
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempt, res) {
+  const retryAfter = res && res.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (ms >= 0) return Math.min(ms, MAX_BACKOFF_MS);
+  }
+  return Math.min(1000 * 2 ** (attempt - 1) + Math.random() * 250, MAX_BACKOFF_MS);
+}
+
+/**
+ * Describes a failed request or body read: a timeout, or a network error with its cause.
+ * @param {Error} error - As thrown by fetch or by reading the response body
+ * @returns {Error}
+ */
+function transportError(error) {
+  return error.name === 'TimeoutError' || error.name === 'AbortError'
+    ? new Error(`timed out after ${settings.timeoutMs} ms`)
+    : new Error(`${error.message}${error.cause ? ` (${error.cause.code || error.cause.message})` : ''}`);
+}
+
+/**
+ * Fetches a JSON document, throttled, with timeouts and retries.
+ * @param {string} url
+ * @param {Object} request
+ * @param {string} request.service - Key of the rate to throttle to ('geckoterminal' or 'dextools')
+ * @param {string} request.endpoint - What is requested, for messages, e.g. 'GeckoTerminal OHLCV'
+ * @param {string} [request.token] - Token (or pool) requested, for messages
+ * @param {Object} [request.headers]
+ * @returns {Promise<Object>} The parsed response body
+ * @throws {HttpError} If the budget is spent, a response is not retriable, or every retry fails
+ */
+export async function getJson(url, { service, endpoint, token = null, headers = {} }) {
+  const what = token ? `${endpoint} for ${token}` : endpoint;
+  let lastError = null;
+  let lastStatus = null;
+
+  for (let attempt = 1; attempt <= settings.maxRetries + 1; attempt++) {
+    if (requestsSent >= settings.requestBudget) {
+      throw new HttpError(`${what} not requested: the run's budget of ${settings.requestBudget} requests is spent`,
+        { endpoint, token, status: lastStatus, attempts: attempt - 1, url });
+    }
+    await throttle(service);
+    requestsSent++;
+
+    let res = null;
+    try {
+      res = await fetch(url, { headers, signal: AbortSignal.timeout(settings.timeoutMs) });
+    } catch (error) {
+      lastStatus = null;
+      lastError = transportError(error);
+    }
+
+    if (res && res.ok) {
+      // The timeout also covers the body: a body cut short is retried like a failed request
+      let body = null;
+      try {
+        body = await res.text();
+      } catch (error) {
+        lastStatus = null;
+        lastError = transportError(error);
+      }
+      if (body !== null) {
+        try {
+          return JSON.parse(body);
+        } catch (error) {
+          throw new HttpError(`${what} failed: invalid JSON response (${error.message})`,
+            { endpoint, token, status: res.status, attempts: attempt, url, cause: error });
+        }
+      }
+    } else if (res) {
+      lastStatus = res.status;
+      const body = (await res.text().catch(() => '')).slice(0, 200);
+      lastError = new Error(`HTTP ${res.status}${body ? `: ${body}` : ''}`);
+      if (res.status !== 429 && res.status < 500) {
+        throw new HttpError(`${what} failed: ${lastError.message}`, { endpoint, token, status: res.status, attempts: attempt, url });
+      }
+    }
+
+    if (attempt <= settings.maxRetries) {
+      const delay = retryDelay(attempt, res);
+      if (lastStatus === 429) {
+        // Hold back the service's other requests too
+        nextSlot[service] = Math.max(nextSlot[service] || 0, Date.now() + delay);
+      }
+      console.warn(`${what}: ${lastError.message}; retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1} of ${settings.maxRetries + 1})`);
+      await sleep(delay);
+    }
+  }
+
+  throw new HttpError(`${what} failed after ${settings.maxRetries + 1} attempts: ${lastError.message}`,
+    { endpoint, token, status: lastStatus, attempts: settings.maxRetries + 1, url, cause: lastError });
+}
@@ -0,0 +1,158 @@
+/**
+ * indicators.js
+ *
+ * Standalone module computing technical indicators on a series (oldest first): simple and exponential
+ * moving averages, Bollinger bands, RSI and percent change over a lookback.
+ *
+ * Every indicator returns an array aligned with its input, holding null where there is not yet enough
+ * history (e.g. the first period - 1 points of a 20-period SMA).
+ *
+ * - EMA is seeded with the SMA of its first period, then smoothed with 2 / (period + 1).
+ * - Bollinger bands are the SMA ± multiplier × the population standard deviation over the same period.
+ * - RSI uses Wilder's smoothing: average gain and loss are seeded over the first period, then
+ *   smoothed with 1 / period.
+ *
+ * Used by pulse-token-ratio.js.
+ */
+
+/**
+ * Simple moving average.
+ * @param {Array<number>} values
+ * @param {number} period
+ * @returns {Array<?number>}
+ */
+export function sma(values, period) {
+  const result = [];
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    result.push(i >= period - 1 ? sum / period : null);
+  }
+  return result;
+}
+
+/**
+ * Exponential moving average.
+ * @param {Array<number>} values
+ * @param {number} period
+ * @returns {Array<?number>}
+ */
+export function ema(values, period) {
+  const k = 2 / (period + 1);
+  const seed = sma(values, period);
+  const result = [];
+  let previous = null;
+  for (let i = 0; i < values.length; i++) {
+    if (i < period - 1) {
+      result.push(null);
+      continue;
+    }
+    previous = previous === null ? seed[i] : values[i] * k + previous * (1 - k);
+    result.push(previous);
+  }
+  return result;
+}
+
+/**
+ * Bollinger bands.
+ * @param {Array<number>} values
+ * @param {number} period
+ * @param {number} [multiplier=2] - Standard deviations between the middle and each band
+ * @returns {{middle: Array<?number>, upper: Array<?number>, lower: Array<?number>}}
+ */
+export function bollinger(values, period, multiplier = 2) {
+  const middle = sma(values, period);
+  const upper = [];
+  const lower = [];
+  for (let i = 0; i < values.length; i++) {
+    if (middle[i] === null) {
+      upper.push(null);
+      lower.push(null);
+      continue;
+    }
+    const window = values.slice(i - period + 1, i + 1);
+    const deviation = Math.sqrt(window.reduce((sum, v) => sum + (v - middle[i]) ** 2, 0) / period);
+    upper.push(middle[i] + multiplier * deviation);
+    lower.push(middle[i] - multiplier * deviation);
+  }
+  return { middle, upper, lower };
+}
+
+/**
+ * Relative strength index (0-100).
+ * @param {Array<number>} values
+ * @param {number} [period=14]
+ * @returns {Array<?number>}
+ */
+export function rsi(values, period = 14) {
+  const result = values.map(() => null);
+  if (values.length <= period) return result;
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    avgGain += Math.max(change, 0) / period;
+    avgLoss += Math.max(-change, 0) / period;
+  }
+
+  const toRsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+  result[period] = toRsi();
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = toRsi();
+  }
+  return result;
+}
+
+/**
+ * Percent change over a lookback, e.g. 7 points back on a daily series = week-over-week change.
+ * @param {Array<number>} values
+ * @param {number} lookback - Points to look back
+ * @returns {Array<?number>} Percentages (10 = +10%)
+ */
+export function percentChange(values, lookback) {
+  return values.map((v, i) => (i >= lookback && values[i - lookback] !== 0 ? (v / values[i - lookback] - 1) * 100 : null));
+}
+
+/**
+ * Computes the requested indicators on a series.
+ * @param {Array<number>} values - The series, oldest first
+ * @param {Object} spec
+ * @param {Array<number>} [spec.sma=[]] - SMA periods
+ * @param {Array<number>} [spec.ema=[]] - EMA periods
+ * @param {?{period: number, multiplier: number}} [spec.bollinger] - Bollinger bands, or null for none
+ * @param {?number} [spec.rsi] - RSI period, or null for none
+ * @param {?number} [spec.pctChange] - Percent-change lookback, or null for none
+ * @returns {Array<{name: string, column: string, label: string, values: Array<?number>, panel: ?{min: number, max: number}}>}
+ *          One entry per indicator line: a record field name, a CSV column name, a chart label, the values, and
+ *          for indicators on their own scale (RSI, percent change) the panel to draw them in (bounds null = fit
+ *          the data); overlays on the series itself have panel null
+ */
+export function computeIndicators(values, { sma: smaPeriods = [], ema: emaPeriods = [], bollinger: bands = null, rsi: rsiPeriod = null, pctChange: lookback = null } = {}) {
+  const lines = [];
+  for (const period of smaPeriods) {
+    lines.push({ name: `sma${period}`, column: `sma_${period}`, label: `SMA ${period}`, values: sma(values, period), panel: null });
+  }
+  for (const period of emaPeriods) {
+    lines.push({ name: `ema${period}`, column: `ema_${period}`, label: `EMA ${period}`, values: ema(values, period), panel: null });
+  }
+  if (bands) {
+    const { period, multiplier } = bands;
+    const { middle, upper, lower } = bollinger(values, period, multiplier);
+    const suffix = `${period}_${multiplier}`;
+    lines.push({ name: 'bollingerUpper', column: `bb_upper_${suffix}`, label: `BB ${period},${multiplier} upper`, values: upper, panel: null });
+    lines.push({ name: 'bollingerMiddle', column: `bb_middle_${suffix}`, label: `BB ${period},${multiplier} middle`, values: middle, panel: null });
+    lines.push({ name: 'bollingerLower', column: `bb_lower_${suffix}`, label: `BB ${period},${multiplier} lower`, values: lower, panel: null });
+  }
+  if (rsiPeriod) {
+    lines.push({ name: `rsi${rsiPeriod}`, column: `rsi_${rsiPeriod}`, label: `RSI ${rsiPeriod}`, values: rsi(values, rsiPeriod), panel: { min: 0, max: 100 } });
+  }
+  if (lookback) {
+    lines.push({ name: `pctChange${lookback}`, column: `pct_change_${lookback}`, label: `% change over ${lookback}`, values: percentChange(values, lookback), panel: { min: null, max: null } });
+  }
+  return lines;
+}
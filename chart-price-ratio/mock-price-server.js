@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/**
+ * mock-price-server.js
+ *
+ * A local stand-in for the parts of the GeckoTerminal API that pulse-token-ratio.js uses, with prices you set,
+ * so that watch mode and its alert rules (and charts in general) can be tried without the network or waiting
+ * for the market. Nothing is stored: history starts when the server does.
+ *
+ * Market:
+ * - Every token has one pool against WPLS, priced in PLS; WPLS has one pool against DAI at --pls-usd. The pool of
+ *   a token is listed (and then known) when its pools are requested.
+ * - Each token's price starts at its value in --prices (default 1 PLS) and stays flat until changed. Candles are
+ *   built from the price changes: open at the start of the period, close at its end (or now), high and low
+ *   the extremes in between.
+ *
+ * Control endpoints:
+ *   GET  /mock/prices    Current price of every token, in PLS
+ *   POST /mock/prices    Set prices from now on: a JSON object { "<token address>": <price in PLS>, ... }
+ *
+ * Usage:
+ *   node mock-price-server.js [--port=8787 (0: any free port)] [--prices=prices.json] [--pls-usd=0.00005] [--history-days=30]
+ *   node pulse-token-ratio.js <tokenA> <tokenB> hourly --gecko-api=http://127.0.0.1:8787/api/v2 --no-cache
+ *   curl -X POST -d '{"<tokenA>": 1.5}' http://127.0.0.1:8787/mock/prices
+ *
+ * prices.json maps token addresses to a starting price in PLS, or to { "price", "symbol", "name" }.
+ */
+
+import fs from 'fs';
+import http from 'http';
+
+import { WPLS_ADDRESS, USD_STABLECOINS } from './quote-conversion.js';
+import { TIMEFRAME_MS } from './candles.js';
+
+const DAI_ADDRESS = USD_STABLECOINS[0];
+
+// Parse args
+const flags = {};
+process.argv.slice(2).forEach(arg => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  flags[key] = value !== undefined ? value : true;
+});
+const port = parseInt(flags.port || 8787, 10);
+const plsUsd = parseFloat(flags['pls-usd'] || 0.00005);
+const historyDays = parseInt(flags['history-days'] || 30, 10);
+
+const startedAt = Math.floor(Date.now() / 1000);
+const historyStart = startedAt - historyDays * TIMEFRAME_MS.day / 1000;
+
+/** Token address → { symbol, name, changes: [{ at (s), price }] }, oldest change first. */
+const tokens = new Map();
+/** Pool address → { base, quote }. */
+const pools = new Map();
+
+/**
+ * Finds or adds a token.
+ * @param {string} address - Lowercase
+ * @param {{price?: number, symbol?: string, name?: string}} [settings]
+ * @returns {Object}
+ */
+function tokenEntry(address, settings = {}) {
+  if (!tokens.has(address)) {
+    const defaults = address === WPLS_ADDRESS
+      ? { price: 1, symbol: 'WPLS', name: 'Wrapped Pulse' }
+      : address === DAI_ADDRESS
+        ? { price: 1 / plsUsd, symbol: 'DAI', name: 'Dai Stablecoin' }
+        : { price: 1, symbol: `MOCK${address.slice(-4).toUpperCase()}`, name: `Mock token ${address.slice(0, 8)}` };
+    const { price, symbol, name } = { ...defaults, ...settings };
+    tokens.set(address, { symbol, name, changes: [{ at: historyStart, price }] });
+  }
+  return tokens.get(address);
+}
+
+/**
+ * A token's pool: against DAI for WPLS, against WPLS for every other token.
+ * @param {string} address - Lowercase token address
+ * @returns {string} The pool address
+ */
+function poolOf(address) {
+  tokenEntry(address);
+  const quote = address === WPLS_ADDRESS ? DAI_ADDRESS : WPLS_ADDRESS;
+  tokenEntry(quote);
+  const pool = `0x${'ee'.repeat(2)}${address.slice(6)}`;
+  pools.set(pool, { base: address, quote });
+  return pool;
+}
+
+/**
+ * A token's price in PLS at a time.
+ * @param {string} address
+ * @param {number} at - Unix timestamp (seconds)
+ * @returns {number}
+ */
+function priceAt(address, at) {
+  const { changes } = tokenEntry(address);
+  let price = changes[0].price;
+  for (const change of changes) {
+    if (change.at > at) break;
+    price = change.price;
+  }
+  return price;
+}
+
+/**
+ * Builds a candle of a token's price in PLS.
+ * @param {string} address
+ * @param {number} start - Unix timestamp (seconds)
+ * @param {number} end
+ * @returns {{open: number, high: number, low: number, close: number}}
+ */
+function candle(address, start, end) {
+  const open = priceAt(address, start);
+  const close = priceAt(address, end);
+  const inside = tokenEntry(address).changes.filter(c => c.at > start && c.at <= end).map(c => c.price);
+  return { open, high: Math.max(open, close, ...inside), low: Math.min(open, close, ...inside), close };
+}
+
+/**
+ * Pool resource, as GeckoTerminal returns it.
+ * @param {string} pool
+ * @returns {Object}
+ */
+function poolResource(pool) {
+  const { base, quote } = pools.get(pool);
+  return {
+    id: `pulsechain_${pool}`,
+    type: 'pool',
+    attributes: {
+      address: pool,
+      name: `${tokenEntry(base).symbol} / ${tokenEntry(quote).symbol}`,
+      reserve_in_usd: '1000000',
+      pool_created_at: new Date(historyStart * 1000).toISOString(),
+      volume_usd: { h24: '10000' }
+    },
+    relationships: {
+      base_token: { data: { id: `pulsechain_${base}`, type: 'token' } },
+      quote_token: { data: { id: `pulsechain_${quote}`, type: 'token' } },
+      dex: { data: { id: 'pulsex', type: 'dex' } }
+    }
+  };
+}
+
+/**
+ * OHLCV of a pool, newest first, as GeckoTerminal returns it.
+ * @param {string} pool
+ * @param {string} timeframe - 'minute', 'hour' or 'day'
+ * @param {URLSearchParams} params - aggregate, limit, before_timestamp, currency, token
+ * @returns {Object}
+ */
+function ohlcvResource(pool, timeframe, params) {
+  const { base, quote } = pools.get(pool);
+  const step = TIMEFRAME_MS[timeframe] / 1000 * parseInt(params.get('aggregate') || 1, 10);
+  const limit = Math.min(parseInt(params.get('limit') || 100, 10), 1000);
+  const now = Math.floor(Date.now() / 1000);
+  const before = params.has('before_timestamp') ? parseInt(params.get('before_timestamp'), 10) : now + 1;
+  const requested = (params.get('token') || 'base').toLowerCase();
+  const token = requested === 'quote' || requested === quote ? quote : base;
+  const other = token === base ? quote : base;
+
+  // Prices of the token in the other one, or in USD
+  const inOther = params.get('currency') === 'token';
+  const list = [];
+  for (let start = Math.floor((Math.min(before, now + 1) - 1) / step) * step; list.length < limit && start >= historyStart; start -= step) {
+    const end = Math.min(start + step, now);
+    const a = candle(token, start, end);
+    const b = inOther ? candle(other, start, end) : null;
+    const open = inOther ? a.open / b.open : a.open * plsUsd;
+    const close = inOther ? a.close / b.close : a.close * plsUsd;
+    // Extremes of a quotient are bounded by the extremes of its terms
+    const high = inOther ? a.high / b.low : a.high * plsUsd;
+    const low = inOther ? a.low / b.high : a.low * plsUsd;
+    list.push([start, open, Math.max(high, open, close), Math.min(low, open, close), close, 1000]);
+  }
+  return {
+    data: { id: pool, type: 'ohlcv_request_response', attributes: { ohlcv_list: list } },
+    meta: {
+      base: { address: token, symbol: tokenEntry(token).symbol },
+      quote: { address: other, symbol: tokenEntry(other).symbol }
+    }
+  };
+}
+
+/**
+ * Reads a request body as JSON.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<*>}
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Answers one request.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handle(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const send = (status, body) => {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  let m;
+
+  if (url.pathname === '/mock/prices') {
+    if (req.method === 'POST') {
+      let changes;
+      try {
+        changes = await readJson(req);
+      } catch (error) {
+        return send(400, { error: `Invalid JSON: ${error.message}` });
+      }
+      const at = Math.floor(Date.now() / 1000);
+      for (const [address, price] of Object.entries(changes)) {
+        if (!(Number(price) > 0)) return send(400, { error: `Invalid price for ${address}: ${price}` });
+        tokenEntry(address.toLowerCase()).changes.push({ at, price: Number(price) });
+        console.log(`${new Date().toISOString()} ${tokenEntry(address.toLowerCase()).symbol} = ${price} PLS`);
+      }
+    }
+    return send(200, Object.fromEntries([...tokens].map(([address, t]) => [address, priceAt(address, Date.now() / 1000)])));
+  }
+
+  if ((m = url.pathname.match(/^\/api\/v2\/networks\/[\w-]+\/tokens\/(0x[0-9a-fA-F]{40})\/pools$/))) {
+    return send(200, { data: [poolResource(poolOf(m[1].toLowerCase()))] });
+  }
+  if ((m = url.pathname.match(/^\/api\/v2\/networks\/[\w-]+\/tokens\/(0x[0-9a-fA-F]{40})$/))) {
+    const token = tokenEntry(m[1].toLowerCase());
+    return send(200, { data: { id: `pulsechain_${m[1].toLowerCase()}`, type: 'token', attributes: { address: m[1].toLowerCase(), name: token.name, symbol: token.symbol } } });
+  }
+  if ((m = url.pathname.match(/^\/api\/v2\/networks\/[\w-]+\/pools\/(0x[0-9a-fA-F]+)\/ohlcv\/(minute|hour|day)$/))) {
+    const pool = m[1].toLowerCase();
+    return pools.has(pool) ? send(200, ohlcvResource(pool, m[2], url.searchParams)) : send(404, { errors: [{ status: '404', title: 'Not Found' }] });
+  }
+  if ((m = url.pathname.match(/^\/api\/v2\/networks\/[\w-]+\/pools\/(0x[0-9a-fA-F]+)$/))) {
+    const pool = m[1].toLowerCase();
+    return pools.has(pool) ? send(200, { data: poolResource(pool) }) : send(404, { errors: [{ status: '404', title: 'Not Found' }] });
+  }
+  return send(404, { errors: [{ status: '404', title: 'Not Found' }] });
+}
+
+if (flags.prices) {
+  const initial = JSON.parse(fs.readFileSync(flags.prices, 'utf8'));
+  for (const [address, value] of Object.entries(initial)) {
+    tokenEntry(address.toLowerCase(), typeof value === 'number' ? { price: value } : value);
+  }
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch(error => {
+    res.writeHead(500, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: error.message }));
+  });
+});
+server.listen(port, '127.0.0.1', () => {
+  // With --port=0 the system picks a free port; tests read it from this line
+  console.log(`Mock GeckoTerminal API on http://127.0.0.1:${server.address().port}/api/v2 (${historyDays} days of flat history; POST /mock/prices to move prices)`);
+});
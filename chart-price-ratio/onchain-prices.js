@@ -0,0 +1,216 @@
+/**
+ * onchain-prices.js
+ *
+ * Standalone module that prices a token from PulseX pair reserves read directly over RPC, as an
+ * API-key-free alternative to GeckoTerminal whose history can be reproduced from any archive node
+ * (or a local Anvil/Hardhat fork of one).
+ *
+ * Logic:
+ * - Finds the token's WPLS pair on the PulseX V1 and V2 factories (getPair) and keeps the one holding
+ *   the most WPLS at the chain head; a pool pinned for the token is used instead, if it pairs with WPLS.
+ * - Samples one close per hour or day (or per several, with aggregate): for each of the last N periods, the block closest to the end of
+ *   the period is resolved with findBlockByTimestamp (../check-token-balance/block-index.js), and the
+ *   pair's getReserves() at that block gives the close. The current period uses the latest block.
+ *   With endTimestamp, sampling ends with the period before it instead of the current one.
+ * - Samples are read newest first, and stop at the first block before the pair was deployed.
+ * - USD prices multiply by WPLS's price in the deepest WPLS/stablecoin pair, read at the same blocks.
+ * - Reserves give one price per sample, so each candle opens at the previous sample's close.
+ *
+ * Reserves at past blocks need an archive node; a pruned node fails with a hint to use one.
+ *
+ * Used by pulse-token-ratio.js.
+ */
+
+import { ethers } from 'ethers';
+
+import { findBlockByTimestamp } from '../check-token-balance/block-index.js';
+import { WPLS_ADDRESS, USD_STABLECOINS } from './quote-conversion.js';
+import { TIMEFRAME_MS, toCandle } from './candles.js';
+
+/** PulseX factories searched for pairs, newest first. */
+export const PULSEX_FACTORIES = {
+  '0x29ea7545def87022badc76323f373ea1e707c523': 'PulseX V2',
+  '0x1715a3e4a142d8b698131108995174f37aeba10d': 'PulseX V1'
+};
+
+const FACTORY_ABI = ['function getPair(address tokenA, address tokenB) view returns (address pair)'];
+const PAIR_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+];
+const ERC20_ABI = ['function decimals() view returns (uint8)'];
+
+/**
+ * Describes a pair from the point of view of one of its tokens.
+ * @param {ethers.Provider} provider
+ * @param {string} pairAddress
+ * @param {string} tokenAddress - The token to price (lowercase)
+ * @param {string} label - Name used in paths and logs, e.g. 'PulseX V2'
+ * @returns {Promise<?{address: string, name: string, contract: ethers.Contract, tokenIs0: boolean,
+ *          counterpart: string, tokenDecimals: number, counterpartDecimals: number}>}
+ *          The pair, or null if it does not contain the token
+ */
+async function describePair(provider, pairAddress, tokenAddress, label) {
+  const contract = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+  const [token0, token1] = (await Promise.all([contract.token0(), contract.token1()])).map(a => a.toLowerCase());
+  if (token0 !== tokenAddress && token1 !== tokenAddress) return null;
+
+  const tokenIs0 = token0 === tokenAddress;
+  const counterpart = tokenIs0 ? token1 : token0;
+  const [tokenDecimals, counterpartDecimals] = await Promise.all(
+    [tokenAddress, counterpart].map(a => new ethers.Contract(a, ERC20_ABI, provider).decimals().then(Number))
+  );
+  return {
+    address: pairAddress.toLowerCase(),
+    name: `${label} ${pairAddress.slice(0, 8)}...`,
+    contract,
+    tokenIs0,
+    counterpart,
+    tokenDecimals,
+    counterpartDecimals
+  };
+}
+
+/**
+ * Finds the PulseX pair of a token against one of several counterparts holding the most of that
+ * counterpart at the chain head.
+ * @param {ethers.Provider} provider
+ * @param {string} tokenAddress - Token contract address (lowercase)
+ * @param {Array<string>} counterparts - Acceptable counterpart token addresses (lowercase)
+ * @param {?string} [pinnedPool] - Pair to use instead, if it pairs the token with a counterpart
+ * @returns {Promise<Object>} The pair, as returned by describePair
+ * @throws {Error} If no such pair exists
+ */
+export async function findPair(provider, tokenAddress, counterparts, pinnedPool = null) {
+  if (pinnedPool) {
+    const pinned = await describePair(provider, pinnedPool, tokenAddress, 'pinned pair').catch(() => null);
+    if (pinned && counterparts.includes(pinned.counterpart)) {
+      return pinned;
+    }
+    console.warn(`Pinned pool ${pinnedPool} is not a PulseX pair of ${tokenAddress.slice(0, 8)}... with a usable counterpart; searching the factories.`);
+  }
+
+  let best = null;
+  let bestDepth = -1n;
+  for (const [factoryAddress, label] of Object.entries(PULSEX_FACTORIES)) {
+    const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, provider);
+    for (const counterpart of counterparts) {
+      const pairAddress = await factory.getPair(tokenAddress, counterpart);
+      if (pairAddress === ethers.ZeroAddress) continue;
+      const pair = await describePair(provider, pairAddress, tokenAddress, label);
+      const [reserve0, reserve1] = await pair.contract.getReserves();
+      // Counterparts have different decimals (DAI 18, USDC/USDT 6); compare their depth in whole units
+      const depth = (pair.tokenIs0 ? reserve1 : reserve0) * 10n ** BigInt(18 - pair.counterpartDecimals);
+      if (depth > bestDepth) {
+        best = pair;
+        bestDepth = depth;
+      }
+    }
+  }
+  if (!best) {
+    throw new Error(`No PulseX pair found for ${tokenAddress} against ${counterparts.join(', ')}`);
+  }
+  return best;
+}
+
+/**
+ * Reads a pair's price of its token, in units of its counterpart, at a block.
+ * @param {ethers.Provider} provider
+ * @param {Object} pair - As returned by describePair
+ * @param {number} blockTag
+ * @returns {Promise<?number>} The price, or null if the pair was not yet deployed or holds no reserves
+ * @throws {Error} If the reserves cannot be read for another reason (typically a non-archive node)
+ */
+export async function readPrice(provider, pair, blockTag) {
+  let reserve0, reserve1;
+  try {
+    [reserve0, reserve1] = await pair.contract.getReserves({ blockTag });
+  } catch (error) {
+    const code = await provider.getCode(pair.address, blockTag).catch(() => null);
+    if (code === '0x') return null;
+    throw new Error(`Cannot read reserves of ${pair.address} at block ${blockTag} (an archive node is needed for past blocks): ${error.shortMessage || error.message}`);
+  }
+  const [tokenReserve, counterpartReserve] = pair.tokenIs0 ? [reserve0, reserve1] : [reserve1, reserve0];
+  if (tokenReserve === 0n || counterpartReserve === 0n) return null;
+  return Number(ethers.formatUnits(counterpartReserve, pair.counterpartDecimals)) /
+    Number(ethers.formatUnits(tokenReserve, pair.tokenDecimals));
+}
+
+/**
+ * Fetches a token's closes in PLS or USD from PulseX pair reserves at historical blocks.
+ * @param {ethers.Provider} provider - Provider connected to a PulseChain archive node or fork
+ * @param {string} tokenAddress - Token contract address (lowercase)
+ * @param {string} timeframe - 'hour' or 'day'
+ * @param {number} limit - Maximum number of closes (one per hour or day, ending with the current one)
+ * @param {Object} [options]
+ * @param {string} [options.priceIn='pls'] - 'pls' or 'usd' (see PRICE_BASES in quote-conversion.js)
+ * @param {Object} [options.blockIndex] - Block index from openBlockIndex, or null to search without one
+ * @param {Object} [options.poolSelection] - Only pinnedPools (token → pool) is used
+ * @param {number} [options.aggregate=1] - Hours or days per sample, e.g. 4 for one close every 4 hours
+ * @param {number} [options.endTimestamp] - Only sample periods before this Unix timestamp (seconds)
+ * @returns {Promise<{closes: Array<Object>, path: string}>}
+ *          The candles (see candles.js; oldest first, timestamped at the start of their hour or day, opening at the
+ *          previous close; volume is always 0, since reserves do not record it), and a description of the pairs read
+ * @throws {Error} If no pair exists, the timeframe is unsupported, or reserves cannot be read
+ */
+export async function getOnchainCloses(provider, tokenAddress, timeframe, limit, {
+  priceIn = 'pls', blockIndex = null, poolSelection = {}, aggregate = 1, endTimestamp
+} = {}) {
+  const bucketMs = TIMEFRAME_MS[timeframe] * aggregate;
+  if (!bucketMs) {
+    throw new Error(`On-chain prices support hourly and daily samples, not '${timeframe}'`);
+  }
+  const pinnedPools = poolSelection.pinnedPools || {};
+
+  const pairs = [];
+  if (tokenAddress !== WPLS_ADDRESS) {
+    pairs.push(await findPair(provider, tokenAddress, [WPLS_ADDRESS], pinnedPools[tokenAddress]));
+  }
+  if (priceIn === 'usd') {
+    pairs.push(await findPair(provider, WPLS_ADDRESS, USD_STABLECOINS, pinnedPools[WPLS_ADDRESS]));
+  }
+  const path = pairs.length ? pairs.map(p => p.name).join(' × ') : 'WPLS = 1 PLS';
+
+  const latest = await provider.getBlock('latest');
+  const nowMs = latest.timestamp * 1000;
+  const endMs = endTimestamp ? Math.min(endTimestamp * 1000, nowMs) : nowMs;
+  // A bucket ending exactly at endTimestamp is the last one in range
+  const newestBucket = Math.ceil(endMs / bucketMs) * bucketMs - bucketMs;
+
+  const closes = [];
+  for (let i = 0; i < limit; i++) {
+    const bucket = newestBucket - i * bucketMs;
+    const closeMs = bucket + bucketMs;
+    // WPLS in PLS reads no pair, so needs no block
+    const blockNumber = closeMs > nowMs || pairs.length === 0
+      ? latest.number
+      : await findBlockByTimestamp(provider, closeMs / 1000, blockIndex);
+
+    let close = 1;
+    let deployed = true;
+    for (const pair of pairs) {
+      const price = await readPrice(provider, pair, blockNumber);
+      if (price === null) {
+        deployed = false;
+        break;
+      }
+      close *= price;
+    }
+    if (!deployed) break;
+
+    closes.push({ timestamp: bucket, close, volume: 0 });
+    if ((i + 1) % 50 === 0) {
+      console.log(`  ${tokenAddress.slice(0, 8)}...: ${i + 1} of ${limit} on-chain samples read`);
+    }
+  }
+
+  if (closes.length === 0) {
+    throw new Error(`No reserves found for ${tokenAddress} via ${path}`);
+  }
+  closes.reverse();
+  return {
+    closes: closes.map((c, i) => toCandle({ ...c, open: i > 0 ? closes[i - 1].close : c.close })),
+    path: `${path} (reserves)`
+  };
+}
@@ -1,64 +1,204 @@
 /**
  * pool-selector.js
- * 
+ *
  * Standalone module for intelligently selecting the best liquidity pool
  * for a given token on GeckoTerminal.
- * 
- * Logic:
- * - Fetches the top 5 pools by liquidity.
- * - Measures historical data depth (daily candles) for each.
- * - Prefers the highest-liquidity pool.
- * - If that pool has less than 50% of the deepest history available,
- *   switches to the pool with the longest history, provided it has
- *   at least 10% of the top pool's liquidity.
- * 
- * This prevents using a high-liquidity but brand-new pool when
- * a slightly lower-liquidity pool has much deeper historical data.
+ *
+ * Strategies (options.strategy):
+ * - auto (default):
+ *   - Takes the top 5 pools by liquidity.
+ *   - Estimates each pool's history depth from its creation time (pool_created_at),
+ *     downloading daily candles only for pools without one.
+ *   - Prefers the highest-liquidity pool.
+ *   - If that pool has less than 50% of the deepest history available,
+ *     switches to the pool with the longest history, provided it has
+ *     at least 10% of the top pool's liquidity.
+ *   This prevents using a high-liquidity but brand-new pool when
+ *   a slightly lower-liquidity pool has much deeper historical data.
+ * - liquidity: the pool with the highest reserve_in_usd.
+ * - history:   the oldest pool (earliest pool_created_at).
+ * - volume:    the pool with the highest 24h volume.
+ * - quote:     the highest-liquidity pool quoted in one of options.preferredQuote
+ *              (falls back to auto if the token has no such pool).
+ * The history and volume strategies only consider pools with at least 10% of the top
+ * pool's liquidity, so a thin or manipulated pair cannot win on age or wash volume.
+ *
+ * For every strategy:
+ * - A pool pinned for the token (options.pinnedPools) is used as is.
+ * - Pools in options.excludePools are never selected.
+ *
+ * Selected pools carry their base and quote token addresses, so callers can tell
+ * which token a pool's prices are quoted in (see quote-conversion.js).
  */
 
-import { getClosesGecko } from './pulse-token-ratio.js'; // Circular avoided: only used internally
+import { geckoApiUrl, getClosesGecko } from './gecko-terminal.js';
+import { cached } from './response-cache.js';
+import { getJson } from './http-client.js';
+
+/** Strategies accepted by getBestPoolWithHistory. */
+export const POOL_STRATEGIES = ['auto', 'liquidity', 'history', 'volume', 'quote'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
- * Fetches the best liquidity pool for a token using GeckoTerminal,
- * prioritizing history depth when the top pool is shallow.
- * 
+ * Fetches a token's pools from GeckoTerminal (first page, as returned by the API), through the response cache.
+ *
  * @param {string} tokenAddress - Token contract address (lowercase)
  * @param {string} network - Network name for GeckoTerminal API (e.g., 'pulsechain')
- * @param {number} maxCandles - Maximum candles to fetch for history check
- * @returns {Promise<{address: string, name: string, liquidity: number, historyDays: number}>}
- *          Selected pool details
+ * @returns {Promise<Array<Object>>} Pool resources, each with `attributes` and `relationships`
+ */
+async function fetchPools(tokenAddress, network) {
+  return cached('pools', `${network}_${tokenAddress}`, async () => {
+    const url = geckoApiUrl(`/networks/${network}/tokens/${tokenAddress}/pools?page=1`);
+    const json = await getJson(url, { service: 'geckoterminal', endpoint: 'GeckoTerminal pool discovery', token: tokenAddress });
+    return json.data;
+  });
+}
+
+/**
+ * Fetches one pool from GeckoTerminal by address, through the response cache.
+ *
+ * @param {string} poolAddress - Pool contract address
+ * @param {string} network - Network name for GeckoTerminal API (e.g., 'pulsechain')
+ * @returns {Promise<Object>} The pool resource, with `attributes` and `relationships`
+ */
+async function fetchPool(poolAddress, network) {
+  return cached('pool', `${network}_${poolAddress}`, async () => {
+    const url = geckoApiUrl(`/networks/${network}/pools/${poolAddress}`);
+    const json = await getJson(url, { service: 'geckoterminal', endpoint: 'GeckoTerminal pool lookup', token: `pool ${poolAddress}` });
+    return json.data;
+  });
+}
+
+/**
+ * Reads a pool's base or quote token address from its GeckoTerminal relationships.
+ * Token ids have the form "<network>_<address>".
+ *
+ * @param {Object} pool - Pool resource from fetchPools
+ * @param {string} side - 'base_token' or 'quote_token'
+ * @returns {?string} The token address (lowercase), or null if missing
+ */
+function poolToken(pool, side) {
+  const id = pool.relationships?.[side]?.data?.id;
+  return id ? id.split('_').pop().toLowerCase() : null;
+}
+
+/**
+ * Flattens a GeckoTerminal pool resource into the pool details returned by this module.
+ *
+ * @param {Object} pool - Pool resource
+ * @returns {{address: string, name: string, liquidity: number, volume24h: number, createdAt: ?number, baseToken: ?string, quoteToken: ?string}}
+ *          createdAt is a millisecond timestamp
  */
-export async function getBestPoolWithHistory(tokenAddress, network = 'pulsechain', maxCandles = 1000) {
-  const url = `https://api.geckoterminal.com/api/v2/networks/${network}/tokens/${tokenAddress}/pools?page=1`;
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Gecko pool discovery failed (${res.status})`);
-  const json = await res.json();
-  let pools = json.data;
+function toPoolEntry(pool) {
+  const { attributes } = pool;
+  const createdAt = attributes.pool_created_at ? Date.parse(attributes.pool_created_at) : NaN;
+  return {
+    address: attributes.address,
+    name: attributes.name,
+    liquidity: parseFloat(attributes.reserve_in_usd) || 0,
+    volume24h: parseFloat(attributes.volume_usd?.h24) || 0,
+    createdAt: Number.isNaN(createdAt) ? null : createdAt,
+    baseToken: poolToken(pool, 'base_token'),
+    quoteToken: poolToken(pool, 'quote_token'),
+  };
+}
+
+/**
+ * Finds a token's highest-liquidity pool against one of the given counterpart tokens,
+ * e.g. a PLSX/WPLS pool to convert PLSX prices to PLS.
+ *
+ * @param {string} tokenAddress - Token contract address (lowercase)
+ * @param {Array<string>} counterparts - Acceptable counterpart token addresses (lowercase)
+ * @param {string} network - Network name for GeckoTerminal API (e.g., 'pulsechain')
+ * @returns {Promise<?{address: string, name: string, liquidity: number, baseToken: ?string, quoteToken: ?string}>}
+ *          The pool, or null if the token has no pool against any counterpart
+ */
+export async function findPoolPairedWith(tokenAddress, counterparts, network = 'pulsechain') {
+  const pools = (await fetchPools(tokenAddress, network)).map(toPoolEntry).filter(pool => {
+    const other = pool.baseToken === tokenAddress ? pool.quoteToken : pool.baseToken;
+    return counterparts.includes(other);
+  });
+  if (pools.length === 0) return null;
+
+  pools.sort((a, b) => b.liquidity - a.liquidity);
+  return pools[0];
+}
+
+/**
+ * Lists a token's top pools by liquidity, e.g. to build a composite price from several pools.
+ * A pool pinned for the token is the only pool listed; excluded pools are never listed.
+ *
+ * @param {string} tokenAddress - Token contract address (lowercase)
+ * @param {string} network - Network name for GeckoTerminal API (e.g., 'pulsechain')
+ * @param {number} count - Maximum number of pools
+ * @param {Object} [options] - Pool-selection options; pinnedPools and excludePools are used (see getBestPoolWithHistory)
+ * @returns {Promise<Array<{address: string, name: string, liquidity: number, volume24h: number, createdAt: ?number, baseToken: ?string, quoteToken: ?string}>>}
+ *          The pools, by liquidity descending
+ */
+export async function getTopPools(tokenAddress, network = 'pulsechain', count = 3, { pinnedPools = {}, excludePools = [] } = {}) {
+  const pinned = Object.entries(pinnedPools).find(([token]) => token.toLowerCase() === tokenAddress);
+  if (pinned) {
+    return [toPoolEntry(await fetchPool(pinned[1], network))];
+  }
+
+  const excluded = excludePools.map(a => a.toLowerCase());
+  const pools = (await fetchPools(tokenAddress, network))
+    .map(toPoolEntry)
+    .filter(p => !excluded.includes(p.address.toLowerCase()));
   if (pools.length === 0) throw new Error('No pools found on GeckoTerminal');
 
-  // Sort by liquidity descending
-  pools.sort((a, b) => parseFloat(b.attributes.reserve_in_usd) - parseFloat(a.attributes.reserve_in_usd));
-
-  // Limit to top 5 to reduce API load
-  const topPools = pools.slice(0, Math.min(5, pools.length));
-
-  const poolHistories = [];
-  for (const pool of topPools) {
-    try {
-      const ohlcv = await getClosesGecko(pool.attributes.address, 'day', maxCandles);
-      const historyLength = ohlcv.length;
-      const entry = {
-        address: pool.attributes.address,
-        name: pool.attributes.name,
-        liquidity: parseFloat(pool.attributes.reserve_in_usd),
-        historyDays: historyLength,
-      };
-      poolHistories.push(entry);
-      console.log(`Pool ${entry.address.slice(0, 8)}... (${entry.name}): Liquidity ~$${entry.liquidity.toLocaleString()}, History: ${entry.historyDays} days`);
-    } catch (err) {
-      console.warn(`Skipping pool ${pool.attributes.address}: no historical data`);
+  pools.sort((a, b) => b.liquidity - a.liquidity);
+  return pools.slice(0, count);
+}
+
+/**
+ * Measures each candidate's history depth in days: estimated from its creation time when
+ * known (capped at maxCandles), otherwise by downloading its daily candles.
+ *
+ * @param {Array<Object>} pools - Pool entries from toPoolEntry
+ * @param {string} network - Network name for GeckoTerminal API
+ * @param {number} maxCandles - Maximum candles to fetch (and history days to count)
+ * @returns {Promise<Array<Object>>} The pools that have history, with `historyDays` set
+ */
+async function measureHistory(pools, network, maxCandles) {
+  const measured = [];
+  for (const pool of pools) {
+    if (pool.createdAt !== null) {
+      const historyDays = Math.min(maxCandles, Math.max(1, Math.ceil((Date.now() - pool.createdAt) / DAY_MS)));
+      measured.push({ ...pool, historyDays });
+    } else {
+      try {
+        const ohlcv = await getClosesGecko(pool.address, 'day', maxCandles, { network });
+        measured.push({ ...pool, historyDays: ohlcv.length });
+      } catch (err) {
+        console.warn(`Skipping pool ${pool.address}: no historical data`);
+        continue;
+      }
     }
+    const entry = measured[measured.length - 1];
+    console.log(`Pool ${entry.address.slice(0, 8)}... (${entry.name}): Liquidity ~$${entry.liquidity.toLocaleString()}, History: ${entry.historyDays} days`);
   }
+  return measured;
+}
+
+/**
+ * The default strategy: highest liquidity, unless it is much shallower in history than an
+ * alternative with decent liquidity.
+ *
+ * @param {Array<Object>} pools - Candidate pool entries, sorted by liquidity descending
+ * @param {string} tokenAddress - Token contract address (for log messages)
+ * @param {string} network - Network name for GeckoTerminal API
+ * @param {number} maxCandles - Maximum candles to fetch for history check
+ * @param {Object} thresholds
+ * @param {number} thresholds.candidates - Number of top-liquidity pools considered
+ * @param {number} thresholds.historyThreshold - Fraction of the deepest history the top pool needs
+ * @param {number} thresholds.liquidityFloor - Fraction of the top pool's liquidity an alternative needs
+ * @returns {Promise<Object>} The selected pool entry, with `historyDays`
+ */
+async function selectAuto(pools, tokenAddress, network, maxCandles, { candidates, historyThreshold, liquidityFloor }) {
+  // Limit to the top candidates to reduce API load
+  const poolHistories = await measureHistory(pools.slice(0, candidates), network, maxCandles);
 
   if (poolHistories.length === 0) throw new Error('No pools with historical data found');
 
@@ -69,13 +209,13 @@ export async function getBestPoolWithHistory(tokenAddress, network = 'pulsechain
   const topLiquidity = topPool.liquidity;
 
   // Use top liquidity pool if it has reasonable history
-  if (topPool.historyDays >= 0.5 * maxHistory) {
+  if (topPool.historyDays >= historyThreshold * maxHistory) {
     console.log(`Selected top liquidity pool for ${tokenAddress.slice(0, 8)}...: ${topPool.name} (${topPool.address})`);
     return topPool;
   }
 
   // Look for deeper-history alternative with decent liquidity
-  const thresholdLiquidity = 0.1 * topLiquidity;
+  const thresholdLiquidity = liquidityFloor * topLiquidity;
   const goodAlternatives = poolHistories.filter(
     p => p.historyDays === maxHistory && p.liquidity >= thresholdLiquidity
   );
@@ -91,3 +231,84 @@ export async function getBestPoolWithHistory(tokenAddress, network = 'pulsechain
   console.log(`No suitable deeper-history pool found; using top liquidity pool for ${tokenAddress.slice(0, 8)}...: ${topPool.name} (${topPool.address})`);
   return topPool;
 }
+
+/**
+ * Fetches the best liquidity pool for a token using GeckoTerminal, by the given strategy
+ * (see the module header). Only the pool metadata is downloaded, except by the auto
+ * strategy for pools without a creation time.
+ *
+ * @param {string} tokenAddress - Token contract address (lowercase)
+ * @param {string} network - Network name for GeckoTerminal API (e.g., 'pulsechain')
+ * @param {number} maxCandles - Maximum candles to fetch for history check
+ * @param {Object} [options]
+ * @param {string} [options.strategy='auto'] - One of POOL_STRATEGIES
+ * @param {string|Array<string>} [options.preferredQuote] - Quote token address(es) for the quote strategy
+ * @param {Object<string, string>} [options.pinnedPools] - Token address → pool address to always use
+ * @param {Array<string>} [options.excludePools] - Pool addresses never to select
+ * @param {number} [options.candidates=5] - Number of top-liquidity pools the auto strategy considers
+ * @param {number} [options.historyThreshold=0.5] - Fraction of the deepest history the auto strategy's top pool needs
+ * @param {number} [options.liquidityFloor=0.1] - Fraction of the top pool's liquidity other picks need
+ * @returns {Promise<{address: string, name: string, liquidity: number, volume24h: number, createdAt: ?number, historyDays: ?number, baseToken: ?string, quoteToken: ?string}>}
+ *          Selected pool details (historyDays is set by the auto strategy)
+ */
+export async function getBestPoolWithHistory(tokenAddress, network = 'pulsechain', maxCandles = 1000, options = {}) {
+  const {
+    strategy = 'auto',
+    preferredQuote = [],
+    pinnedPools = {},
+    excludePools = [],
+    candidates = 5,
+    historyThreshold = 0.5,
+    liquidityFloor = 0.1
+  } = options;
+
+  if (!POOL_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid pool strategy '${strategy}'. Supported values: ${POOL_STRATEGIES.join(', ')}.`);
+  }
+
+  const pinned = Object.entries(pinnedPools).find(([token]) => token.toLowerCase() === tokenAddress);
+  if (pinned) {
+    const pool = toPoolEntry(await fetchPool(pinned[1], network));
+    console.log(`Using pinned pool for ${tokenAddress.slice(0, 8)}...: ${pool.name} (${pool.address})`);
+    return { ...pool, historyDays: null };
+  }
+
+  const excluded = excludePools.map(a => a.toLowerCase());
+  const pools = (await fetchPools(tokenAddress, network))
+    .map(toPoolEntry)
+    .filter(p => !excluded.includes(p.address.toLowerCase()));
+  if (pools.length === 0) throw new Error('No pools found on GeckoTerminal');
+
+  // Sort by liquidity descending
+  pools.sort((a, b) => b.liquidity - a.liquidity);
+
+  const thresholds = { candidates, historyThreshold, liquidityFloor };
+  const liquid = pools.filter(p => p.liquidity >= liquidityFloor * pools[0].liquidity);
+  let selected;
+
+  switch (strategy) {
+    case 'liquidity':
+      selected = pools[0];
+      break;
+    case 'history':
+      selected = liquid.filter(p => p.createdAt !== null).sort((a, b) => a.createdAt - b.createdAt)[0] || pools[0];
+      break;
+    case 'volume':
+      selected = liquid.slice().sort((a, b) => b.volume24h - a.volume24h)[0];
+      break;
+    case 'quote': {
+      const quotes = [].concat(preferredQuote).map(a => a.toLowerCase());
+      selected = pools.find(p => quotes.includes(p.baseToken === tokenAddress ? p.quoteToken : p.baseToken));
+      if (!selected) {
+        console.warn(`No pool for ${tokenAddress.slice(0, 8)}... is quoted in a preferred quote token; using the auto strategy.`);
+        return selectAuto(pools, tokenAddress, network, maxCandles, thresholds);
+      }
+      break;
+    }
+    default:
+      return selectAuto(pools, tokenAddress, network, maxCandles, thresholds);
+  }
+
+  console.log(`Selected pool for ${tokenAddress.slice(0, 8)}... by ${strategy}: ${selected.name} (${selected.address})`);
+  return { ...selected, historyDays: null };
+}
@@ -6,19 +6,53 @@
  * 
  * How it works:
  *  - Primarily uses GeckoTerminal API (free, no key) to discover pools and fetch historical OHLCV data.
- *  - Smart pool selection via pool-selector.js module.
+ *  - Smart pool selection via pool-selector.js module, with a configurable strategy (auto, liquidity,
+ *    history, volume or preferred quote token), pinned pools and an exclusion list.
  *  - Computes the ratio: price_A_in_PLS / price_B_in_PLS → direct comparable ratio.
- *  - Supports hourly, daily, and weekly timeframes.
+ *    Each selected pool's quote token is detected, and its prices are converted to PLS (or USD with
+ *    --price-in=usd) through an intermediate pool if needed, e.g. token/PLSX × PLSX/WPLS (see quote-conversion.js),
+ *    so the ratio means the same thing whichever pools were selected.
+ *  - Supports 1m, 5m, 15m, hourly, 4h, 12h, daily, weekly, monthly and quarterly intervals, and any date range (--from/--to):
+ *    GeckoTerminal is paged backward with before_timestamp for as many requests as the range needs. Weekly, monthly and
+ *    quarterly candles are resampled from daily ones on calendar boundaries (ISO weeks from Monday 00:00 UTC), with
+ *    periods still running flagged as partial (see resample.js).
+ *  - Optional on-chain source (--source=onchain): prices are read from PulseX pair reserves (getReserves())
+ *    at the block closing each hour or day, resolved by date with the binary search of
+ *    ../check-token-balance/block-index.js (see onchain-prices.js). Needs an archive RPC or a local fork, but no API.
+ *    Also used as a fallback when GeckoTerminal's historical data fails (onchain.fallback in config.json).
+ *  - Optional composite pricing (--composite=N): each token's price is the liquidity- or volume-weighted
+ *    average of its top N pools, with pools deviating from the median rejected as outliers (see composite-price.js).
+ *  - Joins the two price series on bucketed timestamps (see align-series.js), so each ratio compares prices
+ *    from the same hour or day; gaps in either series are dropped, forward-filled or interpolated.
+ *  - Keeps full OHLCV candles throughout, and builds a synthetic ratio candle for each period: open and close are
+ *    exact, high and low the widest the two tokens' candles allow (high A / low B, low A / high B; see candles.js).
+ *  - Candlestick chart (--style=candles): the ratio candles with a volume sub-panel (both pools' USD volume).
  *  - Improved ASCII chart:
  *    • Y-scale uses data min/max with smart tick spacing for unique, readable values.
  *    • Uses sufficient precision to avoid repeated tick labels.
  *    • Switches to scientific notation for values < 0.0001.
  *    • All y-tick labels are right-padded for perfect visual alignment.
  *    • X-scale with perfectly aligned sparse date/hour labels — chronological (oldest left → newest right).
+ *  - Caches GeckoTerminal responses on disk (see response-cache.js): token info, pool lists and OHLCV series, each
+ *    with its own time to live. Cached series are topped up with only the candles newer than their tail, and
+ *    --offline renders purely from the cache.
+ *  - Optional indicators on the ratio (see indicators.js): SMA, EMA and Bollinger bands drawn over the chart, RSI
+ *    and percent change in panels below it; all are written to the CSV and machine-readable output.
+ *  - Comparison mode (--base=<token> <token> ...): each token / base ratio rebased to 100 at a common start date,
+ *    all in one chart with a legend, followed by a table of final returns, best first (see relative-performance.js).
+ *    Tokens may be given by symbol, resolved with the token registry of ../check-token-balance (token-registry.js).
  *  - Optional CSV export.
+ *  - Optional standalone HTML and SVG charts (--html, --svg; see svg-chart.js): the ratio line and its overlays,
+ *    with axis labels, hover tooltips for date and value, token names and addresses, and the source; no network
+ *    access needed to view them.
+ *  - Optional machine-readable output on stdout (--format=json|csv|ndjson), with logs sent to stderr.
+ *  - Watch mode (--watch): polls the ratio on a schedule and evaluates alert rules (crossing a level, moving Y% in
+ *    Z hours, deviating from its N-candle average; see alert-rules.js), notifying on stdout, a webhook or a shell
+ *    command (see alert-notify.js). Rule state is persisted, so an alert fires once per crossing, across restarts.
  *  - Optional --useDexToolsOnly flag (and config option) to force current-price mode for testing.
  * 
- * Fallback: If GeckoTerminal fails, uses current USD prices via DexTools v2 API.
+ * Fallback: If GeckoTerminal fails, reads historical prices on-chain (unless onchain.fallback is false), and if that
+ * fails too, uses current USD prices via DexTools v2 API.
  * 
  * Installation:
  *   1. Ensure Node.js v18+ is installed.
@@ -36,10 +70,55 @@
  *     --host=<value>          (overrides dextools.host URL)
  *     --version=<value>       (overrides dextools.version, e.g., v3)
  *     --csv-filename=<value>  (overrides csvFilename, e.g., my_ratio.csv)
- *     --interval=<value>      (overrides interval: hourly/daily/weekly)
+ *     --interval=<value>      (overrides interval: 1m/5m/15m/hourly/4h/12h/daily/weekly/monthly/quarterly)
+ *     --from=<date>           (first date charted: YYYY-MM-DD (UTC), a UTC date-time such as 2024-05-13T12:00, or a Unix
+ *                             timestamp; --max-candles is then ignored)
+ *     --to=<date>             (last date charted, same formats; a bare date includes that whole day; default: now)
  *     --max-candles=<number>  (overrides maxCandles, e.g., 500)
- *     --weekly-days=<number>  (overrides weeklyResampleDays, e.g., 14 for bi-weekly)
+ *     --weekly-days=<number>  (overrides weeklyResampleDays, e.g., 14 for bi-weekly, counted in whole weeks from Mondays)
+ *     --gap-policy=<value>    (overrides gapPolicy: drop (default), ffill or interpolate)
+ *     --price-in=<value>      (overrides priceIn: pls (default) or usd, the common base both tokens are priced in)
+ *     --pool-strategy=<value> (overrides poolSelection.strategy: auto (default), liquidity, history, volume or quote)
+ *     --preferred-quote=<addresses>  (overrides poolSelection.preferredQuote: comma-separated quote token addresses for
+ *                             the quote strategy)
+ *     --pin-pool=<token:pool,...>    (adds to poolSelection.pinnedPools: always use this pool for this token)
+ *     --exclude-pools=<addresses>    (adds to poolSelection.excludePools: comma-separated pools never to select)
+ *     --composite=<number>    (overrides composite.pools: price each token from its top N pools; 1 = single pool)
+ *     --composite-weighting=<value>  (overrides composite.weighting: liquidity (default) or volume)
+ *     --outlier-threshold=<number>   (overrides composite.outlierThreshold, e.g., 0.1 rejects pools >10% off the median)
+ *     --source=<value>        (overrides source: geckoterminal (default) or onchain)
+ *     --rpc=<url>             (overrides onchain.rpc, the archive RPC or fork used by the on-chain source)
+ *     --block-index=<path>    (overrides onchain.blockIndexFile, the date-to-block index shared with check-token-balance)
+ *     --offline               (renders from the response cache only; fails on anything not cached)
+ *     --no-cache              (neither reads nor writes the response cache)
+ *     --cache-dir=<path>      (overrides cache.dir, default .cache/geckoterminal)
+ *     --request-budget=<n>    (overrides http.requestBudget: most GeckoTerminal/DexTools requests this run may send,
+ *                             retries included; 0 = unlimited)
+ *     --gecko-rate=<n>        (overrides http.ratePerMinute.geckoterminal: GeckoTerminal requests per minute, e.g. a
+ *                             high rate against a local mock-price-server.js)
  *     --useDexToolsOnly       (forces DexTools current price mode, bypassing GeckoTerminal)
+ *     --format=<value>        (text (default), json, csv or ndjson; see "Machine-readable output" below)
+ *     --style=<value>         (overrides chartStyle: line (default, closes only) or candles)
+ *     --scale=<value>         (overrides chartScale: linear (default) or log, for ratios moving by orders of magnitude)
+ *     --mode=<value>          (overrides chartMode: ratio (default) or pct, the chart rebased to 0% at its first point)
+ *     --sma=<periods>         (overrides indicators.sma: simple moving averages of the ratio, e.g. --sma=20,50)
+ *     --ema=<periods>         (overrides indicators.ema: exponential moving averages, e.g. --ema=12,26)
+ *     --bollinger=<period,k>  (overrides indicators.bollinger: Bollinger bands, e.g. --bollinger=20,2)
+ *     --rsi[=<period>]        (overrides indicators.rsi: relative strength index, default period 14)
+ *     --pct-change=<points>   (overrides indicators.pctChange: percent change over a lookback, e.g. 7 daily points)
+ *     --html=<path>           (also writes the chart as a standalone HTML page, with hover tooltips)
+ *     --svg=<path>            (also writes the chart as a standalone SVG file, with hover tooltips)
+ *     --base=<token>          (comparison mode: the positional arguments are the tokens to compare against this one)
+ *     --token-registry=<path> (overrides tokenRegistryFile, the symbol → address file used by comparison mode;
+ *                             default ../check-token-balance/tokens.json)
+ *     --gecko-api=<url>       (overrides geckoTerminalApi, the GeckoTerminal API root, e.g. a mock-price-server.js)
+ *     --watch                 (watch mode: poll the ratio and evaluate the alert rules of watch.rules)
+ *     --once                  (with --watch: poll once and exit, e.g. from cron; exits with status 1 if the poll fails)
+ *     --poll=<seconds>        (overrides watch.pollSeconds, the time between polls)
+ *     --alert-rules=<path>    (JSON file with an array of alert rules, used instead of watch.rules)
+ *     --alert-state=<path>    (overrides watch.stateFile, where rule state is kept between polls and runs)
+ *     --webhook=<url>         (overrides watch.notify.webhook: POST each alert as JSON to this URL)
+ *     --notify-command=<cmd>  (overrides watch.notify.command: run this shell command for each alert)
  * 
  * Requirements:
  *   Node.js v18+ (native fetch, ESM support)
@@ -52,6 +131,11 @@
  *   # Specify interval
  *   node pulse-token-ratio.js <tokenA> <tokenB> daily
  *   node pulse-token-ratio.js <tokenA> <tokenB> hourly
+ *   node pulse-token-ratio.js <tokenA> <tokenB> 4h
+ * 
+ *   # A launch week in 4-hour candles, or a whole year in monthly ones
+ *   node pulse-token-ratio.js <tokenA> <tokenB> 4h --from=2024-05-13 --to=2024-05-19
+ *   node pulse-token-ratio.js <tokenA> <tokenB> monthly --from=2023-01-01 --to=2023-12-31
  * 
  *   # With CSV export
  *   node pulse-token-ratio.js <tokenA> <tokenB> weekly --csv
@@ -65,23 +149,146 @@
  *   # Combine interval and overrides
  *   node pulse-token-ratio.js <tokenA> <tokenB> weekly --max-candles=500 --weekly-days=14 --csv
  * 
+ *   # Forward-fill gaps in either pool's history instead of dropping those days
+ *   node pulse-token-ratio.js <tokenA> <tokenB> daily --gap-policy=ffill
+ * 
+ *   # Avoid a thin pair: pick each token's oldest pool, never a known manipulated one
+ *   node pulse-token-ratio.js <tokenA> <tokenB> daily --pool-strategy=history --exclude-pools=0xBadPool
+ * 
+ *   # Composite price from each token's top 3 pools, weighted by per-candle volume
+ *   node pulse-token-ratio.js <tokenA> <tokenB> daily --composite=3 --composite-weighting=volume
+ * 
+ *   # Read prices from PulseX reserves on a local Anvil fork instead of GeckoTerminal
+ *   anvil --fork-url https://your-archive-rpc.com --fork-block-number 23000000
+ *   node pulse-token-ratio.js <tokenA> <tokenB> daily --source=onchain --rpc=http://127.0.0.1:8545 --max-candles=90
+ * 
+ *   # Rerun the last chart with another gap policy, without touching the network
+ *   node pulse-token-ratio.js <tokenA> <tokenB> daily --offline --gap-policy=interpolate
+ * 
+ *   # Candlestick chart of the ratio, with volume
+ *   node pulse-token-ratio.js <tokenA> <tokenB> daily --style=candles
+ * 
+ *   # A pair that moved 100x over its history: log scale, or % change since the first point
+ *   node pulse-token-ratio.js <tokenA> <tokenB> daily --max-candles=1000 --scale=log
+ *   node pulse-token-ratio.js <tokenA> <tokenB> daily --mode=pct
+ * 
+ *   # Time rotations: 20/50-day averages, Bollinger bands and RSI on the ratio
+ *   node pulse-token-ratio.js <tokenA> <tokenB> daily --sma=20,50 --bollinger=20,2 --rsi --csv
+ * 
+ *   # Which holdings outperformed PLS? (symbols from the token registry; PLS is priced as WPLS)
+ *   node pulse-token-ratio.js --base=PLS HEX PLSX INC daily --max-candles=90
+ * 
+ *   # Share a chart: a self-contained web page and an SVG image
+ *   node pulse-token-ratio.js <tokenA> <tokenB> daily --html=ratio.html --svg=ratio.svg
+ * 
+ *   # Alert when a rotation target is hit: check every 5 minutes, post alerts to a local relay
+ *   node pulse-token-ratio.js <tokenA> <tokenB> hourly --watch --poll=300 --webhook=http://127.0.0.1:9000/alerts
+ * 
+ *   # Try alert rules against a local mock market, moving prices by hand
+ *   node mock-price-server.js --port=8787
+ *   node pulse-token-ratio.js <tokenA> <tokenB> hourly --watch --gecko-api=http://127.0.0.1:8787/api/v2 --no-cache
+ *   curl -X POST -d '{"<tokenA>": 1.5}' http://127.0.0.1:8787/mock/prices
+ * 
+ *   # Pipe the ratio series into another script
+ *   node pulse-token-ratio.js <tokenA> <tokenB> daily --format=ndjson | my-script
+ * 
+ * Machine-readable output (--format=json|csv|ndjson):
+ *   The chart and log chatter (pool selection, warnings) go to stderr; stdout carries one record per ratio point,
+ *   oldest first, with these fields in this order:
+ *     date        UTC date (YYYY-MM-DD), or date and time (YYYY-MM-DD HH:MM) for intraday intervals
+ *     timestamp   Unix timestamp in milliseconds of the candle
+ *     tokenA      Token A contract address
+ *     symbolA     Token A symbol, or null if unknown
+ *     tokenB      Token B contract address
+ *     symbolB     Token B symbol, or null if unknown
+ *     priceA      Token A close price, in PLS (or USD with --price-in=usd)
+ *     priceB      Token B close price, in the same base
+ *     ratio       priceA / priceB (the ratio candle's close)
+ *     ratioOpen   Open of the ratio candle
+ *     ratioHigh   High of the ratio candle (an upper bound, see candles.js)
+ *     ratioLow    Low of the ratio candle (a lower bound)
+ *     volume      USD volume of both tokens' pools in the period (0 where unknown, e.g. on-chain prices)
+ *     interval    The interval (e.g. 4h, daily, monthly), or current (DexTools single point)
+ *     source      Description of the price source
+ *     partial     true if the candle's period had not ended (the current hour, day, week...), or for a resampled
+ *                 candle, if its daily candles do not cover the whole period (e.g. the data starts midweek)
+ *   Each requested indicator adds a field after these (null until it has enough history): sma<N>, ema<N>,
+ *   bollingerUpper, bollingerMiddle, bollingerLower, rsi<N> and pctChange<N> (in percent).
+ *   See ../output-format.js for the format conventions.
+ * 
+ * Comparing tokens against a base (--base):
+ *   The chart shows the first token as the line and the others as symbols (colored on a terminal). Indicators,
+ *   --style=candles and --mode do not apply. Machine-readable records hold one row per token and point, token by
+ *   token: date, timestamp, base (address), baseSymbol, token (address), symbol, ratio (token / base), rebased
+ *   (100 at the start), interval, source, partial. The CSV (--csv) has a date column and one rebased column per token.
+ * 
  * Notes:
  *  - Token addresses must be lowercase hex (0x + 40 chars).
  *  - For DexTools fallback, configure a valid apiKey in config.json or via --api-key flag.
- *  - Intervals finer than 'hourly' are not supported by GeckoTerminal and will cause graceful failure.
+ *  - GeckoTerminal candles come in 1, 5 and 15 minutes, 1, 4 and 12 hours, and 1 day; nothing finer than a minute.
+ *    Weekly, monthly and quarterly candles are resampled from daily ones. The on-chain source samples
+ *    hours and days only, so minute intervals need GeckoTerminal.
+ *  - A --from/--to range fetches every candle between the two dates, 1000 per request, ending at --to; a long range
+ *    of fine candles (a year of 15m is 35 requests per pool) counts against --request-budget. The chart starts at
+ *    --from or at the pool's first candle, whichever is later.
+ *  - The two series are joined on candle buckets (days for weekly, monthly and quarterly) before resampling. The number of
+ *    points filled in for each token, and of points dropped, is reported on each run.
+ *  - config.json "poolSelection" holds the pool-selection defaults: { "strategy", "preferredQuote", "pinnedPools"
+ *    (token → pool), "excludePools", "candidates", "historyThreshold", "liquidityFloor" } (see pool-selector.js).
+ *  - config.json "onchain" holds the on-chain source settings: { "rpc", "blockIndexFile", "fallback" }. On-chain
+ *    prices take one block search and one getReserves() call per sample (two for --price-in=usd), so keep
+ *    --max-candles modest on public RPCs; resolved blocks are kept in the block index for later runs.
+ *    Composite pricing, pool strategies and excluded pools apply to GeckoTerminal only; a pinned pool is used
+ *    on-chain if it is a PulseX pair with WPLS.
+ *  - config.json "cache" holds the response cache settings: { "enabled", "dir", "ttlSeconds": { "tokenInfo", "pools",
+ *    "pool", "ohlcv" } }. An OHLCV series younger than its TTL is used without asking GeckoTerminal for newer candles.
+ *  - config.json "http" holds the HTTP client settings shared by all GeckoTerminal and DexTools requests (see
+ *    http-client.js): { "timeoutMs", "maxRetries", "requestBudget", "ratePerMinute": { "geckoterminal", "dextools" } }.
+ *    Requests are spaced to each service's rate, and 429/5xx responses, timeouts and network errors are retried with
+ *    exponential backoff (honoring Retry-After), so a scripted batch of charts slows down instead of dying.
+ *  - config.json "composite" holds the composite defaults: { "pools" (1 = off), "weighting", "outlierThreshold" }.
  *  - Y-scale automatically computes unique tick values using a nice number algorithm.
  *  - X-scale shows sparse timestamps perfectly aligned with chart columns — chronological order (oldest left → newest right).
- *  - CSV includes columns: date, price_tokenA, price_tokenB, ratio.
+ *  - CSV includes columns: date, price_tokenA, price_tokenB, ratio (the close), ratio_open, ratio_high, ratio_low,
+ *    volume_usd, then one column per indicator line (sma_<N>, ema_<N>, bb_upper_<N>_<k>, bb_middle_<N>_<k>,
+ *    bb_lower_<N>_<k>, rsi_<N>, pct_change_<N>), empty until the indicator has enough history, and last partial
+ *    (true or false, as in the machine-readable output).
+ *  - config.json "indicators" holds the indicators drawn by default: { "sma": [periods], "ema": [periods],
+ *    "bollinger": { "period", "multiplier" } or null, "rsi": period or null, "pctChange": lookback or null }.
+ *  - config.json "watch" holds the watch-mode settings: { "pollSeconds", "stateFile", "rules", "notify": { "stdout",
+ *    "webhook", "command" } }. Rules are objects such as { "type": "above", "value": 0.5 }, { "type": "below", "value":
+ *    0.2 }, { "type": "move", "percent": 10, "hours": 24 } (optional "direction": "up" or "down") and { "type":
+ *    "deviation", "percent": 15, "period": 20 }, each with an optional "id" (see alert-rules.js). Rules are evaluated
+ *    on the chosen interval's candles, the last one being the current ratio; each poll tops up the cached series.
+ *    Watching needs history, so there is no DexTools fallback, and --base, --offline and --format do not apply.
  *  - Edit config.json for persistent changes; use flags for one-off overrides.
  */
 
-import asciichart from 'asciichart';
-
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
 
-import { getBestPoolWithHistory } from './pool-selector.js';
+import { POOL_STRATEGIES, getBestPoolWithHistory } from './pool-selector.js';
+import { DEFAULT_GECKO_API, configureGeckoTerminal, getTokenInfo } from './gecko-terminal.js';
+import { GAP_POLICIES, alignSeries } from './align-series.js';
+import { PRICE_BASES, WPLS_ADDRESS, getNormalizedCloses } from './quote-conversion.js';
+import { COMPOSITE_WEIGHTINGS, getCompositeCloses } from './composite-price.js';
+import { getOnchainCloses } from './onchain-prices.js';
+import { openBlockIndex } from '../check-token-balance/block-index.js';
+import { DEFAULT_CACHE_DIR, configureCache } from './response-cache.js';
+import { configureHttpClient, getJson, getRequestCount } from './http-client.js';
+import { parseOutputFormat, redirectLogsToStderr, writeRecords } from '../output-format.js';
+import { renderAsciiChart, renderCandlestickChart } from './ascii-chart.js';
+import { renderHtmlChart, renderSvgChart } from './svg-chart.js';
+import { TIMEFRAME_MS, combineCandles, flatCandle } from './candles.js';
+import { computeIndicators } from './indicators.js';
+import { resampleCandles } from './resample.js';
+import { describeRule, evaluateRules, loadAlertState, saveAlertState, validateRule } from './alert-rules.js';
+import { alertPayload, sendAlert } from './alert-notify.js';
+import { alignOnCommonStart, rebaseTo100, rankFinalReturns } from './relative-performance.js';
+import { DEFAULT_TOKEN_REGISTRY_FILE, loadTokenRegistry, resolveTokens } from '../check-token-balance/token-registry.js';
+import { NATIVE_TOKEN } from '../check-token-balance/multicall.js';
 
 // Resolve __dirname in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -105,6 +312,21 @@ const {
   interval: configInterval = 'weekly',
   maxCandles: defaultMaxCandles = 1000,
   weeklyResampleDays: defaultWeeklyResampleDays = 7,
+  gapPolicy: defaultGapPolicy = 'drop',
+  priceIn: defaultPriceIn = 'pls',
+  poolSelection: defaultPoolSelection = {},
+  composite: defaultComposite = {},
+  source: defaultSource = 'geckoterminal',
+  onchain: defaultOnchain = {},
+  cache: defaultCache = {},
+  http: defaultHttp = {},
+  chartStyle: defaultChartStyle = 'line',
+  chartScale: defaultChartScale = 'linear',
+  chartMode: defaultChartMode = 'ratio',
+  indicators: defaultIndicators = {},
+  tokenRegistryFile: defaultTokenRegistryFile = null,
+  geckoTerminalApi: defaultGeckoTerminalApi = DEFAULT_GECKO_API,
+  watch: defaultWatch = {},
   useDexToolsOnly: configUseDexToolsOnly = false
 } = config;
 
@@ -122,33 +344,159 @@ let positionalArgs = [];
 
 args.forEach(arg => {
   if (arg.startsWith('--')) {
-    const [key, value] = arg.slice(2).split('=');
-    flags[key] = value !== undefined ? value : true;
+    // Values may hold '=' themselves (webhook URLs, shell commands)
+    const [key, ...value] = arg.slice(2).split('=');
+    flags[key] = value.length > 0 ? value.join('=') : true;
   } else {
     positionalArgs.push(arg);
   }
 });
 
-if (positionalArgs.length < 2) {
-  console.error('Usage: node pulse-token-ratio.js <tokenA> <tokenB> [hourly|daily|weekly] [--csv] [--useDexToolsOnly] ...');
+/**
+ * Supported intervals: the GeckoTerminal timeframe and aggregate fetched (see OHLCV_AGGREGATES in gecko-terminal.js),
+ * and the resampling applied to them
+ */
+const INTERVALS = {
+  '1m': { timeframe: 'minute', aggregate: 1 },
+  '5m': { timeframe: 'minute', aggregate: 5 },
+  '15m': { timeframe: 'minute', aggregate: 15 },
+  hourly: { timeframe: 'hour', aggregate: 1 },
+  '4h': { timeframe: 'hour', aggregate: 4 },
+  '12h': { timeframe: 'hour', aggregate: 12 },
+  daily: { timeframe: 'day', aggregate: 1 },
+  weekly: { timeframe: 'day', aggregate: 1, resample: 'weekly' },
+  monthly: { timeframe: 'day', aggregate: 1, resample: 'monthly' },
+  quarterly: { timeframe: 'day', aggregate: 1, resample: 'quarterly' }
+};
+const isInterval = (arg) => Object.hasOwn(INTERVALS, arg);
+
+// With --base, every positional argument but the interval is a token to compare against the base
+const compareBase = typeof flags.base === 'string' ? flags.base : null;
+if (flags.base === true) {
+  console.error('--base needs a token, e.g. --base=PLS.');
   process.exit(1);
 }
+const tokenArgs = compareBase
+  ? positionalArgs.filter(a => !isInterval(a))
+  : positionalArgs.slice(0, 2);
 
-let tokenA = positionalArgs[0].toLowerCase();
-let tokenB = positionalArgs[1].toLowerCase();
+if (compareBase ? tokenArgs.length < 1 : positionalArgs.length < 2) {
+  console.error('Usage: node pulse-token-ratio.js <tokenA> <tokenB> [<interval>] [--from=<date>] [--to=<date>] [--csv] [--useDexToolsOnly] ...\n' +
+                '       node pulse-token-ratio.js --base=<token> <token> [<token> ...] [<interval>] ...\n' +
+                `Intervals: ${Object.keys(INTERVALS).join(', ')}`);
+  process.exit(1);
+}
 
-let interval = positionalArgs.slice(2).find(a => ['hourly', 'daily', 'weekly'].includes(a)) 
+let tokenA = compareBase ? null : positionalArgs[0].toLowerCase();
+let tokenB = compareBase ? null : positionalArgs[1].toLowerCase();
+
+let interval = positionalArgs.slice(compareBase ? 0 : 2).find(isInterval)
   || flags.interval 
   || configInterval;
 
-if (!['hourly', 'daily', 'weekly'].includes(interval)) {
-  console.error('Invalid or unsupported interval. Supported values: hourly, daily, weekly.\n' +
-                'Finer intervals (e.g., minute, second) are not available via GeckoTerminal OHLCV API.');
+if (!isInterval(interval)) {
+  console.error(`Invalid or unsupported interval. Supported values: ${Object.keys(INTERVALS).join(', ')}.\n` +
+                'Finer intervals (e.g., seconds) are not available via GeckoTerminal OHLCV API.');
+  process.exit(1);
+}
+
+const { timeframe: tf, aggregate, resample = null } = INTERVALS[interval];
+// Candle period fetched, before any weekly or monthly resampling
+const bucketMs = TIMEFRAME_MS[tf] * aggregate;
+const intraday = tf !== 'day';
+
+/**
+ * Formats a candle's date, with its hour and minute for intraday intervals
+ * @param {number} timestamp - Milliseconds
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+  const iso = new Date(timestamp).toISOString();
+  return intraday ? iso.replace('T', ' ').slice(0, 16) : iso.split('T')[0];
+}
+
+/**
+ * Whether a fetched candle's period is still running (weekly and monthly candles are flagged by resampleCandles)
+ * @param {number} timestamp - Start of the candle, milliseconds
+ * @returns {boolean}
+ */
+function isPartial(timestamp) {
+  return timestamp + bucketMs > Date.now();
+}
+
+/**
+ * Parses a --from or --to date: YYYY-MM-DD (UTC), an ISO date-time, or a Unix timestamp in seconds
+ * @param {string} value
+ * @param {string} flag - Flag name, for the error message
+ * @param {boolean} endOfDay - For a bare date, return the end of that day instead of its start
+ * @returns {number} Milliseconds
+ */
+function parseDateFlag(value, flag, endOfDay) {
+  const text = String(value);
+  if (/^\d{9,10}$/.test(text)) return Number(text) * 1000;
+  const ms = Date.parse(/^\d{4}-\d{2}-\d{2}T[\d:.]+$/.test(text) ? `${text}Z` : text);
+  if (value === true || Number.isNaN(ms)) {
+    console.error(`Invalid --${flag} value '${value}'. Use a date (2024-05-13), a UTC date-time (2024-05-13T12:00) or a Unix timestamp.`);
+    process.exit(1);
+  }
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) && endOfDay ? ms + TIMEFRAME_MS.day : ms;
+}
+
+// Date range: candles starting at or after --from and before the end of --to (both UTC; a bare --to date is inclusive)
+const fromMs = flags.from !== undefined ? parseDateFlag(flags.from, 'from', false) : null;
+const toMs = flags.to !== undefined ? parseDateFlag(flags.to, 'to', true) : null;
+if (fromMs !== null && toMs !== null && fromMs >= toMs) {
+  console.error('--from must be before --to.');
   process.exit(1);
 }
+const inRange = (timestamp) => (fromMs === null || timestamp >= fromMs) && (toMs === null || timestamp < toMs);
 
 const saveCsv = !!flags.csv;
 
+const htmlFilename = flags.html || null;
+const svgFilename = flags.svg || null;
+if (htmlFilename === true || svgFilename === true) {
+  console.error('--html and --svg need a file name, e.g. --html=ratio.html.');
+  process.exit(1);
+}
+
+const CHART_STYLES = ['line', 'candles'];
+const chartStyle = flags.style || defaultChartStyle;
+if (!CHART_STYLES.includes(chartStyle)) {
+  console.error(`Invalid chart style '${chartStyle}'. Supported values: ${CHART_STYLES.join(', ')}.`);
+  process.exit(1);
+}
+
+const CHART_SCALES = ['linear', 'log'];
+const chartScale = flags.scale || defaultChartScale;
+if (!CHART_SCALES.includes(chartScale)) {
+  console.error(`Invalid chart scale '${chartScale}'. Supported values: ${CHART_SCALES.join(', ')}.`);
+  process.exit(1);
+}
+
+const CHART_MODES = ['ratio', 'pct'];
+const chartMode = flags.mode || defaultChartMode;
+if (!CHART_MODES.includes(chartMode)) {
+  console.error(`Invalid chart mode '${chartMode}'. Supported values: ${CHART_MODES.join(', ')}.`);
+  process.exit(1);
+}
+if (chartScale === 'log' && chartMode === 'pct') {
+  // Percent changes go negative, which a log scale cannot show
+  console.error('--scale=log cannot be combined with --mode=pct; a log scale of the ratio already shows relative moves.');
+  process.exit(1);
+}
+
+let format;
+try {
+  format = parseOutputFormat(flags.format || 'text');
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+if (format !== 'text') {
+  redirectLogsToStderr();
+}
+
 // Force DexTools-only mode
 const useDexToolsOnly = flags.useDexToolsOnly === true || configUseDexToolsOnly === true;
 
@@ -159,52 +507,164 @@ const DEXTOOLS_SUBSCRIPTION = flags.subscription || defaultSubscription;
 const DEXTOOLS_HOST = flags.host || defaultHost;
 const DEXTOOLS_VERSION = flags.version || defaultVersion;
 const csvFilename = flags['csv-filename'] || defaultCsvFilename;
-const maxCandles = parseInt(flags['max-candles'] || defaultMaxCandles, 10);
-const weeklyResampleDays = parseInt(flags['weekly-days'] || defaultWeeklyResampleDays, 10);
+// A --from date sets how far back to fetch; --max-candles only applies without one
+const maxCandles = fromMs !== null
+  ? Math.ceil(((toMs ?? Date.now()) - fromMs) / bucketMs)
+  : parseInt(flags['max-candles'] || defaultMaxCandles, 10);
+const weeklyResampleDays = Number(flags['weekly-days'] || defaultWeeklyResampleDays);
+const gapPolicy = flags['gap-policy'] || defaultGapPolicy;
 
-// Check DexTools API key and warn if missing
-if (!DEXTOOLS_API_KEY || DEXTOOLS_API_KEY === 'YOUR_API_KEY_HERE') {
-  console.warn('\n⚠️  No valid DexTools API key provided.');
-  console.warn('   → Fallback to current prices will not be available if GeckoTerminal fails.');
-  console.warn('   → To enable fallback, add your key to config.json or use --api-key=your_key');
-  console.warn('   → Get a key at: https://developers.dextools.io/\n');
+if (!Number.isInteger(weeklyResampleDays) || weeklyResampleDays <= 0) {
+  console.error(`Invalid --weekly-days value '${flags['weekly-days'] || defaultWeeklyResampleDays}'. Use a positive whole number of days, e.g. --weekly-days=14.`);
+  process.exit(1);
 }
 
-/**
- * Fetch token name and symbol
- * @param {string} tokenAddress
- * @returns {Promise<{name: string, symbol: string}>}
- */
-async function getTokenInfo(tokenAddress) {
-  const url = `https://api.geckoterminal.com/api/v2/networks/${network}/tokens/${tokenAddress}`;
-  const res = await fetch(url);
-  if (!res.ok) {
-    console.warn(`Could not fetch token info for ${tokenAddress}: ${res.status}`);
-    return { name: 'Unknown Token', symbol: '???' };
-  }
-  const json = await res.json();
-  const data = json.data.attributes;
-  return {
-    name: data.name || 'Unknown Token',
-    symbol: data.symbol || '???'
-  };
+if (!GAP_POLICIES.includes(gapPolicy)) {
+  console.error(`Invalid gap policy '${gapPolicy}'. Supported values: ${GAP_POLICIES.join(', ')}.`);
+  process.exit(1);
 }
 
 /**
- * Fetches closing prices from GeckoTerminal
- * @param {string} poolAddress
- * @param {string} timeframe
- * @param {number} limit
- * @returns {Promise<Array<{timestamp: number, close: number}>>}
+ * Parses a comma-separated list of positive integers (e.g. indicator periods)
+ * @param {string} value
+ * @param {string} flag - Flag name, for the error message
+ * @returns {Array<number>}
  */
-export async function getClosesGecko(poolAddress, timeframe = 'day', limit = 1000) {
-  const url = `https://api.geckoterminal.com/api/v2/networks/${network}/pools/${poolAddress}/ohlcv/${timeframe}?limit=${limit}`;
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Gecko OHLCV fetch failed (${res.status})`);
-  const json = await res.json();
-  const list = json.data.attributes.ohlcv_list;
-  if (list.length === 0) throw new Error('Empty OHLCV data');
-  return list.map(c => ({ timestamp: c[0] * 1000, close: parseFloat(c[4]) }));
+function parsePeriods(value, flag) {
+  const periods = String(value).split(',').map(v => Number(v.trim()));
+  if (periods.length === 0 || !periods.every(p => Number.isInteger(p) && p > 0)) {
+    console.error(`Invalid --${flag} value '${value}'. Use positive whole numbers, e.g. --${flag}=20,50.`);
+    process.exit(1);
+  }
+  return periods;
+}
+
+// Flags given without a value use the conventional period
+const indicatorSpec = {
+  sma: flags.sma ? parsePeriods(flags.sma === true ? '20' : flags.sma, 'sma') : (defaultIndicators.sma || []),
+  ema: flags.ema ? parsePeriods(flags.ema === true ? '20' : flags.ema, 'ema') : (defaultIndicators.ema || []),
+  bollinger: defaultIndicators.bollinger || null,
+  rsi: flags.rsi ? parsePeriods(flags.rsi === true ? '14' : flags.rsi, 'rsi')[0] : (defaultIndicators.rsi || null),
+  pctChange: flags['pct-change'] ? parsePeriods(flags['pct-change'] === true ? '1' : flags['pct-change'], 'pct-change')[0] : (defaultIndicators.pctChange || null)
+};
+if (flags.bollinger) {
+  const [period = '20', multiplier = '2'] = flags.bollinger === true ? [] : String(flags.bollinger).split(',');
+  indicatorSpec.bollinger = { period: parsePeriods(period, 'bollinger')[0], multiplier: Number(multiplier) };
+  if (!(indicatorSpec.bollinger.multiplier > 0)) {
+    console.error(`Invalid --bollinger value '${flags.bollinger}'. Use <period>,<standard deviations>, e.g. --bollinger=20,2.`);
+    process.exit(1);
+  }
+}
+
+// --base mode resolves symbols with check-token-balance's registry unless another is configured
+const tokenRegistryFile = flags['token-registry'] || defaultTokenRegistryFile ||
+  path.join(__dirname, '..', 'check-token-balance', DEFAULT_TOKEN_REGISTRY_FILE);
+
+const splitList = (value) => String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+
+const poolSelection = {
+  ...defaultPoolSelection,
+  strategy: flags['pool-strategy'] || defaultPoolSelection.strategy || 'auto',
+  preferredQuote: flags['preferred-quote'] ? splitList(flags['preferred-quote']) : defaultPoolSelection.preferredQuote,
+  pinnedPools: {
+    ...defaultPoolSelection.pinnedPools,
+    ...Object.fromEntries(flags['pin-pool'] ? splitList(flags['pin-pool']).map(pin => pin.split(':')) : [])
+  },
+  excludePools: [
+    ...(defaultPoolSelection.excludePools || []),
+    ...(flags['exclude-pools'] ? splitList(flags['exclude-pools']) : [])
+  ]
+};
+
+if (!POOL_STRATEGIES.includes(poolSelection.strategy)) {
+  console.error(`Invalid pool strategy '${poolSelection.strategy}'. Supported values: ${POOL_STRATEGIES.join(', ')}.`);
+  process.exit(1);
+}
+
+const composite = {
+  pools: parseInt(flags.composite || defaultComposite.pools || 1, 10),
+  weighting: flags['composite-weighting'] || defaultComposite.weighting || 'liquidity',
+  outlierThreshold: parseFloat(flags['outlier-threshold'] || defaultComposite.outlierThreshold || 0.1)
+};
+
+if (!(composite.pools >= 1) || !COMPOSITE_WEIGHTINGS.includes(composite.weighting) || !(composite.outlierThreshold > 0)) {
+  console.error(`Invalid composite settings. --composite must be a pool count of at least 1, --composite-weighting one of ` +
+    `${COMPOSITE_WEIGHTINGS.join(', ')}, and --outlier-threshold a positive fraction.`);
+  process.exit(1);
+}
+
+const priceIn = String(flags['price-in'] || defaultPriceIn).toLowerCase();
+if (!PRICE_BASES.includes(priceIn)) {
+  console.error(`Invalid price base '${priceIn}'. Supported values: ${PRICE_BASES.join(', ')}.`);
+  process.exit(1);
+}
+
+const PRICE_SOURCES = ['geckoterminal', 'onchain'];
+const priceSource = String(flags.source || defaultSource).toLowerCase();
+if (!PRICE_SOURCES.includes(priceSource)) {
+  console.error(`Invalid price source '${priceSource}'. Supported values: ${PRICE_SOURCES.join(', ')}.`);
+  process.exit(1);
+}
+
+const onchain = {
+  rpc: flags.rpc || defaultOnchain.rpc || 'https://rpc-pulsechain.g4mm4.io',
+  blockIndexFile: flags['block-index'] || defaultOnchain.blockIndexFile || 'block-index.json',
+  fallback: defaultOnchain.fallback !== false
+};
+
+const watchMode = flags.watch === true;
+const watchOnce = flags.once === true;
+const watchSettings = {
+  pollSeconds: parseInt(flags.poll || defaultWatch.pollSeconds || 300, 10),
+  stateFile: flags['alert-state'] || defaultWatch.stateFile || '.cache/alert-state.json',
+  rules: defaultWatch.rules || [],
+  rulesFile: flags['alert-rules'] || null,
+  notify: {
+    stdout: defaultWatch.notify?.stdout !== false,
+    webhook: flags.webhook || defaultWatch.notify?.webhook || null,
+    command: flags['notify-command'] || defaultWatch.notify?.command || null
+  }
+};
+if (watchMode && (compareBase || useDexToolsOnly || flags.offline === true || format !== 'text' || !(watchSettings.pollSeconds > 0))) {
+  console.error('--watch needs a token pair and live historical prices: it cannot be combined with --base, DexTools-only ' +
+    'mode, --offline or --format, and --poll must be a positive number of seconds.');
+  process.exit(1);
+}
+
+const offline = flags.offline === true;
+configureCache({
+  enabled: flags['no-cache'] !== true && defaultCache.enabled !== false,
+  offline,
+  dir: flags['cache-dir'] || defaultCache.dir || DEFAULT_CACHE_DIR,
+  // Each poll tops up the cached series with the newest candles, however young
+  ttlSeconds: watchMode ? { ...defaultCache.ttlSeconds, ohlcv: 0 } : defaultCache.ttlSeconds
+});
+
+configureGeckoTerminal({ apiUrl: flags['gecko-api'] || defaultGeckoTerminalApi });
+
+if (offline && (useDexToolsOnly || priceSource === 'onchain')) {
+  console.error('--offline renders from cached GeckoTerminal responses only; it cannot be combined with DexTools or on-chain prices.');
+  process.exit(1);
+}
+
+const geckoRate = flags['gecko-rate'] !== undefined ? Number(flags['gecko-rate']) : undefined;
+if (geckoRate !== undefined && !(geckoRate > 0)) {
+  console.error(`Invalid --gecko-rate value '${flags['gecko-rate']}'. Use a positive number of requests per minute, e.g. --gecko-rate=30.`);
+  process.exit(1);
+}
+
+configureHttpClient({
+  ...defaultHttp,
+  requestBudget: parseInt(flags['request-budget'] || defaultHttp.requestBudget || 0, 10),
+  ratePerMinute: { ...defaultHttp.ratePerMinute, ...(geckoRate ? { geckoterminal: geckoRate } : {}) }
+});
+
+// Check DexTools API key and warn if missing
+if (!offline && (!DEXTOOLS_API_KEY || DEXTOOLS_API_KEY === 'YOUR_API_KEY_HERE')) {
+  console.warn('\n⚠️  No valid DexTools API key provided.');
+  console.warn('   → Fallback to current prices will not be available if GeckoTerminal fails.');
+  console.warn('   → To enable fallback, add your key to config.json or use --api-key=your_key');
+  console.warn('   → Get a key at: https://developers.dextools.io/\n');
 }
 
 /**
@@ -217,84 +677,133 @@ async function getCurrentUsdPriceDexTools(tokenAddress) {
     throw new Error('DexTools API key missing — cannot fetch current price fallback');
   }
   const url = `${DEXTOOLS_HOST}/${DEXTOOLS_SUBSCRIPTION}/${DEXTOOLS_VERSION}/token/${chain}/${tokenAddress}/price`;
-  const res = await fetch(url, { headers: { 'x-api-key': DEXTOOLS_API_KEY } });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`DexTools error ${res.status}: ${text}`);
-  }
-  const json = await res.json();
+  const json = await getJson(url, {
+    service: 'dextools',
+    endpoint: 'DexTools price',
+    token: tokenAddress,
+    headers: { 'x-api-key': DEXTOOLS_API_KEY }
+  });
   const price = json.data?.price;
-  if (!price) throw new Error('Price field missing');
+  if (!price) throw new Error(`DexTools price for ${tokenAddress}: price field missing`);
   console.log(`DexTools USD price for ${tokenAddress.slice(0, 8)}...: $${price}`);
   return parseFloat(price);
 }
 
+let onchainContext = null;
+
 /**
- * Resample to weekly
- * @param {Array<{timestamp: number, close: number}>} dailyData
- * @returns {Array<{timestamp: number, close: number}>}
+ * Connects to the on-chain source once per run
+ * @returns {Promise<{provider: ethers.Provider, blockIndex: Object}>}
  */
-function resampleToWeekly(dailyData) {
-  if (dailyData.length === 0) return [];
-  const weekly = [];
-  let weekStart = dailyData[0].timestamp;
-  let weekClose = dailyData[0].close;
-  for (const d of dailyData.slice(1)) {
-    if (d.timestamp - weekStart >= weeklyResampleDays * 24 * 60 * 60 * 1000) {
-      weekly.push({ timestamp: weekStart, close: weekClose });
-      weekStart = d.timestamp;
-    }
-    weekClose = d.close;
+async function openOnchain() {
+  if (!onchainContext) {
+    console.log(`Reading PulseX reserves via ${onchain.rpc} (block index: ${onchain.blockIndexFile})...`);
+    const provider = new ethers.JsonRpcProvider(onchain.rpc);
+    onchainContext = { provider, blockIndex: await openBlockIndex(provider, onchain.blockIndexFile) };
   }
-  weekly.push({ timestamp: weekStart, close: weekClose });
-  return weekly;
+  return onchainContext;
 }
 
 /**
- * Generate nice tick values for y-axis (unique, human-readable numbers)
- * @param {number} min
- * @param {number} max
- * @param {number} tickCount Approx number of ticks desired (default 10)
- * @returns {Array<number>} Array of tick values
+ * Keeps the candles within --from/--to
+ * @param {{closes: Array<Object>, path: string}} history
+ * @returns {{closes: Array<Object>, path: string}}
+ * @throws {Error} If no candle is in range
  */
-function generateNiceTicks(min, max, tickCount = 10) {
-  if (min === max) return [min];
-
-  const range = max - min;
-  const roughStep = range / (tickCount - 1);
-
-  const minStep = range * 1e-10;
-  const stepMagnitude = Math.pow(10, Math.floor(Math.log10(Math.max(roughStep, minStep))));
-
-  let step = Math.pow(10, Math.floor(Math.log10(roughStep)));
-  if (roughStep / step > 5) step *= 5;
-  else if (roughStep / step > 2) step *= 2;
+function clipToRange(history) {
+  const closes = history.closes.filter(c => inRange(c.timestamp));
+  if (closes.length === 0) {
+    throw new Error(`No ${interval} candles between ${fromMs !== null ? formatDate(fromMs) : 'the start'} and ${toMs !== null ? formatDate(toMs) : 'now'}`);
+  }
+  return { ...history, closes };
+}
 
-  step = Math.max(step, range / 1000);
+/**
+ * Historical closes of one token from PulseX pair reserves
+ * @param {string} token
+ * @returns {Promise<{closes: Array<Object>, path: string}>} See getOnchainCloses in onchain-prices.js
+ */
+async function getOnchainHistory(token) {
+  const { provider, blockIndex } = await openOnchain();
+  return clipToRange(await getOnchainCloses(provider, token, tf, maxCandles, {
+    priceIn, blockIndex, poolSelection, aggregate, endTimestamp: toMs !== null ? toMs / 1000 : undefined
+  }));
+}
 
-  let start = Math.floor(min / step) * step;
-  if (start < min) start += step;
+/** Token → pool selected for it in this run. */
+const selectedPools = new Map();
 
-  const ticks = [];
-  for (let val = start; val <= max + step / 2; val += step) {
-    if (val >= min - step / 10) {
-      ticks.push(val);
+/**
+ * Historical closes of one token from GeckoTerminal: its best pool's, or a composite of its top pools
+ * @param {string} token
+ * @returns {Promise<{closes: Array<Object>, path: string}>} See getNormalizedCloses in quote-conversion.js
+ */
+async function getGeckoHistory(token) {
+  const conversion = {
+    network, priceIn, gapPolicy, poolSelection, aggregate, beforeTimestamp: toMs !== null ? toMs / 1000 : undefined
+  };
+  // Composite pricing picks its own pools
+  if (composite.pools > 1) {
+    const result = await getCompositeCloses(token, tf, maxCandles, { ...conversion, ...composite });
+    console.log(`Composite for ${token.slice(0, 8)}...: ${result.rejected} outlier pool candles rejected`);
+    return clipToRange(result);
+  }
+  // Pools are selected once per run, so watch polls keep the same one
+  let pool = selectedPools.get(token);
+  if (!pool) {
+    try {
+      // Pools are compared on days of history, however fine the interval
+      const historyDays = Math.min(Math.ceil(maxCandles * bucketMs / TIMEFRAME_MS.day), 1000);
+      pool = await getBestPoolWithHistory(token, network, historyDays, poolSelection);
+    } catch (e) {
+      console.warn(`GeckoTerminal pool discovery failed: ${e.message}`);
+      throw e;
     }
+    selectedPools.set(token, pool);
   }
+  return clipToRange(await getNormalizedCloses(token, pool, tf, maxCandles, conversion));
+}
+
+/**
+ * Historical closes of both tokens from PulseX pair reserves
+ * @returns {Promise<{dataA: Array<{timestamp: number, close: number}>, dataB: Array<{timestamp: number, close: number}>, source: string}>}
+ */
+async function getOnchainData() {
+  const onchainA = await getOnchainHistory(tokenA);
+  const onchainB = await getOnchainHistory(tokenB);
+  console.log(`Token A priced in ${priceIn.toUpperCase()} via ${onchainA.path}`);
+  console.log(`Token B priced in ${priceIn.toUpperCase()} via ${onchainB.path}`);
+  return {
+    dataA: onchainA.closes,
+    dataB: onchainB.closes,
+    source: `PulseX reserves (${priceIn.toUpperCase()}-based historical: ${onchainA.path} / ${onchainB.path})`
+  };
+}
 
-  if (Math.abs(ticks[0] - min) > step / 10) {
-    ticks.unshift(min);
+/**
+ * Writes the chart as standalone HTML and/or SVG files, if asked for (see svg-chart.js)
+ * @param {Array<{label: string, values: Array<?number>}>} series - The main line first
+ * @param {Array<number>} timestamps
+ * @param {{title: string, subtitle: string, footer: string}} text
+ */
+function writeChartFiles(series, timestamps, text) {
+  const options = { ...text, hourly: intraday, scale: chartScale };
+  if (htmlFilename) {
+    fs.writeFileSync(htmlFilename, renderHtmlChart(series, timestamps, options));
+    console.log(`\nHTML chart saved as ${htmlFilename}`);
   }
-  if (Math.abs(ticks[ticks.length - 1] - max) > step / 10) {
-    ticks.push(max);
+  if (svgFilename) {
+    fs.writeFileSync(svgFilename, renderSvgChart(series, timestamps, options));
+    console.log(`\nSVG chart saved as ${svgFilename}`);
   }
-
-  const uniqueTicks = [...new Set(ticks.map(v => Number(v.toFixed(15))))];
-  uniqueTicks.sort((a, b) => a - b);
-
-  return uniqueTicks;
 }
 
+/** Field order of machine-readable ratio records (see "Machine-readable output" in the file header). */
+const RATIO_RECORD_FIELDS = [
+  'date', 'timestamp', 'tokenA', 'symbolA', 'tokenB', 'symbolB', 'priceA', 'priceB', 'ratio',
+  'ratioOpen', 'ratioHigh', 'ratioLow', 'volume', 'interval', 'source', 'partial'
+];
+
 /**
  * Main function
  */
@@ -308,15 +817,19 @@ async function main() {
 
   let tokenAName = 'Token A';
   let tokenBName = 'Token B';
+  let symbolA = null;
+  let symbolB = null;
 
   if (!useDexToolsOnly) {
     const [tokenAInfo, tokenBInfo] = await Promise.all([
-      getTokenInfo(tokenA).catch(() => ({ name: 'Unknown Token', symbol: '???' })),
-      getTokenInfo(tokenB).catch(() => ({ name: 'Unknown Token', symbol: '???' }))
+      getTokenInfo(tokenA, network).catch(() => ({ name: 'Unknown Token', symbol: '???' })),
+      getTokenInfo(tokenB, network).catch(() => ({ name: 'Unknown Token', symbol: '???' }))
     ]);
 
     tokenAName = tokenAInfo.name !== 'Unknown Token' ? `${tokenAInfo.name} (${tokenAInfo.symbol})` : tokenAInfo.symbol;
     tokenBName = tokenBInfo.name !== 'Unknown Token' ? `${tokenBInfo.name} (${tokenBInfo.symbol})` : tokenBInfo.symbol;
+    symbolA = tokenAInfo.symbol !== '???' ? tokenAInfo.symbol : null;
+    symbolB = tokenBInfo.symbol !== '???' ? tokenBInfo.symbol : null;
   }
 
   let dataA, dataB, source;
@@ -334,34 +847,35 @@ async function main() {
     const now = Date.now();
     dataA = [{ timestamp: now, close: priceA }];
     dataB = [{ timestamp: now, close: priceB }];
+  } else if (priceSource === 'onchain') {
+    ({ dataA, dataB, source } = await getOnchainData());
   } else {
-    let poolA, poolB;
-    try {
-      poolA = await getBestPoolWithHistory(tokenA, network, maxCandles);
-      poolB = await getBestPoolWithHistory(tokenB, network, maxCandles);
-    } catch (e) {
-      console.warn(`GeckoTerminal pool discovery failed: ${e.message}`);
-      throw e;
-    }
-
-    source = 'GeckoTerminal (PLS-based historical)';
-
     try {
-      if (interval === 'weekly') {
-        console.log('Fetching daily data for weekly resampling...');
-        const dailyA = await getClosesGecko(poolA.address, 'day', maxCandles);
-        const dailyB = await getClosesGecko(poolB.address, 'day', maxCandles);
-        dataA = resampleToWeekly(dailyA);
-        dataB = resampleToWeekly(dailyB);
-      } else {
-        const tf = interval === 'hourly' ? 'hour' : 'day';
-        console.log(`Fetching ${interval} data...`);
-        dataA = await getClosesGecko(poolA.address, tf, maxCandles);
-        dataB = await getClosesGecko(poolB.address, tf, maxCandles);
-      }
+      console.log(resample ? `Fetching daily data for ${resample} resampling...` : `Fetching ${interval} data...`);
+      const normalizedA = await getGeckoHistory(tokenA);
+      const normalizedB = await getGeckoHistory(tokenB);
+      dataA = normalizedA.closes;
+      dataB = normalizedB.closes;
+      console.log(`Token A priced in ${priceIn.toUpperCase()} via ${normalizedA.path}`);
+      console.log(`Token B priced in ${priceIn.toUpperCase()} via ${normalizedB.path}`);
+      source = `GeckoTerminal (${priceIn.toUpperCase()}-based historical: ${normalizedA.path} / ${normalizedB.path})`;
     } catch (e) {
       console.warn(`GeckoTerminal historical data failed: ${e.message}`);
-      if (DEXTOOLS_API_KEY && DEXTOOLS_API_KEY !== 'YOUR_API_KEY_HERE') {
+      if (offline) {
+        console.error('Offline: no fallback is available. Run once online to fill the cache.');
+        return;
+      }
+      let onchainData = null;
+      if (onchain.fallback) {
+        console.log('Falling back to historical prices from PulseX reserves...');
+        onchainData = await getOnchainData().catch(err => {
+          console.warn(`On-chain prices failed: ${err.message}`);
+          return null;
+        });
+      }
+      if (onchainData) {
+        ({ dataA, dataB, source } = onchainData);
+      } else if (DEXTOOLS_API_KEY && DEXTOOLS_API_KEY !== 'YOUR_API_KEY_HERE') {
         console.log('Falling back to current USD prices via DexTools (single point only)...');
         source = 'DexTools (current USD-based ratio)';
         const priceA = await getCurrentUsdPriceDexTools(tokenA);
@@ -377,20 +891,51 @@ async function main() {
     }
   }
 
-  const minLen = Math.min(dataA.length, dataB.length);
+  // Join on candle buckets (weekly and monthly data is joined daily, then resampled), oldest first
+  const { points, filledA, filledB, dropped } = alignSeries(dataA, dataB, { bucketMs, gapPolicy });
+  console.log(`Aligned ${points.length} points (gap policy: ${gapPolicy}): ` +
+    `${filledA} filled for Token A, ${filledB} filled for Token B, ${dropped} dropped`);
+
+  let candlesA = points.map(p => p.candleA);
+  let candlesB = points.map(p => p.candleB);
+  if (resample) {
+    candlesA = resampleCandles(candlesA, resample, { weekDays: weeklyResampleDays });
+    candlesB = resampleCandles(candlesB, resample, { weekDays: weeklyResampleDays });
+  }
+
   const rows = [];
   const ratios = [];
+  const ratioCandles = [];
   const timestamps = [];
+  const pricesA = [];
+  const pricesB = [];
+  const partials = [];
 
-  for (let i = 0; i < minLen; i++) {
-    const pA = dataA[i].close;
-    const pB = dataB[i].close;
-    if (pB > 0 && pA > 0) {
+  for (let i = 0; i < candlesA.length; i++) {
+    const pA = candlesA[i].close;
+    const pB = candlesB[i].close;
+    if (pB > 0 && pA > 0 && candlesB[i].open > 0) {
       const ratio = pA / pB;
+      // Synthetic ratio candle (see candles.js); its volume is both pools' USD volume
+      const candle = { ...combineCandles(candlesA[i], candlesB[i], true), volume: candlesA[i].volume + candlesB[i].volume };
       ratios.push(ratio);
-      timestamps.push(dataA[i].timestamp);
-      const date = new Date(dataA[i].timestamp).toISOString().split('T')[0];
-      rows.push({ date, priceA: pA.toFixed(12), priceB: pB.toFixed(12), ratio: ratio.toFixed(12) });
+      ratioCandles.push(candle);
+      timestamps.push(candlesA[i].timestamp);
+      pricesA.push(pA);
+      pricesB.push(pB);
+      partials.push(resample ? candlesA[i].partial : isPartial(candlesA[i].timestamp));
+      const date = formatDate(candlesA[i].timestamp);
+      rows.push({
+        date,
+        priceA: pA.toFixed(12),
+        priceB: pB.toFixed(12),
+        ratio: ratio.toFixed(12),
+        open: candle.open.toFixed(12),
+        high: candle.high.toFixed(12),
+        low: candle.low.toFixed(12),
+        volume: candle.volume.toFixed(2),
+        partial: partials[partials.length - 1]
+      });
     }
   }
 
@@ -399,105 +944,355 @@ async function main() {
     return;
   }
 
+  const indicators = computeIndicators(ratios, indicatorSpec);
+  const overlays = indicators.filter(line => !line.panel);
+  const panels = indicators.filter(line => line.panel).map(line => ({ ...line, ...line.panel }));
+
   const pointsText = ratios.length === 1 ? 'current only' : `${ratios.length} points`;
   const intervalText = useDexToolsOnly ? 'current' : interval;
 
+  if (format !== 'text') {
+    const records = [];
+    for (let i = 0; i < ratios.length; i++) {
+      records.push({
+        date: formatDate(timestamps[i]),
+        timestamp: timestamps[i],
+        tokenA,
+        symbolA,
+        tokenB,
+        symbolB,
+        priceA: pricesA[i],
+        priceB: pricesB[i],
+        ratio: ratios[i],
+        ratioOpen: ratioCandles[i].open,
+        ratioHigh: ratioCandles[i].high,
+        ratioLow: ratioCandles[i].low,
+        volume: ratioCandles[i].volume,
+        interval: ratios.length === 1 && source.startsWith('DexTools') ? 'current' : intervalText,
+        source,
+        partial: partials[i],
+        ...Object.fromEntries(indicators.map(line => [line.name, line.values[i]]))
+      });
+    }
+    writeRecords(records, format, [...RATIO_RECORD_FIELDS, ...indicators.map(line => line.name)]);
+  }
+
   console.log(`\n${tokenAName} / ${tokenBName} ratio (${intervalText}, ${pointsText}) - Source: ${source}`);
   console.log(`C.A.: ${tokenA} / ${tokenB}\n`);
 
   if (ratios.length > 1) {
-    // Reverse data for chronological order (oldest left → newest right)
-    const chronologicalRatios = ratios.slice().reverse();
-    const chronologicalTimestamps = timestamps.slice().reverse();
-
-    const minRatio = Math.min(...chronologicalRatios);
-    const maxRatio = Math.max(...chronologicalRatios);
-    const range = maxRatio - minRatio;
-
-    const formatYRaw = (value) => {
-      let precision = 6;
-      if (range < 0.01) precision = 8;
-      if (range < 0.001) precision = 10;
-      if (range < 0.0001) precision = 12;
-      if (range < 0.00001) {
-        return value.toExponential(4);
+    // Aligned data is already chronological (oldest left → newest right)
+    // Color overlays only when the chart goes to a terminal
+    const color = Boolean(format === 'text' ? process.stdout.isTTY : process.stderr.isTTY);
+    // Percent mode rebases the ratio and its overlays to 0% at the first point; panels keep their own scale
+    const base = ratios[0];
+    const rebase = chartMode === 'pct' ? (v => (v === null ? null : (v / base - 1) * 100)) : (v => v);
+    if (chartMode === 'pct') {
+      console.log(`% change of the ratio since ${rows[0].date}\n`);
+    }
+    const chartOptions = {
+      height: 30,
+      hourly: intraday,
+      overlays: overlays.map(line => ({ ...line, values: line.values.map(rebase) })),
+      panels,
+      color,
+      scale: chartScale
+    };
+    if (chartStyle === 'candles') {
+      const chartCandles = ratioCandles.map(c => ({
+        ...c, open: rebase(c.open), high: rebase(c.high), low: rebase(c.low), close: rebase(c.close)
+      }));
+      console.log(renderCandlestickChart(chartCandles, timestamps, {
+        ...chartOptions,
+        volumeHeight: 6,
+        volumeLabel: 'volume (USD, both pools)'
+      }));
+    } else {
+      console.log(renderAsciiChart(ratios.map(rebase), timestamps, chartOptions));
+    }
+  } else {
+    console.log('(Single data point - no historical chart available)');
+    if (!useDexToolsOnly) {
+      console.log('Note: This often occurs with new or low-volume pools. Try a shorter interval.\n');
+    }
+  }
+
+  console.log('\nRecent ratios (last 10):');
+  rows.slice(-10).forEach(r => console.log(`${r.date}: ${r.ratio}${r.partial ? ' (partial)' : ''}`));
+  console.log(`\nCurrent ratio: ${ratios[ratios.length - 1].toFixed(12)}`);
+
+  if (saveCsv) {
+    const indicatorCell = (value) => (value === null ? '' : value.toFixed(12));
+    const csv = ['date,price_tokenA,price_tokenB,ratio,ratio_open,ratio_high,ratio_low,volume_usd', ...indicators.map(line => line.column), 'partial'].join(',') + '\n' +
+      rows.map((r, i) => [
+        `${r.date},${r.priceA},${r.priceB},${r.ratio},${r.open},${r.high},${r.low},${r.volume}`,
+        ...indicators.map(line => indicatorCell(line.values[i])),
+        r.partial
+      ].join(',')).join('\n');
+    fs.writeFileSync(csvFilename, csv);
+    console.log(`\nCSV saved as ${csvFilename}`);
+  }
+
+  if ((htmlFilename || svgFilename) && ratios.length > 1) {
+    const rebase = chartMode === 'pct' ? (v => (v === null ? null : (v / ratios[0] - 1) * 100)) : (v => v);
+    const label = `${symbolA || 'Token A'} / ${symbolB || 'Token B'}${chartMode === 'pct' ? ' (% change)' : ''}`;
+    writeChartFiles(
+      [{ label, values: ratios.map(rebase) }, ...overlays.map(line => ({ label: line.label, values: line.values.map(rebase) }))],
+      timestamps,
+      {
+        title: `${tokenAName} / ${tokenBName} ratio (${intervalText}${chartMode === 'pct' ? `, % change since ${rows[0].date}` : ''})`,
+        subtitle: `C.A.: ${tokenA} / ${tokenB}`,
+        footer: `Source: ${source} · generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`
       }
+    );
+  } else if (htmlFilename || svgFilename) {
+    console.warn('\nSingle data point: no HTML/SVG chart written.');
+  }
+}
 
-      let formatted = value.toFixed(precision);
-      formatted = formatted.replace(/0+$/, '');
-      if (formatted.endsWith('.')) formatted = formatted.slice(0, -1);
-      return formatted || '0';
-    };
+/** Field order of machine-readable records in --base mode (see "Comparing tokens against a base" in the file header). */
+const PERFORMANCE_RECORD_FIELDS = [
+  'date', 'timestamp', 'base', 'baseSymbol', 'token', 'symbol', 'ratio', 'rebased', 'interval', 'source', 'partial'
+];
+
+/**
+ * Resolves a token given by registry symbol or address; native PLS is priced as WPLS
+ * @param {string} entry
+ * @param {Map<string, {symbol: string, address: string}>} registry - From loadTokenRegistry
+ * @returns {{address: string, symbol: ?string}} Lowercase contract address, and the registry symbol if any
+ * @throws {Error} If the entry is neither an address nor a registered symbol
+ */
+function resolveToken(entry, registry) {
+  const [resolved] = resolveTokens(entry, registry);
+  if (!resolved) throw new Error(`Missing token in '${entry}'.`);
+  if (resolved.token === NATIVE_TOKEN) return { address: WPLS_ADDRESS, symbol: 'PLS' };
+  return { address: resolved.token.toLowerCase(), symbol: resolved.symbol };
+}
 
-    const testTicks = generateNiceTicks(minRatio, maxRatio, 10);
-    const rawLabels = testTicks.map(formatYRaw);
-    const maxLabelLength = Math.max(...rawLabels.map(l => l.length), 1);
+/**
+ * --base mode: rebases each token / base ratio to 100 at a common start and compares them in one chart
+ */
+async function compareAgainstBase() {
+  if (useDexToolsOnly) {
+    console.error('--base compares historical prices; it cannot be combined with DexTools-only mode.');
+    return;
+  }
 
-    const formatY = (value) => {
-      const raw = formatYRaw(value);
-      return raw.padEnd(maxLabelLength, ' ');
-    };
+  let base, tokens;
+  try {
+    const registry = loadTokenRegistry(tokenRegistryFile);
+    base = resolveToken(compareBase, registry);
+    tokens = tokenArgs.flatMap(arg => arg.split(',')).filter(arg => arg.trim()).map(arg => resolveToken(arg, registry));
+  } catch (e) {
+    console.error(`${e.message} (token registry: ${tokenRegistryFile})`);
+    process.exit(1);
+  }
+  tokens = tokens.filter((t, i) => t.address !== base.address && tokens.findIndex(o => o.address === t.address) === i);
+  if (tokens.length === 0) {
+    console.error('Nothing to compare: give at least one token other than the base.');
+    process.exit(1);
+  }
 
-    const chartConfig = {
-      height: 30,
-      min: minRatio,
-      max: maxRatio,
-      format: formatY,
-    };
+  const labelOf = async ({ address, symbol }) => {
+    if (symbol) return symbol;
+    const info = await getTokenInfo(address, network).catch(() => ({ symbol: '???' }));
+    return info.symbol !== '???' ? info.symbol : `${address.slice(0, 8)}...`;
+  };
+  base.label = await labelOf(base);
+  for (const token of tokens) token.label = await labelOf(token);
+
+  console.log(`\nComparing ${tokens.map(t => t.label).join(', ')} against ${base.label} (${interval})\n`);
 
-    const chartLines = asciichart.plot(chronologicalRatios, chartConfig).split('\n');
-    chartLines.forEach(line => console.log(line));
+  const getHistory = priceSource === 'onchain' ? getOnchainHistory : getGeckoHistory;
+  console.log(resample ? `Fetching daily data for ${resample} resampling...` : `Fetching ${interval} data...`);
 
-    const yTickWidth = maxLabelLength + 2;
-    const maxLabels = 10;
-    const minLabels = 4;
-    const labelCount = Math.min(maxLabels, Math.max(minLabels, Math.ceil(chronologicalRatios.length / 30)));
-    const step = Math.floor((chronologicalRatios.length - 1) / (labelCount - 1));
+  let baseHistory;
+  try {
+    baseHistory = await getHistory(base.address);
+    console.log(`${base.label} priced in ${priceIn.toUpperCase()} via ${baseHistory.path}`);
+  } catch (e) {
+    console.error(`Cannot price the base token ${base.label}: ${e.message}`);
+    return;
+  }
 
-    const labels = [];
-    for (let i = 0; i < labelCount - 1; i++) {
-      labels.push({ idx: i * step, ts: chronologicalTimestamps[i * step] });
+  const series = [];
+  for (const token of tokens) {
+    try {
+      const history = await getHistory(token.address);
+      const { points } = alignSeries(history.closes, baseHistory.closes, { bucketMs, gapPolicy });
+      const ratios = points
+        .filter(p => p.closeA > 0 && p.closeB > 0)
+        .map(p => ({ timestamp: p.timestamp, close: p.closeA / p.closeB }));
+      if (ratios.length === 0) throw new Error(`no history overlapping ${base.label}'s`);
+      console.log(`${token.label} priced in ${priceIn.toUpperCase()} via ${history.path}`);
+      series.push({ ...token, ratios });
+    } catch (e) {
+      console.warn(`Skipping ${token.label}: ${e.message}`);
     }
-    labels.push({ idx: chronologicalRatios.length - 1, ts: chronologicalTimestamps[chronologicalTimestamps.length - 1] });
+  }
+  if (series.length === 0) {
+    console.error('No token could be compared against the base.');
+    return;
+  }
 
-    const formatLabel = (ts) => {
-      const d = new Date(ts);
-      if (interval === 'hourly') {
-        return d.toISOString().replace('T', ' ').slice(0, 16);
-      }
-      return d.toISOString().split('T')[0];
-    };
+  // Every series starts at the latest first point among them, so that all are rebased at the same date
+  let { timestamps, values } = alignOnCommonStart(series.map(s => s.ratios));
+  let partials = timestamps.map(isPartial);
+  if (resample) {
+    const resampled = values.map(v => resampleCandles(v.map((close, i) => flatCandle(timestamps[i], close)), resample, { weekDays: weeklyResampleDays }));
+    timestamps = resampled[0].map(c => c.timestamp);
+    values = resampled.map(candles => candles.map(c => c.close));
+    partials = resampled[0].map(c => c.partial);
+  }
+  const rebased = series.map((s, i) => ({ label: s.label, values: rebaseTo100(values[i]) }));
 
-    const labelTexts = labels.map(l => formatLabel(l.ts));
+  const startDate = formatDate(timestamps[0]);
+  const source = `${priceSource === 'onchain' ? 'PulseX reserves' : 'GeckoTerminal'} (${priceIn.toUpperCase()}-based historical)`;
 
-    let xAxis = '';
-    let prevEnd = 0;
-    for (let i = 0; i < labels.length; i++) {
-      const { idx } = labels[i];
-      const text = labelTexts[i];
-      const padding = idx - prevEnd;
-      xAxis += ' '.repeat(padding) + text;
-      prevEnd = idx + text.length;
-    }
+  if (format !== 'text') {
+    const records = series.flatMap((s, i) => timestamps.map((timestamp, j) => ({
+      date: formatDate(timestamp),
+      timestamp,
+      base: base.address,
+      baseSymbol: base.label,
+      token: s.address,
+      symbol: s.label,
+      ratio: values[i][j],
+      rebased: rebased[i].values[j],
+      interval,
+      source,
+      partial: partials[j]
+    })));
+    writeRecords(records, format, PERFORMANCE_RECORD_FIELDS);
+  }
 
-    console.log(' '.repeat(yTickWidth) + xAxis);
+  console.log(`\nPerformance vs ${base.label} (${interval}, ${timestamps.length} points, rebased to 100 on ${startDate}) - Source: ${source}`);
+  console.log(`C.A.: ${base.label} ${base.address}; ${series.map(s => `${s.label} ${s.address}`).join(', ')}\n`);
+
+  if (timestamps.length > 1) {
+    // The first token is drawn as the line, the others as symbols (colored on a terminal)
+    const color = Boolean(format === 'text' ? process.stdout.isTTY : process.stderr.isTTY);
+    const [first, ...others] = rebased;
+    console.log(renderAsciiChart(first.values, timestamps, {
+      height: 30,
+      hourly: intraday,
+      overlays: others,
+      color,
+      scale: chartScale,
+      label: first.label
+    }));
   } else {
     console.log('(Single data point - no historical chart available)');
-    if (!useDexToolsOnly) {
-      console.log('Note: This often occurs with new or low-volume pools. Try a shorter interval.\n');
-    }
   }
 
-  console.log('\nRecent ratios (last 10):');
-  rows.slice(-10).forEach(r => console.log(`${r.date}: ${r.ratio}`));
-  console.log(`\nCurrent ratio: ${ratios[ratios.length - 1].toFixed(12)}`);
+  const labelWidth = Math.max(...rebased.map(s => s.label.length));
+  const endText = partials[partials.length - 1] ? ` to ${formatDate(timestamps[timestamps.length - 1])} (partial)` : '';
+  console.log(`\nFinal returns vs ${base.label} since ${startDate}${endText} (best first):`);
+  rankFinalReturns(rebased).forEach((r, i) => {
+    const returnText = `${r.returnPct >= 0 ? '+' : ''}${r.returnPct.toFixed(2)}%`;
+    console.log(`${String(i + 1).padStart(3)}. ${r.label.padEnd(labelWidth)}  ${r.value.toFixed(2).padStart(10)}  ${returnText.padStart(10)}`);
+  });
 
   if (saveCsv) {
-    const csv = 'date,price_tokenA,price_tokenB,ratio\n' +
-      rows.map(r => `${r.date},${r.priceA},${r.priceB},${r.ratio}`).join('\n');
+    const csv = ['date', ...rebased.map(s => s.label)].join(',') + '\n' +
+      timestamps.map((timestamp, j) => [formatDate(timestamp), ...rebased.map(s => s.values[j].toFixed(6))].join(',')).join('\n');
     fs.writeFileSync(csvFilename, csv);
     console.log(`\nCSV saved as ${csvFilename}`);
   }
+
+  if (htmlFilename || svgFilename) {
+    writeChartFiles(rebased, timestamps, {
+      title: `Performance vs ${base.label} (${interval}, rebased to 100 on ${startDate})`,
+      subtitle: `C.A.: ${base.label} ${base.address}; ${series.map(s => `${s.label} ${s.address}`).join(', ')}`,
+      footer: `Source: ${source} · generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`
+    });
+  }
+}
+
+/**
+ * Fetches the pair's ratio series for one watch poll (no DexTools fallback: alerts need history)
+ * @returns {Promise<Array<{timestamp: number, ratio: number}>>} Oldest first; the last point is the current ratio
+ */
+async function getWatchRatios() {
+  const getHistory = priceSource === 'onchain' ? getOnchainHistory : getGeckoHistory;
+  const historyA = await getHistory(tokenA);
+  const historyB = await getHistory(tokenB);
+  const { points } = alignSeries(historyA.closes, historyB.closes, { bucketMs, gapPolicy });
+  let candlesA = points.map(p => p.candleA);
+  let candlesB = points.map(p => p.candleB);
+  if (resample) {
+    candlesA = resampleCandles(candlesA, resample, { weekDays: weeklyResampleDays });
+    candlesB = resampleCandles(candlesB, resample, { weekDays: weeklyResampleDays });
+  }
+  const ratios = candlesA
+    .map((candle, i) => ({ timestamp: candle.timestamp, a: candle.close, b: candlesB[i].close }))
+    .filter(p => p.a > 0 && p.b > 0)
+    .map(p => ({ timestamp: p.timestamp, ratio: p.a / p.b }));
+  if (ratios.length === 0) {
+    throw new Error('No valid ratio data could be computed');
+  }
+  return ratios;
+}
+
+/**
+ * --watch mode: polls the ratio on a schedule and notifies when an alert rule of config.json "watch.rules" fires
+ */
+async function watchRatio() {
+  if (!/^0x[a-f0-9]{40}$/.test(tokenA) || !/^0x[a-f0-9]{40}$/.test(tokenB)) {
+    console.error('Invalid contract address format.');
+    process.exit(1);
+  }
+  let rules;
+  try {
+    const configured = watchSettings.rulesFile ? JSON.parse(fs.readFileSync(watchSettings.rulesFile, 'utf8')) : watchSettings.rules;
+    rules = configured.map(validateRule);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  if (rules.length === 0) {
+    console.error('No alert rules: add some to "watch.rules" in config.json, or give a rules file with --alert-rules ' +
+      '(see the file header for their format).');
+    process.exit(1);
+  }
+
+  const [infoA, infoB] = await Promise.all([getTokenInfo(tokenA, network), getTokenInfo(tokenB, network)]);
+  const label = (info, address) => (info.symbol !== '???' ? info.symbol : `${address.slice(0, 8)}...`);
+  const context = { pair: `${label(infoA, tokenA)}/${label(infoB, tokenB)}`, tokenA, tokenB, interval };
+  // Rule states are kept per pair, interval and price base, so several watches can share one state file
+  const stateKey = `${network}:${tokenA}/${tokenB}:${interval}:${priceIn}`;
+
+  console.log(`\nWatching ${context.pair} (${interval}, priced in ${priceIn.toUpperCase()}) ` +
+    `${watchOnce ? 'once' : `every ${watchSettings.pollSeconds}s`}; alert state in ${watchSettings.stateFile}`);
+  rules.forEach(rule => console.log(`  [${rule.id}] ${describeRule(rule)}`));
+
+  for (;;) {
+    try {
+      const ratios = await getWatchRatios();
+      const latest = ratios[ratios.length - 1];
+      const states = loadAlertState(watchSettings.stateFile);
+      const { alerts, state } = evaluateRules(rules, ratios, states[stateKey] || {});
+      console.log(`${new Date().toISOString().slice(0, 19).replace('T', ' ')} ${context.pair} ratio ` +
+        `${latest.ratio.toPrecision(6)} (${formatDate(latest.timestamp)} candle): ${alerts.length} alert(s)`);
+      for (const alert of alerts) {
+        await sendAlert(alertPayload(alert, context), watchSettings.notify);
+      }
+      saveAlertState(watchSettings.stateFile, { ...states, [stateKey]: state });
+    } catch (e) {
+      console.warn(`Watch poll failed: ${e.message}`);
+      // A single poll that fails is a failed run, e.g. for cron; a long-running watch retries at the next poll
+      if (watchOnce) process.exitCode = 1;
+    }
+    if (watchOnce) break;
+    await new Promise(resolve => setTimeout(resolve, watchSettings.pollSeconds * 1000));
+  }
 }
 
-main().catch(err => console.error('Fatal error:', err.message));
+(watchMode ? watchRatio() : compareBase ? compareAgainstBase() : main())
+  .catch(err => {
+    console.error('Fatal error:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    if (getRequestCount() > 0) console.log(`\n${getRequestCount()} GeckoTerminal/DexTools requests sent`);
+  });
@@ -0,0 +1,105 @@
+/**
+ * quote-conversion.js
+ *
+ * Standalone module that prices a token in a common base currency (PLS or USD) from whichever
+ * pool was selected for it, whatever that pool is quoted in.
+ *
+ * Logic:
+ * - Reads the selected pool's base and quote tokens, and fetches the token's closes in units
+ *   of the pool's other token (GeckoTerminal `currency=token`, `token=<address>`), which
+ *   works whether the token is the pool's base or its quote.
+ * - If the other token is the target base (WPLS for PLS; a bridged USD stablecoin for USD),
+ *   those closes are the result.
+ * - Otherwise it converts through an intermediate pool pairing the other token with the base,
+ *   e.g. token/PLSX × PLSX/WPLS, joining both series on their timestamps (see align-series.js).
+ * - If no intermediate pool exists, it falls back to GeckoTerminal's USD prices (divided by
+ *   WPLS's USD price for PLS), and says so.
+ *
+ * Used by pulse-token-ratio.js.
+ */
+
+import { getClosesGecko } from './gecko-terminal.js';
+import { findPoolPairedWith, getBestPoolWithHistory } from './pool-selector.js';
+import { alignSeries } from './align-series.js';
+import { TIMEFRAME_MS, combineCandles, flatCandle } from './candles.js';
+import { USD_STABLECOINS, WPLS_ADDRESS } from '../pulsechain-tokens.js';
+
+/** WPLS and the USD stablecoins, the bases prices are quoted against (see ../pulsechain-tokens.js). */
+export { USD_STABLECOINS, WPLS_ADDRESS };
+
+/** Bases accepted by getNormalizedCloses. */
+export const PRICE_BASES = ['pls', 'usd'];
+
+/**
+ * Multiplies two candle series joined on timestamps, into synthetic candles (see candles.js).
+ * @param {Array<Object>} seriesA - Candles
+ * @param {Array<Object>} seriesB - Candles
+ * @param {number} bucketMs - Candle period in milliseconds
+ * @param {string} gapPolicy - See align-series.js
+ * @param {boolean} [divide=false] - Divide A by B instead of multiplying
+ * @returns {Array<Object>} Candles, oldest first, with seriesA's volume
+ */
+function combineSeries(seriesA, seriesB, bucketMs, gapPolicy, divide = false) {
+  const { points } = alignSeries(seriesA, seriesB, { bucketMs, gapPolicy });
+  return points.map(p => combineCandles(p.candleA, p.candleB, divide));
+}
+
+/**
+ * Fetches a token's closes in PLS or USD from its selected pool, converting through an
+ * intermediate pool when the pool is quoted in another token.
+ * @param {string} tokenAddress - Token contract address (lowercase)
+ * @param {{address: string, name: string, baseToken: ?string, quoteToken: ?string}} pool - Pool from getBestPoolWithHistory
+ * @param {string} timeframe - 'minute', 'hour' or 'day'
+ * @param {number} limit - Maximum candles to fetch
+ * @param {Object} [options]
+ * @param {string} [options.network='pulsechain'] - Network name for GeckoTerminal API
+ * @param {string} [options.priceIn='pls'] - One of PRICE_BASES
+ * @param {string} [options.gapPolicy='drop'] - How to join the series of a conversion (see align-series.js)
+ * @param {Object} [options.poolSelection] - Pool-selection options for the WPLS pool of the USD fallback (see pool-selector.js)
+ * @param {number} [options.aggregate=1] - Periods per candle (see getClosesGecko)
+ * @param {number} [options.beforeTimestamp] - Only candles before this Unix timestamp (seconds)
+ * @returns {Promise<{closes: Array<Object>, path: string}>}
+ *          The candles in the base currency (see candles.js), and a description of the conversion path
+ */
+export async function getNormalizedCloses(tokenAddress, pool, timeframe, limit, {
+  network = 'pulsechain', priceIn = 'pls', gapPolicy = 'drop', poolSelection = {}, aggregate = 1, beforeTimestamp
+} = {}) {
+  const ohlcv = { network, aggregate, beforeTimestamp };
+  const bucketMs = TIMEFRAME_MS[timeframe] * aggregate;
+  const isBase = (address) => (priceIn === 'pls' ? address === WPLS_ADDRESS : USD_STABLECOINS.includes(address));
+  const baseName = priceIn.toUpperCase();
+
+  if (priceIn === 'pls' && tokenAddress === WPLS_ADDRESS) {
+    const closes = await getClosesGecko(pool.address, timeframe, limit, { ...ohlcv, currency: 'token', token: tokenAddress });
+    return { closes: closes.map(c => flatCandle(c.timestamp, 1, c.volume)), path: 'WPLS = 1 PLS' };
+  }
+
+  const other = pool.baseToken === tokenAddress ? pool.quoteToken : pool.baseToken;
+  if (other) {
+    const direct = await getClosesGecko(pool.address, timeframe, limit, { ...ohlcv, currency: 'token', token: tokenAddress });
+    if (isBase(other)) {
+      return { closes: direct, path: pool.name };
+    }
+
+    const counterparts = priceIn === 'pls' ? [WPLS_ADDRESS] : USD_STABLECOINS;
+    const hop = await findPoolPairedWith(other, counterparts, network);
+    if (hop) {
+      const hopCloses = await getClosesGecko(hop.address, timeframe, limit, { ...ohlcv, currency: 'token', token: other });
+      return { closes: combineSeries(direct, hopCloses, bucketMs, gapPolicy), path: `${pool.name} × ${hop.name}` };
+    }
+    console.warn(`No ${other.slice(0, 8)}.../${baseName} pool found to convert ${pool.name}; using GeckoTerminal USD prices.`);
+  } else {
+    console.warn(`Quote token of ${pool.name} unknown; using GeckoTerminal USD prices.`);
+  }
+
+  const usd = await getClosesGecko(pool.address, timeframe, limit, { ...ohlcv, currency: 'usd', token: tokenAddress });
+  if (priceIn === 'usd') {
+    return { closes: usd, path: `${pool.name} (USD)` };
+  }
+  const wplsPool = await getBestPoolWithHistory(WPLS_ADDRESS, network, limit, poolSelection);
+  const wplsUsd = await getClosesGecko(wplsPool.address, timeframe, limit, { ...ohlcv, currency: 'usd', token: WPLS_ADDRESS });
+  return {
+    closes: combineSeries(usd, wplsUsd, bucketMs, gapPolicy, true),
+    path: `${pool.name} (USD) ÷ ${wplsPool.name} (USD)`
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * relative-performance.js
+ *
+ * Standalone module comparing several tokens against one base token: each token/base ratio series is
+ * put on a common timeline starting at the latest first point among them, then rebased to 100 there,
+ * so that every line reads as the value of 100 base tokens' worth of that token.
+ *
+ * - Timeline: the union of the series' timestamps from the common start on; a series with no point at
+ *   a timestamp carries its previous value forward (every series has one, since none starts later).
+ * - Final returns: the last rebased value of each series, best first.
+ *
+ * Used by pulse-token-ratio.js (--base mode).
+ */
+
+/**
+ * Puts ratio series on a common timeline from their latest start.
+ * @param {Array<Array<{timestamp: number, close: number}>>} seriesList - Each series oldest first, not empty
+ * @returns {{timestamps: Array<number>, values: Array<Array<number>>}} The common timestamps, and each series'
+ *          values at them (in the order given)
+ */
+export function alignOnCommonStart(seriesList) {
+  const start = Math.max(...seriesList.map(series => series[0].timestamp));
+  const timestamps = [...new Set(seriesList.flatMap(series => series.map(p => p.timestamp)))]
+    .filter(t => t >= start)
+    .sort((a, b) => a - b);
+
+  const values = seriesList.map(series => {
+    const result = [];
+    let i = 0;
+    let last = null;
+    for (const t of timestamps) {
+      while (i < series.length && series[i].timestamp <= t) {
+        last = series[i].close;
+        i++;
+      }
+      result.push(last);
+    }
+    return result;
+  });
+  return { timestamps, values };
+}
+
+/**
+ * Rebases a series so that its first value is 100.
+ * @param {Array<number>} values - Oldest first, first value positive
+ * @returns {Array<number>}
+ */
+export function rebaseTo100(values) {
+  return values.map(v => v / values[0] * 100);
+}
+
+/**
+ * Final returns of rebased series, best first.
+ * @param {Array<{label: string, values: Array<number>}>} series - Rebased series
+ * @returns {Array<{label: string, value: number, returnPct: number}>} Each series' last value and its
+ *          return since the start, in percent
+ */
+export function rankFinalReturns(series) {
+  return series
+    .map(({ label, values }) => {
+      const value = values[values.length - 1];
+      return { label, value, returnPct: value - 100 };
+    })
+    .sort((a, b) => b.returnPct - a.returnPct);
+}
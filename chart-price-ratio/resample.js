@@ -0,0 +1,91 @@
+/**
+ * resample.js
+ *
+ * Standalone module that resamples candles into calendar periods (UTC), so that a week or a month here is the
+ * same week or month as on any other chart or report:
+ * - weekly: ISO weeks, Monday 00:00 to the next Monday 00:00. Longer runs of days (e.g. 14 for bi-weekly) are
+ *   counted from the ISO week of 1970-01-05, so multiples of 7 still start on a Monday.
+ * - monthly: calendar months.
+ * - quarterly: calendar quarters, starting in January, April, July and October.
+ *
+ * Each bucket merges its candles with mergeCandles (see candles.js): first open, highest high, lowest low, last
+ * close, summed volume. It is timestamped at the start of the period, not at its first candle. Candles may come
+ * in any order (GeckoTerminal lists them newest first); they are sorted oldest first before merging.
+ *
+ * A bucket is partial when its candles do not cover the whole period: the current week or month, which has not
+ * ended yet, or the first one when the data starts midway through it. Partial buckets carry partial: true, so
+ * reports can leave them out or mark them; a partial bucket's close is the latest price, not the period's close.
+ *
+ * Used by pulse-token-ratio.js (weekly, monthly and quarterly intervals).
+ */
+
+import { mergeCandles } from './candles.js';
+
+/** Supported resampling periods. */
+export const RESAMPLE_PERIODS = ['weekly', 'monthly', 'quarterly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Monday 1970-01-05 00:00 UTC, the first ISO week start after the Unix epoch. */
+const FIRST_MONDAY_MS = Date.UTC(1970, 0, 5);
+
+/**
+ * Start and end of the period holding a timestamp.
+ * @param {number} timestamp - Milliseconds
+ * @param {string} period - One of RESAMPLE_PERIODS
+ * @param {number} [weekDays=7] - Days per weekly bucket
+ * @returns {{start: number, end: number}} Milliseconds; the end is the next period's start
+ */
+export function periodBounds(timestamp, period, weekDays = 7) {
+  if (period === 'weekly') {
+    const length = weekDays * DAY_MS;
+    const start = FIRST_MONDAY_MS + Math.floor((timestamp - FIRST_MONDAY_MS) / length) * length;
+    return { start, end: start + length };
+  }
+  const date = new Date(timestamp);
+  const months = period === 'quarterly' ? 3 : 1;
+  const month = Math.floor(date.getUTCMonth() / months) * months;
+  return {
+    start: Date.UTC(date.getUTCFullYear(), month, 1),
+    end: Date.UTC(date.getUTCFullYear(), month + months, 1)
+  };
+}
+
+/**
+ * Resamples candles into calendar periods.
+ * @param {Array<Object>} candles - Candles (see candles.js) of one period each, e.g. daily, in any order
+ * @param {string} period - One of RESAMPLE_PERIODS
+ * @param {Object} [options]
+ * @param {number} [options.candleMs=86400000] - Period of the input candles, in milliseconds
+ * @param {number} [options.weekDays=7] - Days per weekly bucket
+ * @param {number} [options.now=Date.now()] - Current time: buckets ending after it are partial
+ * @returns {Array<{timestamp: number, open: number, high: number, low: number, close: number, volume: number, partial: boolean}>}
+ *          One candle per period holding input candles, oldest first, timestamped at the period's start
+ * @throws {Error} If the period is unsupported, or weekDays is not a positive whole number
+ */
+export function resampleCandles(candles, period, { candleMs = DAY_MS, weekDays = 7, now = Date.now() } = {}) {
+  if (!RESAMPLE_PERIODS.includes(period)) {
+    throw new Error(`Unsupported resampling period '${period}' (supported: ${RESAMPLE_PERIODS.join(', ')})`);
+  }
+  if (!Number.isInteger(weekDays) || weekDays <= 0) {
+    throw new Error(`Invalid days per weekly bucket '${weekDays}' (must be a positive whole number)`);
+  }
+  const sorted = [...candles].sort((a, b) => a.timestamp - b.timestamp);
+
+  const buckets = [];
+  let current = null;
+  for (const candle of sorted) {
+    if (!current || candle.timestamp >= current.end) {
+      current = { ...periodBounds(candle.timestamp, period, weekDays), candles: [] };
+      buckets.push(current);
+    }
+    current.candles.push(candle);
+  }
+
+  return buckets.map(({ start, end, candles: group }) => {
+    const first = group[0];
+    const last = group[group.length - 1];
+    const partial = first.timestamp > start || last.timestamp + candleMs < end || end > now;
+    return { ...mergeCandles(group, start), partial };
+  });
+}
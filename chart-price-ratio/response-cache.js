@@ -0,0 +1,132 @@
+/**
+ * response-cache.js
+ *
+ * On-disk cache of GeckoTerminal responses, so that reruns (and several lookups of the same pool in one run)
+ * do not download token info, pool lists and OHLCV series again.
+ *
+ * Layout: one JSON file per response, at <dir>/<endpoint>/<key>.json, holding { "fetchedAt": <ms>, "data": ... }.
+ * Keys name what was asked for, e.g. "pulsechain_<pool>_day_token_<token>" for an OHLCV series.
+ *
+ * Each endpoint has its own time to live (see DEFAULT_TTL_SECONDS): token info hardly ever changes, pool
+ * lists change daily, and only the newest candle of a series changes at all. An entry younger than its TTL
+ * is used as is; an older one is refreshed (for OHLCV series, topped up, see gecko-terminal.js).
+ *
+ * In offline mode nothing is fetched: every entry is used whatever its age, and a missing entry is an error.
+ *
+ * The cache is off until configureCache() is called, so other users of gecko-terminal.js and
+ * pool-selector.js (such as ../check-token-balance) always fetch.
+ *
+ * Used by gecko-terminal.js and pool-selector.js; configured by pulse-token-ratio.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/** Default cache directory, relative to the current working directory. */
+export const DEFAULT_CACHE_DIR = '.cache/geckoterminal';
+
+/** Default time to live of each endpoint's entries, in seconds. */
+export const DEFAULT_TTL_SECONDS = {
+  tokenInfo: 7 * 24 * 60 * 60,
+  pools: 60 * 60,
+  pool: 60 * 60,
+  ohlcv: 5 * 60
+};
+
+const settings = { enabled: false, offline: false, dir: DEFAULT_CACHE_DIR, ttlSeconds: DEFAULT_TTL_SECONDS };
+
+/**
+ * Turns the cache on (or off) for the rest of the run.
+ * @param {Object} options
+ * @param {boolean} [options.enabled=true] - Whether to read and write the cache
+ * @param {boolean} [options.offline=false] - Never fetch; serve everything from the cache
+ * @param {string} [options.dir=DEFAULT_CACHE_DIR] - Cache directory
+ * @param {Object<string, number>} [options.ttlSeconds] - Per-endpoint TTLs, merged over DEFAULT_TTL_SECONDS
+ */
+export function configureCache({ enabled = true, offline = false, dir = DEFAULT_CACHE_DIR, ttlSeconds = {} } = {}) {
+  settings.enabled = enabled || offline;
+  settings.offline = offline;
+  settings.dir = dir;
+  settings.ttlSeconds = { ...DEFAULT_TTL_SECONDS, ...ttlSeconds };
+}
+
+/** @returns {boolean} Whether the cache is on */
+export function isCacheEnabled() {
+  return settings.enabled;
+}
+
+/** @returns {boolean} Whether the run is offline */
+export function isOffline() {
+  return settings.offline;
+}
+
+/**
+ * @param {string} endpoint - One of the DEFAULT_TTL_SECONDS keys
+ * @param {string} key
+ * @returns {string} The entry's file path
+ */
+function entryPath(endpoint, key) {
+  return path.join(settings.dir, endpoint, `${key.replace(/[^a-zA-Z0-9_.-]/g, '_')}.json`);
+}
+
+/**
+ * Reads a cache entry.
+ * @param {string} endpoint - One of the DEFAULT_TTL_SECONDS keys
+ * @param {string} key
+ * @returns {?{fetchedAt: number, data: *, fresh: boolean}} The entry and whether it is within its TTL,
+ *          or null if there is none (or the cache is off)
+ */
+export function readCacheEntry(endpoint, key) {
+  if (!settings.enabled) return null;
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(entryPath(endpoint, key), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Ignoring unreadable cache entry ${entryPath(endpoint, key)}: ${error.message}`);
+    }
+    return null;
+  }
+  const fresh = settings.offline || Date.now() - entry.fetchedAt < settings.ttlSeconds[endpoint] * 1000;
+  return { ...entry, fresh };
+}
+
+/**
+ * Writes a cache entry, stamped with the current time.
+ * @param {string} endpoint - One of the DEFAULT_TTL_SECONDS keys
+ * @param {string} key
+ * @param {*} data - JSON-serializable response data
+ */
+export function writeCacheEntry(endpoint, key, data) {
+  if (!settings.enabled || settings.offline) return;
+  const filePath = entryPath(endpoint, key);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ fetchedAt: Date.now(), data }));
+}
+
+/**
+ * Error for a response that is not cached in offline mode.
+ * @param {string} endpoint
+ * @param {string} key
+ * @returns {Error}
+ */
+export function offlineMiss(endpoint, key) {
+  return new Error(`Offline: no cached ${endpoint} response for ${key} (run once online to fill the cache)`);
+}
+
+/**
+ * Returns a cached response, fetching and caching it when missing or stale.
+ * @param {string} endpoint - One of the DEFAULT_TTL_SECONDS keys
+ * @param {string} key
+ * @param {function(): Promise<*>} fetcher - Fetches the response data; errors are not cached
+ * @returns {Promise<*>} The response data
+ * @throws {Error} If offline and not cached, or if the fetch fails
+ */
+export async function cached(endpoint, key, fetcher) {
+  const entry = readCacheEntry(endpoint, key);
+  if (entry && entry.fresh) return entry.data;
+  if (settings.offline) throw offlineMiss(endpoint, key);
+  const data = await fetcher();
+  writeCacheEntry(endpoint, key, data);
+  return data;
+}
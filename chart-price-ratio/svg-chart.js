@@ -0,0 +1,225 @@
+/**
+ * svg-chart.js
+ *
+ * Standalone module that renders time series as a self-contained SVG chart, or as an HTML page holding
+ * one, for sharing charts without screenshots of the terminal. Nothing is loaded from the network: styles
+ * are inline, and hover tooltips are plain SVG <title> elements revealed with CSS, so no script runs.
+ *
+ * Layout:
+ * - Title (token names) and subtitle (contract addresses) above the plot, source in the footer.
+ * - Y-axis labels from generateNiceTicks (generateLogTicks on a log scale), with grid lines.
+ * - X-axis with sparse date (or date+hour) labels, oldest left → newest right.
+ * - One line per series (gaps where a value is null), a legend when there are several.
+ * - Hovering a column shows a cursor, markers, and a tooltip with the date and each series' value.
+ *
+ * Used by pulse-token-ratio.js (--svg and --html).
+ */
+
+import { generateNiceTicks, generateLogTicks } from './generateNiceTicks.js';
+
+/** Line colors, in order of use. */
+const PALETTE = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#17becf'];
+
+const STYLE = `
+  text { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; fill: #333; }
+  .title { font-size: 18px; font-weight: 600; }
+  .subtitle, .footer { font-size: 11px; fill: #777; }
+  .tick { font-size: 11px; }
+  .grid { stroke: #e5e5e5; }
+  .axis { stroke: #999; }
+  .series { fill: none; stroke-width: 1.5; }
+  .column rect { fill: transparent; }
+  .column .cursor, .column circle { visibility: hidden; }
+  .column:hover .cursor, .column:hover circle { visibility: visible; }
+  .cursor { stroke: #bbb; stroke-dasharray: 3 3; }
+`;
+
+/**
+ * Escapes text for XML content and attributes.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+/**
+ * Formats a value for tooltips: six significant digits, without trailing zeros.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  return String(Number(value.toPrecision(6)));
+}
+
+/**
+ * Formats a date (or date and hour) label.
+ * @param {number} timestamp - Milliseconds
+ * @param {boolean} hourly
+ * @returns {string}
+ */
+function formatDate(timestamp, hourly) {
+  const iso = new Date(timestamp).toISOString();
+  return hourly ? iso.replace('T', ' ').slice(0, 16) : iso.split('T')[0];
+}
+
+/**
+ * Builds the y-axis: the ticks, and a label formatter with just enough decimals to tell them apart.
+ * @param {number} min - Smallest value (log10 of it on a log scale)
+ * @param {number} max - Largest value (log10 of it on a log scale)
+ * @param {string} scale - 'linear' or 'log'
+ * @returns {{ticks: Array<number>, format: function(number): string}} Ticks in value (not log) units
+ */
+function yAxis(min, max, scale) {
+  if (scale === 'log') {
+    return {
+      ticks: generateLogTicks(Math.pow(10, min), Math.pow(10, max), 8),
+      format: (v) => String(Number(v.toPrecision(3)))
+    };
+  }
+  const ticks = generateNiceTicks(min, max, 8);
+  // The widest gap is the nice step; the narrower ones come from the data's min and max added at the ends
+  const gaps = ticks.slice(1).map((t, i) => t - ticks[i]);
+  const step = gaps.length ? Math.max(...gaps) : Math.abs(max) || 1;
+  const decimals = Math.min(Math.max(0, 1 - Math.floor(Math.log10(step))), 12);
+  return { ticks, format: (v) => v.toFixed(decimals) };
+}
+
+/**
+ * Renders series as a standalone SVG document.
+ *
+ * @param {Array<{label: string, values: Array<?number>}>} series - Lines aligned with timestamps (null where
+ *        undefined), the first being the main one.
+ * @param {Array<number>} timestamps - Millisecond timestamps, oldest first.
+ * @param {Object} [options]
+ * @param {string} [options.title=''] - Heading, e.g. the token names.
+ * @param {string} [options.subtitle=''] - Line under the heading, e.g. the contract addresses.
+ * @param {string} [options.footer=''] - Footer line, e.g. the data source.
+ * @param {boolean} [options.hourly=false] - Label dates with their hour.
+ * @param {string} [options.scale='linear'] - 'linear' or 'log' (non-positive values are then left out).
+ * @param {number} [options.width=960]
+ * @param {number} [options.height=540]
+ * @returns {string} The SVG document.
+ * @throws {Error} If no series has a value to plot.
+ */
+export function renderSvgChart(series, timestamps, {
+  title = '', subtitle = '', footer = '', hourly = false, scale = 'linear', width = 960, height = 540
+} = {}) {
+  const toScale = scale === 'log' ? (v => (v > 0 ? Math.log10(v) : null)) : (v => v);
+  const scaled = series.map(s => s.values.map(v => (v === null || v === undefined ? null : toScale(v))));
+  const all = scaled.flat().filter(v => v !== null && Number.isFinite(v));
+  if (all.length === 0) {
+    throw new Error('Nothing to chart: no series has a value');
+  }
+  let min = Math.min(...all);
+  let max = Math.max(...all);
+  if (min === max) {
+    // A flat series gets a band around it
+    const pad = Math.abs(min) * 0.01 || 1;
+    min -= pad;
+    max += pad;
+  }
+
+  const legendRows = series.length > 1 ? Math.ceil(series.length / 6) : 0;
+  const plot = { left: 90, right: width - 30, top: 80 + legendRows * 18, bottom: height - 70 };
+  const x = (i) => plot.left + (timestamps.length > 1 ? i / (timestamps.length - 1) : 0.5) * (plot.right - plot.left);
+  const y = (v) => plot.bottom - (v - min) / (max - min) * (plot.bottom - plot.top);
+
+  const parts = [];
+  parts.push(`<text class="title" x="${plot.left}" y="30">${escapeXml(title)}</text>`);
+  parts.push(`<text class="subtitle" x="${plot.left}" y="50">${escapeXml(subtitle)}</text>`);
+
+  // Legend, six entries per row
+  if (legendRows > 0) {
+    series.forEach((s, i) => {
+      const lx = plot.left + (i % 6) * 140;
+      const ly = 68 + Math.floor(i / 6) * 18;
+      const color = PALETTE[i % PALETTE.length];
+      parts.push(`<line x1="${lx}" y1="${ly - 4}" x2="${lx + 18}" y2="${ly - 4}" stroke="${color}" stroke-width="2"/>` +
+        `<text class="tick" x="${lx + 24}" y="${ly}">${escapeXml(s.label)}</text>`);
+    });
+  }
+
+  // Y grid and labels
+  const { ticks, format } = yAxis(min, max, scale);
+  for (const tick of ticks) {
+    const ty = y(toScale(tick));
+    if (ty < plot.top - 0.5 || ty > plot.bottom + 0.5) continue;
+    parts.push(`<line class="grid" x1="${plot.left}" y1="${ty.toFixed(1)}" x2="${plot.right}" y2="${ty.toFixed(1)}"/>` +
+      `<text class="tick" x="${plot.left - 8}" y="${(ty + 4).toFixed(1)}" text-anchor="end">${escapeXml(format(tick))}</text>`);
+  }
+  parts.push(`<line class="axis" x1="${plot.left}" y1="${plot.top}" x2="${plot.left}" y2="${plot.bottom}"/>`);
+  parts.push(`<line class="axis" x1="${plot.left}" y1="${plot.bottom}" x2="${plot.right}" y2="${plot.bottom}"/>`);
+
+  // X labels: about one per 120 pixels
+  const labelCount = Math.max(2, Math.floor((plot.right - plot.left) / 120));
+  const every = Math.max(1, Math.ceil((timestamps.length - 1) / (labelCount - 1)));
+  for (let i = 0; i < timestamps.length; i += every) {
+    parts.push(`<line class="axis" x1="${x(i).toFixed(1)}" y1="${plot.bottom}" x2="${x(i).toFixed(1)}" y2="${plot.bottom + 5}"/>` +
+      `<text class="tick" x="${x(i).toFixed(1)}" y="${plot.bottom + 20}" text-anchor="middle">${formatDate(timestamps[i], hourly)}</text>`);
+  }
+
+  // Lines, broken where a value is missing
+  scaled.forEach((values, s) => {
+    let d = '';
+    let pen = false;
+    values.forEach((v, i) => {
+      if (v === null || !Number.isFinite(v)) {
+        pen = false;
+        return;
+      }
+      d += `${pen ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)}`;
+      pen = true;
+    });
+    parts.push(`<path class="series" stroke="${PALETTE[s % PALETTE.length]}" d="${d}"/>`);
+  });
+
+  // Hover columns: cursor, markers and tooltip for each point in time
+  const columnWidth = timestamps.length > 1 ? (plot.right - plot.left) / (timestamps.length - 1) : plot.right - plot.left;
+  timestamps.forEach((timestamp, i) => {
+    const lines = [formatDate(timestamp, hourly)];
+    const markers = [];
+    series.forEach((s, j) => {
+      const v = s.values[i];
+      if (v === null || v === undefined) return;
+      lines.push(`${s.label}: ${formatValue(v)}`);
+      const sv = scaled[j][i];
+      if (sv !== null && Number.isFinite(sv)) {
+        markers.push(`<circle cx="${x(i).toFixed(1)}" cy="${y(sv).toFixed(1)}" r="3" fill="${PALETTE[j % PALETTE.length]}"/>`);
+      }
+    });
+    parts.push(`<g class="column"><title>${escapeXml(lines.join('\n'))}</title>` +
+      `<rect x="${(x(i) - columnWidth / 2).toFixed(1)}" y="${plot.top}" width="${columnWidth.toFixed(1)}" height="${plot.bottom - plot.top}"/>` +
+      `<line class="cursor" x1="${x(i).toFixed(1)}" y1="${plot.top}" x2="${x(i).toFixed(1)}" y2="${plot.bottom}"/>` +
+      `${markers.join('')}</g>`);
+  });
+
+  parts.push(`<text class="footer" x="${plot.left}" y="${height - 20}">${escapeXml(footer)}</text>`);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+    `<style>${STYLE}</style>\n<rect width="100%" height="100%" fill="#fff"/>\n${parts.join('\n')}\n</svg>\n`;
+}
+
+/**
+ * Renders series as a standalone HTML page holding the SVG chart (see renderSvgChart).
+ * @param {Array<{label: string, values: Array<?number>}>} series
+ * @param {Array<number>} timestamps
+ * @param {Object} [options] - As for renderSvgChart
+ * @returns {string} The HTML document.
+ */
+export function renderHtmlChart(series, timestamps, options = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(options.title || 'Chart')}</title>
+<style>
+  body { margin: 0; padding: 24px; background: #f6f6f6; }
+  svg { max-width: 100%; height: auto; background: #fff; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.15); }
+</style>
+</head>
+<body>
+${renderSvgChart(series, timestamps, options)}</body>
+</html>
+`;
+}
@@ -0,0 +1,124 @@
+/**
+ * Tests for alert-rules.js: rule validation and edge-triggered evaluation.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { evaluateRules, validateRule } from '../alert-rules.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hourly points from a list of ratios.
+ * @param {Array<number>} ratios
+ * @returns {Array<{timestamp: number, ratio: number}>}
+ */
+function hourly(ratios) {
+  return ratios.map((ratio, i) => ({ timestamp: Date.UTC(2024, 0, 1) + i * HOUR_MS, ratio }));
+}
+
+test('validateRule derives an id from the settings unless one is given', () => {
+  assert.equal(validateRule({ type: 'above', value: 0.5 }).id, 'above:0.5');
+  assert.equal(validateRule({ type: 'below', value: 2 }).id, 'below:2');
+  assert.equal(validateRule({ type: 'move', percent: 10, hours: 24 }).id, 'move:any:10%:24h');
+  assert.equal(validateRule({ type: 'move', percent: 5, hours: 4, direction: 'down' }).id, 'move:down:5%:4h');
+  assert.equal(validateRule({ type: 'deviation', percent: 15, period: 20 }).id, 'deviation:15%:sma20');
+  assert.equal(validateRule({ type: 'above', value: 1, id: 'target' }).id, 'target');
+});
+
+test('validateRule rejects unknown types and missing or invalid settings', () => {
+  assert.throws(() => validateRule({ type: 'cross', value: 1 }), /unknown type 'cross'/);
+  assert.throws(() => validateRule({ type: 'above' }), /'value' must be a positive number/);
+  assert.throws(() => validateRule({ type: 'below', value: -1 }), /'value' must be a positive number/);
+  assert.throws(() => validateRule({ type: 'move', percent: 10 }), /'hours' must be a positive number/);
+  assert.throws(() => validateRule({ type: 'move', percent: 10, hours: 1, direction: 'sideways' }), /direction/);
+  assert.throws(() => validateRule({ type: 'deviation', percent: 10, period: 'abc' }), /'period' must be a positive number/);
+});
+
+test('a crossing fires once, against the previous candle when there is no state', () => {
+  const rules = [validateRule({ type: 'above', value: 1 }), validateRule({ type: 'below', value: 0.5 })];
+  const first = evaluateRules(rules, hourly([0.9, 1.1]), {});
+  assert.deepEqual(first.alerts.map(a => a.rule.id), ['above:1']);
+  assert.match(first.alerts[0].message, /crossed above 1: 0\.9 → 1\.1/);
+  assert.equal(first.alerts[0].ratio, 1.1);
+
+  // Still above at the next poll: no repeat
+  const second = evaluateRules(rules, hourly([0.9, 1.1, 1.2]), first.state);
+  assert.equal(second.alerts.length, 0);
+
+  // Down through both levels since the last poll
+  const third = evaluateRules(rules, hourly([0.9, 1.1, 1.2, 0.4]), second.state);
+  assert.deepEqual(third.alerts.map(a => a.rule.id), ['below:0.5']);
+});
+
+test('a crossing compares with the last ratio seen, not the previous candle', () => {
+  const rules = [validateRule({ type: 'above', value: 1 })];
+  // The previous candle was above, but the last poll saw the ratio below
+  const { alerts } = evaluateRules(rules, hourly([1.2, 1.3]), { 'above:1': { lastRatio: 0.8 } });
+  assert.equal(alerts.length, 1);
+  assert.match(alerts[0].message, /0\.8 → 1\.3/);
+});
+
+test('a single point with no state has nothing to cross from', () => {
+  const { alerts, state } = evaluateRules([validateRule({ type: 'above', value: 1 })], hourly([2]), {});
+  assert.equal(alerts.length, 0);
+  assert.deepEqual(state, { 'above:1': { lastRatio: 2 } });
+});
+
+test('a move compares with the last point at or before the start of its window', () => {
+  const ratios = [...Array(24).fill(1), 1.05, 1.2];
+  const up = evaluateRules([validateRule({ type: 'move', percent: 10, hours: 24 })], hourly(ratios), {});
+  assert.equal(up.alerts.length, 1);
+  assert.match(up.alerts[0].message, /moved \+20\.00% in 24h: 1 → 1\.2/);
+
+  // Over the last hour it only moved 1.05 → 1.2 (+14.3%)
+  const short = evaluateRules([validateRule({ type: 'move', percent: 20, hours: 1 })], hourly(ratios), {});
+  assert.equal(short.alerts.length, 0);
+
+  const down = evaluateRules([validateRule({ type: 'move', percent: 10, hours: 24, direction: 'down' })], hourly(ratios), {});
+  assert.equal(down.alerts.length, 0);
+
+  // No point old enough to compare with
+  const long = evaluateRules([validateRule({ type: 'move', percent: 10, hours: 48 })], hourly(ratios), {});
+  assert.equal(long.alerts.length, 0);
+  assert.equal(long.state['move:any:10%:48h'].active, false);
+});
+
+test('a move fires when it starts and re-arms once it is over', () => {
+  const rules = [validateRule({ type: 'move', percent: 10, hours: 1 })];
+  let state = {};
+  const fired = [];
+  for (const ratios of [[1, 1], [1, 1, 1.2], [1, 1, 1.2, 1.3], [1, 1, 1.2, 1.3, 1.3], [1, 1, 1.2, 1.3, 1.3, 1.1]]) {
+    const result = evaluateRules(rules, hourly(ratios), state);
+    fired.push(result.alerts.length);
+    state = result.state;
+  }
+  // Fires at +20%, re-arms at +8.3% and 0%, and fires again at -15.4%
+  assert.deepEqual(fired, [0, 1, 0, 0, 1]);
+});
+
+test('a deviation from the moving average fires once while it lasts', () => {
+  const rules = [validateRule({ type: 'deviation', percent: 15, period: 5 })];
+  const base = Array(10).fill(1);
+  const first = evaluateRules(rules, hourly([...base, 1.3]), {});
+  assert.equal(first.alerts.length, 1);
+  assert.match(first.alerts[0].message, /\+22\.64% from its 5-candle average 1\.06/);
+
+  const lasting = evaluateRules(rules, hourly([...base, 1.3, 1.35]), first.state);
+  assert.equal(lasting.alerts.length, 0);
+
+  // Too few points for the average: never active
+  const short = evaluateRules(rules, hourly([1, 2]), {});
+  assert.equal(short.alerts.length, 0);
+});
+
+test('persisted state stops a repeat alert for the same data', () => {
+  const rules = [validateRule({ type: 'above', value: 1 }), validateRule({ type: 'deviation', percent: 10, period: 3 })];
+  const points = hourly([0.9, 0.9, 0.9, 1.5]);
+  const first = evaluateRules(rules, points, {});
+  assert.equal(first.alerts.length, 2);
+  // As if written by saveAlertState and read back by loadAlertState after a restart
+  const restored = JSON.parse(JSON.stringify(first.state));
+  assert.equal(evaluateRules(rules, points, restored).alerts.length, 0);
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for align-series.js: joining two series on buckets under each gap policy.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { alignSeries } from '../align-series.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hourly candles at the given hours.
+ * @param {Object<number, number>} closes - Hour → close
+ * @returns {Array<{timestamp: number, close: number}>} Newest first, as GeckoTerminal lists them
+ */
+function series(closes) {
+  return Object.entries(closes).map(([hour, close]) => ({ timestamp: Number(hour) * HOUR_MS, close })).reverse();
+}
+
+const A = series({ 0: 1, 1: 2, 2: 3, 3: 4, 4: 5 });
+const B = series({ 1: 10, 3: 30 });
+
+test('drop keeps only the buckets both series have', () => {
+  const { points, filledA, filledB, dropped } = alignSeries(A, B, { bucketMs: HOUR_MS });
+  assert.deepEqual(points.map(p => [p.timestamp / HOUR_MS, p.closeA, p.closeB]), [[1, 2, 10], [3, 4, 30]]);
+  assert.deepEqual([filledA, filledB, dropped], [0, 0, 3]);
+});
+
+test('ffill carries the last close forward, never backward', () => {
+  const { points, filledB, dropped } = alignSeries(A, B, { bucketMs: HOUR_MS, gapPolicy: 'ffill' });
+  assert.deepEqual(points.map(p => [p.timestamp / HOUR_MS, p.closeB]), [[1, 10], [2, 10], [3, 30], [4, 30]]);
+  assert.deepEqual([filledB, dropped], [2, 1]);
+  assert.deepEqual(points[1].candleB, { timestamp: 2 * HOUR_MS, open: 10, high: 10, low: 10, close: 10, volume: 0 });
+});
+
+test('interpolate fills between neighbours only', () => {
+  const { points, filledB, dropped } = alignSeries(A, B, { bucketMs: HOUR_MS, gapPolicy: 'interpolate' });
+  assert.deepEqual(points.map(p => [p.timestamp / HOUR_MS, p.closeB]), [[1, 10], [2, 20], [3, 30]]);
+  assert.deepEqual([filledB, dropped], [1, 2]);
+});
+
+test('gaps in both series are filled from each one\'s own neighbours', () => {
+  const a = series({ 0: 1, 2: 3, 6: 7, 8: 9 });
+  const b = series({ 0: 10, 4: 50, 5: 60, 8: 90 });
+  const { points } = alignSeries(a, b, { bucketMs: HOUR_MS, gapPolicy: 'interpolate' });
+  assert.deepEqual(points.map(p => [p.timestamp / HOUR_MS, p.closeA, p.closeB]), [
+    [0, 1, 10], [2, 3, 30], [4, 5, 50], [5, 6, 60], [6, 7, 70], [8, 9, 90]
+  ]);
+});
+
+test('long series with many gaps align in linear time', () => {
+  const n = 200000;
+  const a = Array.from({ length: n }, (_, i) => ({ timestamp: i * HOUR_MS, close: i + 1 }));
+  const b = a.filter((_, i) => i % 3 === 0);
+  const started = Date.now();
+  const { points, filledB } = alignSeries(a, b, { bucketMs: HOUR_MS, gapPolicy: 'ffill' });
+  assert.equal(points.length, n);
+  assert.equal(filledB, n - b.length);
+  assert.equal(points[n - 1].closeB, b[b.length - 1].close);
+  assert.ok(Date.now() - started < 5000);
+});
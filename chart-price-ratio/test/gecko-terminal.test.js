@@ -0,0 +1,83 @@
+/**
+ * Tests for gecko-terminal.js: OHLCV windows into the past (beforeTimestamp) served from the response cache.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { configureGeckoTerminal, getClosesGecko } from '../gecko-terminal.js';
+import { configureCache, writeCacheEntry } from '../response-cache.js';
+import { configureHttpClient, getRequestCount } from '../http-client.js';
+
+const DAY = 24 * 60 * 60;
+const POOL = '0xeeee111111111111111111111111111111111111';
+const KEY = `pulsechain_${POOL}_day_token_base`;
+const NOW = Math.floor(Date.now() / 1000 / DAY) * DAY;
+
+let dir;
+
+/**
+ * Caches a daily series of a pool, newest first.
+ * @param {number} days - Candles, the newest starting today
+ * @param {boolean} complete - Whether the series reaches back to the pool's first candle
+ */
+function cacheSeries(days, complete) {
+  const rows = Array.from({ length: days }, (_, i) => [NOW - i * DAY, '1', '1', '1', String(days - i), '0']);
+  writeCacheEntry('ohlcv', KEY, { rows, complete });
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gecko-test-'));
+  // Nothing listens here: any request fails at once
+  configureGeckoTerminal({ apiUrl: 'http://127.0.0.1:9/api/v2' });
+  configureHttpClient({ maxRetries: 0 });
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('offline, a dated request is served from the cached series, clipped to the window', async () => {
+  configureCache({ dir });
+  cacheSeries(30, false);
+  configureCache({ dir, offline: true });
+  const sent = getRequestCount();
+  const closes = await getClosesGecko(POOL, 'day', 5, { currency: 'token', beforeTimestamp: NOW - 10 * DAY });
+  assert.equal(getRequestCount(), sent);
+  assert.deepEqual(closes.map(c => c.timestamp / 1000), [11, 12, 13, 14, 15].map(i => NOW - i * DAY));
+});
+
+test('offline, a dated request the cache cannot serve fails instead of fetching', async () => {
+  configureCache({ dir });
+  cacheSeries(5, false);
+  configureCache({ dir, offline: true });
+  const sent = getRequestCount();
+  await assert.rejects(getClosesGecko(POOL, 'day', 5, { currency: 'token', beforeTimestamp: NOW - 10 * DAY }), /^Error: Offline: /);
+  await assert.rejects(getClosesGecko(POOL, 'day', 5, { currency: 'usd', beforeTimestamp: NOW }), /^Error: Offline: /);
+  assert.equal(getRequestCount(), sent);
+});
+
+test('online, a dated request is served from the cache when the cached series covers it', async () => {
+  configureCache({ dir });
+  cacheSeries(30, false);
+  const sent = getRequestCount();
+  const closes = await getClosesGecko(POOL, 'day', 10, { currency: 'token', beforeTimestamp: NOW - 5 * DAY });
+  assert.equal(closes.length, 10);
+  assert.equal(closes[0].timestamp / 1000, NOW - 6 * DAY);
+
+  // A complete series covers windows reaching back past its first candle
+  cacheSeries(8, true);
+  assert.equal((await getClosesGecko(POOL, 'day', 10, { currency: 'token', beforeTimestamp: NOW - 5 * DAY })).length, 2);
+  assert.equal(getRequestCount(), sent);
+});
+
+test('online, a dated request the cache does not cover is fetched', async () => {
+  configureCache({ dir });
+  cacheSeries(8, false);
+  const sent = getRequestCount();
+  await assert.rejects(getClosesGecko(POOL, 'day', 10, { currency: 'token', beforeTimestamp: NOW - 5 * DAY }));
+  assert.equal(getRequestCount(), sent + 1);
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for http-client.js: retries of responses whose body is cut short, against a local server.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+import { configureHttpClient, getJson, getRequestCount } from '../http-client.js';
+
+let server;
+let baseUrl;
+/** Path → requests received. */
+const hits = {};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    const first = hits[req.url] === 1;
+    if (req.url === '/stalled' && first) {
+      // Headers, then a body that never ends
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.write('{"data":');
+      return;
+    }
+    if (req.url === '/reset' && first) {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.write('{"data":', () => res.socket.destroy());
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(req.url === '/invalid' ? '<html>maintenance</html>' : '{"data":1}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  configureHttpClient({ timeoutMs: 500, maxRetries: 2, ratePerMinute: { test: 60000 } });
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const request = { service: 'test', endpoint: 'Test' };
+
+test('a body that times out is retried', async () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepEqual(await getJson(`${baseUrl}/stalled`, request), { data: 1 });
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(hits['/stalled'], 2);
+});
+
+test('a body cut off by a dropped connection is retried', async () => {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  try {
+    assert.deepEqual(await getJson(`${baseUrl}/reset`, request), { data: 1 });
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(hits['/reset'], 2);
+  assert.match(warnings[0], /retrying in/);
+});
+
+test('a complete body that is not JSON fails without a retry', async () => {
+  const sent = getRequestCount();
+  await assert.rejects(getJson(`${baseUrl}/invalid`, request), /Test failed: invalid JSON response/);
+  assert.equal(getRequestCount(), sent + 1);
+});
@@ -0,0 +1,203 @@
+/**
+ * Tests for onchain-prices.js: pair discovery (findPair) and reserve reads (readPrice) against a stubbed
+ * provider that answers eth_call from an in-memory set of PulseX contracts, as a fork would.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+
+import { findPair, readPrice, PULSEX_FACTORIES } from '../onchain-prices.js';
+import { WPLS_ADDRESS, USD_STABLECOINS } from '../quote-conversion.js';
+
+const [V2_FACTORY, V1_FACTORY] = Object.keys(PULSEX_FACTORIES);
+const [DAI, USDC] = USD_STABLECOINS;
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const PAIR_V1 = '0x2222222222222222222222222222222222222222';
+const PAIR_V2 = '0x3333333333333333333333333333333333333333';
+const PAIR_DAI = '0x4444444444444444444444444444444444444444';
+const PAIR_USDC = '0x5555555555555555555555555555555555555555';
+
+const iface = new ethers.Interface([
+  'function getPair(address tokenA, address tokenB) view returns (address pair)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function decimals() view returns (uint8)'
+]);
+
+/**
+ * A provider answering calls from in-memory contracts.
+ * @param {Object} chain
+ * @param {Object<string, Object<string, string>>} [chain.factories] - Factory → 'tokenA:tokenB' (sorted) → pair
+ * @param {Object<string, {token0: string, token1: string, reserves: Function}>} [chain.pairs] - reserves(blockTag)
+ *        returns [reserve0, reserve1], or throws
+ * @param {Object<string, number>} [chain.decimals] - Token → decimals (default 18)
+ * @param {Function} [chain.getCode] - (address, blockTag) → bytecode
+ * @returns {Object}
+ */
+function stubProvider({ factories = {}, pairs = {}, decimals = {}, getCode = async () => '0x60' } = {}) {
+  return {
+    getCode,
+    async call(tx) {
+      const to = tx.to.toLowerCase();
+      const { name, args } = iface.parseTransaction({ data: tx.data });
+      const reply = (...values) => iface.encodeFunctionResult(name, values);
+      switch (name) {
+        case 'getPair': {
+          const key = [args[0], args[1]].map(a => a.toLowerCase()).sort().join(':');
+          return reply(factories[to]?.[key] || ethers.ZeroAddress);
+        }
+        case 'token0':
+          return reply(pairs[to].token0);
+        case 'token1':
+          return reply(pairs[to].token1);
+        case 'getReserves':
+          return reply(...pairs[to].reserves(tx.blockTag), 0);
+        default:
+          return reply(decimals[to] ?? 18);
+      }
+    }
+  };
+}
+
+const key = (a, b) => [a, b].sort().join(':');
+const units = (value, decimals = 18) => ethers.parseUnits(String(value), decimals);
+
+test('findPair keeps the pair holding the most of the counterpart across factories', async () => {
+  const provider = stubProvider({
+    factories: {
+      [V2_FACTORY]: { [key(TOKEN, WPLS_ADDRESS)]: PAIR_V2 },
+      [V1_FACTORY]: { [key(TOKEN, WPLS_ADDRESS)]: PAIR_V1 }
+    },
+    pairs: {
+      [PAIR_V2]: { token0: TOKEN, token1: WPLS_ADDRESS, reserves: () => [units(10), units(100)] },
+      [PAIR_V1]: { token0: WPLS_ADDRESS, token1: TOKEN, reserves: () => [units(5000), units(10)] }
+    }
+  });
+  const pair = await findPair(provider, TOKEN, [WPLS_ADDRESS]);
+  assert.equal(pair.address, PAIR_V1);
+  assert.equal(pair.tokenIs0, false);
+  assert.equal(pair.counterpart, WPLS_ADDRESS);
+  assert.match(pair.name, /^PulseX V1 /);
+});
+
+test('findPair compares stablecoin depth in whole units, whatever their decimals', async () => {
+  const provider = stubProvider({
+    factories: { [V2_FACTORY]: { [key(WPLS_ADDRESS, DAI)]: PAIR_DAI, [key(WPLS_ADDRESS, USDC)]: PAIR_USDC } },
+    pairs: {
+      // 1,000 DAI against 2,000,000 USDC: the raw DAI reserve is the larger number
+      [PAIR_DAI]: { token0: WPLS_ADDRESS, token1: DAI, reserves: () => [units(1e7), units(1000)] },
+      [PAIR_USDC]: { token0: USDC, token1: WPLS_ADDRESS, reserves: () => [units(2e6, 6), units(1e10)] }
+    },
+    decimals: { [USDC]: 6 }
+  });
+  const pair = await findPair(provider, WPLS_ADDRESS, USD_STABLECOINS);
+  assert.equal(pair.address, PAIR_USDC);
+  assert.equal(pair.counterpartDecimals, 6);
+});
+
+test('findPair uses a pinned pair, and searches the factories when the pin does not fit', async () => {
+  const chain = {
+    factories: { [V2_FACTORY]: { [key(TOKEN, WPLS_ADDRESS)]: PAIR_V2 } },
+    pairs: {
+      [PAIR_V1]: { token0: TOKEN, token1: WPLS_ADDRESS, reserves: () => [units(1), units(1)] },
+      [PAIR_V2]: { token0: TOKEN, token1: WPLS_ADDRESS, reserves: () => [units(1), units(1)] },
+      [PAIR_DAI]: { token0: TOKEN, token1: DAI, reserves: () => [units(1), units(1)] }
+    }
+  };
+  const pinned = await findPair(stubProvider(chain), TOKEN, [WPLS_ADDRESS], PAIR_V1);
+  assert.equal(pinned.address, PAIR_V1);
+  assert.equal(pinned.name, `pinned pair ${PAIR_V1.slice(0, 8)}...`);
+
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  try {
+    const searched = await findPair(stubProvider(chain), TOKEN, [WPLS_ADDRESS], PAIR_DAI);
+    assert.equal(searched.address, PAIR_V2);
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /searching the factories/);
+});
+
+test('findPair throws when no factory has a pair', async () => {
+  await assert.rejects(findPair(stubProvider(), TOKEN, [WPLS_ADDRESS]), /No PulseX pair found/);
+});
+
+test('readPrice prices the token in its counterpart, from either side of the pair', async () => {
+  const provider = stubProvider({
+    pairs: {
+      [PAIR_V1]: { token0: TOKEN, token1: WPLS_ADDRESS, reserves: () => [units(4, 8), units(100)] },
+      [PAIR_V2]: { token0: WPLS_ADDRESS, token1: TOKEN, reserves: () => [units(100), units(4, 8)] }
+    },
+    decimals: { [TOKEN]: 8 }
+  });
+  for (const address of [PAIR_V1, PAIR_V2]) {
+    const pair = await findPair(provider, TOKEN, [WPLS_ADDRESS], address);
+    assert.equal(await readPrice(provider, pair, 123), 25);
+  }
+});
+
+test('readPrice reads at the given block', async () => {
+  const blocks = [];
+  const provider = stubProvider({
+    pairs: {
+      [PAIR_V1]: {
+        token0: TOKEN,
+        token1: WPLS_ADDRESS,
+        reserves: (blockTag) => {
+          blocks.push(blockTag);
+          return String(blockTag) === '100' ? [units(1), units(2)] : [units(1), units(3)];
+        }
+      }
+    }
+  });
+  const pair = await findPair(provider, TOKEN, [WPLS_ADDRESS], PAIR_V1);
+  assert.equal(await readPrice(provider, pair, 100), 2);
+  assert.equal(await readPrice(provider, pair, 101), 3);
+  assert.deepEqual(blocks.map(String), ['100', '101']);
+});
+
+test('readPrice returns null before the pair was deployed or while it is empty', async () => {
+  let deployed = false;
+  const provider = stubProvider({
+    pairs: {
+      [PAIR_V1]: {
+        token0: TOKEN,
+        token1: WPLS_ADDRESS,
+        reserves: () => {
+          if (!deployed) throw new Error('call to non-contract');
+          return [0n, 0n];
+        }
+      }
+    },
+    getCode: async () => (deployed ? '0x60' : '0x')
+  });
+  deployed = true;
+  const pair = await findPair(provider, TOKEN, [WPLS_ADDRESS], PAIR_V1);
+  assert.equal(await readPrice(provider, pair, 1), null);
+  deployed = false;
+  assert.equal(await readPrice(provider, pair, 1), null);
+});
+
+test('readPrice explains a failed read of a deployed pair', async () => {
+  let pruned = false;
+  const provider = stubProvider({
+    pairs: {
+      [PAIR_V1]: {
+        token0: TOKEN,
+        token1: WPLS_ADDRESS,
+        reserves: () => {
+          if (pruned) throw new Error('missing trie node');
+          return [units(1), units(1)];
+        }
+      }
+    }
+  });
+  const pair = await findPair(provider, TOKEN, [WPLS_ADDRESS], PAIR_V1);
+  pruned = true;
+  await assert.rejects(readPrice(provider, pair, 5), /an archive node is needed for past blocks/);
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for resample.js: calendar buckets, partial periods and the days per weekly bucket.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { periodBounds, resampleCandles } from '../resample.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Daily candles from a start date.
+ * @param {string} start - YYYY-MM-DD
+ * @param {number} days
+ * @returns {Array<Object>} Newest first, closing at 1, 2, 3, ...
+ */
+function daily(start, days) {
+  const from = Date.parse(`${start}T00:00:00Z`);
+  return Array.from({ length: days }, (_, i) => ({
+    timestamp: from + i * DAY_MS, open: i + 1, high: i + 1, low: i + 1, close: i + 1, volume: 1
+  })).reverse();
+}
+
+test('weeks are ISO weeks, and runs of several weeks start on Mondays', () => {
+  // 2024-01-03 is a Wednesday
+  assert.deepEqual(periodBounds(Date.UTC(2024, 0, 3, 12), 'weekly'), { start: Date.UTC(2024, 0, 1), end: Date.UTC(2024, 0, 8) });
+  const { start, end } = periodBounds(Date.UTC(2024, 0, 3), 'weekly', 14);
+  assert.equal(new Date(start).getUTCDay(), 1);
+  assert.equal(end - start, 14 * DAY_MS);
+});
+
+test('months and quarters follow the calendar', () => {
+  assert.deepEqual(periodBounds(Date.UTC(2024, 1, 29), 'monthly'), { start: Date.UTC(2024, 1, 1), end: Date.UTC(2024, 2, 1) });
+  assert.deepEqual(periodBounds(Date.UTC(2024, 4, 15), 'quarterly'), { start: Date.UTC(2024, 3, 1), end: Date.UTC(2024, 6, 1) });
+});
+
+test('weekly buckets merge their days and flag the ones not fully covered', () => {
+  // Wednesday 2024-01-03 to Sunday 2024-01-21: a partial week, then two whole ones
+  const weeks = resampleCandles(daily('2024-01-03', 19), 'weekly', { now: Date.UTC(2024, 5, 1) });
+  assert.deepEqual(weeks.map(w => [new Date(w.timestamp).toISOString().slice(0, 10), w.open, w.close, w.volume, w.partial]), [
+    ['2024-01-01', 1, 5, 5, true],
+    ['2024-01-08', 6, 12, 7, false],
+    ['2024-01-15', 13, 19, 7, false]
+  ]);
+});
+
+test('a period that has not ended yet is partial', () => {
+  const months = resampleCandles(daily('2024-01-01', 45), 'monthly', { now: Date.UTC(2024, 1, 15) });
+  assert.deepEqual(months.map(m => m.partial), [false, true]);
+});
+
+test('days per weekly bucket must be a positive whole number', () => {
+  for (const weekDays of [0, -7, NaN, 1.5]) {
+    assert.throws(() => resampleCandles(daily('2024-01-01', 30), 'weekly', { weekDays }), /positive whole number/);
+  }
+  const fortnights = resampleCandles(daily('2024-01-01', 60), 'weekly', { weekDays: 14 });
+  assert.ok(fortnights.every((f, i) => new Date(f.timestamp).getUTCDay() === 1 &&
+    (i === 0 || f.timestamp - fortnights[i - 1].timestamp === 14 * DAY_MS)));
+  assert.equal(fortnights.reduce((sum, f) => sum + f.volume, 0), 60);
+});
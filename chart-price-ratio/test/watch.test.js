@@ -0,0 +1,117 @@
+/**
+ * End-to-end test of watch mode: runs mock-price-server.js on a free port and pulse-token-ratio.js --watch --once
+ * against it, through a price change.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const TOKEN_A = '0x1111111111111111111111111111111111111111';
+const TOKEN_B = '0x2222222222222222222222222222222222222222';
+
+let server;
+let apiUrl;
+let webhook;
+let webhookUrl;
+const received = [];
+let tmp;
+
+/**
+ * Runs a script of this package to completion.
+ * @param {Array<string>} args - Script, then its arguments
+ * @returns {Promise<{code: number, output: string}>} Exit code, and stdout and stderr together
+ */
+function run(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, { cwd: tmp, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, output }));
+  });
+}
+
+/**
+ * Polls the pair once, unthrottled: the mock has no rate limit to respect.
+ * @param {string} [api] - GeckoTerminal API root
+ * @returns {Promise<{code: number, output: string}>}
+ */
+function watchOnce(api = apiUrl) {
+  return run([
+    path.join(DIR, 'pulse-token-ratio.js'), TOKEN_A, TOKEN_B, 'hourly', '--watch', '--once', '--no-cache',
+    `--gecko-api=${api}`, '--gecko-rate=60000', `--alert-rules=${path.join(tmp, 'rules.json')}`, `--alert-state=${path.join(tmp, 'state.json')}`,
+    `--webhook=${webhookUrl}`
+  ]);
+}
+
+before(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-test-'));
+  fs.writeFileSync(path.join(tmp, 'rules.json'), JSON.stringify([{ type: 'above', value: 1.2 }]));
+
+  webhook = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end();
+    });
+  });
+  await new Promise(resolve => webhook.listen(0, '127.0.0.1', resolve));
+  webhookUrl = `http://127.0.0.1:${webhook.address().port}/alerts`;
+
+  server = spawn(process.execPath, [path.join(DIR, 'mock-price-server.js'), '--port=0'], { stdio: ['ignore', 'pipe', 'inherit'] });
+  apiUrl = await new Promise((resolve, reject) => {
+    let output = '';
+    server.stdout.on('data', chunk => {
+      output += chunk;
+      const match = output.match(/http:\/\/127\.0\.0\.1:\d+\/api\/v2/);
+      if (match) resolve(match[0]);
+    });
+    server.on('exit', code => reject(new Error(`Mock server exited with code ${code}`)));
+  });
+});
+
+after(() => {
+  server?.kill();
+  webhook?.close();
+  if (tmp) fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('watch --once alerts on a crossing once, and fails on a failed poll', async () => {
+  const flat = await watchOnce();
+  assert.equal(flat.code, 0, flat.output);
+  assert.match(flat.output, /ratio 1\.00000 .*: 0 alert\(s\)/);
+  const state = JSON.parse(fs.readFileSync(path.join(tmp, 'state.json'), 'utf8'));
+  assert.deepEqual(Object.values(state), [{ 'above:1.2': { lastRatio: 1 } }]);
+
+  const res = await fetch(apiUrl.replace('/api/v2', '/mock/prices'), { method: 'POST', body: JSON.stringify({ [TOKEN_A]: 1.5 }) });
+  assert.equal(res.status, 200);
+
+  const crossed = await watchOnce();
+  assert.equal(crossed.code, 0, crossed.output);
+  assert.match(crossed.output, /ratio 1\.50000 .*: 1 alert\(s\)/);
+  assert.match(crossed.output, /🔔 .* ratio crossed above 1\.2: 1 → 1\.5/);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].rule, 'above:1.2');
+  assert.equal(received[0].ratio, 1.5);
+  assert.equal(received[0].tokenA, TOKEN_A);
+  assert.equal(received[0].interval, 'hourly');
+
+  // The state file remembers the crossing
+  const again = await watchOnce();
+  assert.equal(again.code, 0, again.output);
+  assert.match(again.output, /: 0 alert\(s\)/);
+  assert.equal(received.length, 1);
+
+  const failed = await watchOnce(`${apiUrl}/missing`);
+  assert.equal(failed.code, 1, failed.output);
+  assert.match(failed.output, /Watch poll failed/);
+});
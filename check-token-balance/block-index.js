@@ -0,0 +1,207 @@
+/**
+ * @module Block Index
+ *
+ * @description
+ * Resolves Unix timestamps to PulseChain block numbers by binary search, backed by a persistent on-disk
+ * index so that repeated lookups stop re-searching the chain from block 1.
+ *
+ * The index file is JSON with the following structure:
+ * {
+ *   "chainId": "369",
+ *   "blocks": { "<blockNumber>": <blockTimestamp>, ... },
+ *   "resolved": { "<targetTimestamp>": <blockNumber>, ... }
+ * }
+ * - "resolved" holds finished lookups; a repeated lookup for the same timestamp costs no RPC calls.
+ * - "blocks" holds the actual timestamps of blocks found by earlier searches. Because block timestamps
+ *   increase monotonically, the known blocks just below and just above a new target bound its search,
+ *   so a lookup near previously resolved dates costs a few getBlock calls instead of about 25.
+ *   When only one side is known (e.g. indexing dates in order), one probe a block-time estimate past the
+ *   target usually closes the other side.
+ * The index is tied to the chain id of the provider; an index built on another chain is ignored.
+ */
+
+import fs from 'fs';
+
+/** Default index file name, relative to the current working directory (like config.json). */
+export const DEFAULT_BLOCK_INDEX_FILE = 'block-index.json';
+
+/** Approximate PulseChain block time, used to guess the missing bound when only one side of a target is known. */
+const BLOCK_TIME_SECONDS = 10;
+
+/**
+ * Converts a YYYY-MM-DD date string to the Unix timestamp of midnight UTC on that date.
+ *
+ * @param {string} dateStr - The date in YYYY-MM-DD format.
+ * @returns {number} The Unix timestamp in seconds.
+ * @throws {Error} If the date format is invalid.
+ */
+export function dateToTimestamp(dateStr) {
+  const date = new Date(dateStr + 'T00:00:00.000Z');
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date format '${dateStr}'. Use YYYY-MM-DD.`);
+  }
+  return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Opens (or starts) the block index for the provider's chain.
+ *
+ * @param {ethers.JsonRpcProvider} provider - The ethers provider instance connected to the PulseChain RPC.
+ * @param {string} [filePath] - Path of the index file (default: block-index.json in the current working directory).
+ * @returns {Promise<{filePath: string, chainId: string, blocks: Object<string, number>, resolved: Object<string, number>}>}
+ *          The index; pass it to findBlockByTimestamp.
+ */
+export async function openBlockIndex(provider, filePath = DEFAULT_BLOCK_INDEX_FILE) {
+  const { chainId } = await provider.getNetwork();
+  const index = { filePath, chainId: chainId.toString(), blocks: {}, resolved: {} };
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (saved.chainId === index.chainId) {
+      index.blocks = saved.blocks || {};
+      index.resolved = saved.resolved || {};
+    } else {
+      console.warn(`Warning: ${filePath} was built for chain ${saved.chainId}, not ${index.chainId}. Starting a new index.`);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Warning: ${filePath} is invalid (${error.message}). Starting a new index.`);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Writes the block index to its file.
+ *
+ * @param {{filePath: string, chainId: string, blocks: Object, resolved: Object}} index - The index from openBlockIndex.
+ */
+export function saveBlockIndex(index) {
+  const { filePath, chainId, blocks, resolved } = index;
+  fs.writeFileSync(filePath, JSON.stringify({ chainId, blocks, resolved }, null, 2));
+}
+
+/**
+ * Finds the tightest known search bounds around a target timestamp from the index.
+ *
+ * @param {Object<string, number>} blocks - Known block number → timestamp pairs.
+ * @param {number} targetTimestamp - The target Unix timestamp (in seconds).
+ * @returns {{below: ?{block: number, timestamp: number}, above: ?{block: number, timestamp: number}}}
+ *          The latest known block at or before the target and the earliest known block at or after it.
+ */
+function findKnownBounds(blocks, targetTimestamp) {
+  let below = null;
+  let above = null;
+  for (const [key, timestamp] of Object.entries(blocks)) {
+    const block = Number(key);
+    if (timestamp <= targetTimestamp && (!below || block > below.block)) {
+      below = { block, timestamp };
+    }
+    if (timestamp >= targetTimestamp && (!above || block < above.block)) {
+      above = { block, timestamp };
+    }
+  }
+  return { below, above };
+}
+
+/**
+ * Finds the block number closest to the given target timestamp using binary search.
+ *
+ * This function performs a binary search over the blockchain blocks to find the block
+ * whose timestamp is closest to the provided target timestamp. It iteratively narrows
+ * down the search range by fetching block timestamps and adjusting the low and high bounds.
+ *
+ * When a block index is given, a previously resolved timestamp is answered from it directly, the
+ * initial bounds are narrowed to the nearest known blocks around the target, and the result (with
+ * its bracketing blocks) is recorded and saved for later searches.
+ *
+ * @param {ethers.JsonRpcProvider} provider - The ethers provider instance connected to the PulseChain RPC.
+ * @param {number} targetTimestamp - The target Unix timestamp (in seconds) to find the closest block for.
+ * @param {Object} [index] - A block index from openBlockIndex, or null to search without one.
+ * @returns {Promise<number>} A promise that resolves to the block number closest to the target timestamp.
+ * @throws {Error} If a block cannot be fetched during the search.
+ */
+export async function findBlockByTimestamp(provider, targetTimestamp, index = null) {
+  if (index && index.resolved[targetTimestamp] !== undefined) {
+    return index.resolved[targetTimestamp];
+  }
+
+  let low = 1;
+  let high;
+  let closestBlock = low;
+  let closestDiff = Infinity;
+
+  const { below, above } = index ? findKnownBounds(index.blocks, targetTimestamp) : {};
+  if (below) {
+    low = below.block;
+    closestBlock = below.block;
+    closestDiff = targetTimestamp - below.timestamp;
+  }
+  if (above) {
+    high = above.block;
+    if (above.timestamp - targetTimestamp < closestDiff) {
+      closestBlock = above.block;
+      closestDiff = above.timestamp - targetTimestamp;
+    }
+  } else {
+    high = await provider.getBlockNumber();
+  }
+
+  const probed = {};
+  const probe = async (blockNumber) => {
+    const block = await provider.getBlock(blockNumber);
+    if (!block) {
+      throw new Error(`Failed to fetch block ${blockNumber}`);
+    }
+    probed[blockNumber] = block.timestamp;
+    const diff = Math.abs(block.timestamp - targetTimestamp);
+    if (diff < closestDiff) {
+      closestDiff = diff;
+      closestBlock = blockNumber;
+    }
+    return block.timestamp;
+  };
+
+  if (Boolean(below) !== Boolean(above) && closestDiff !== 0) {
+    const estimate = Math.ceil(Math.abs(targetTimestamp - (below || above).timestamp) / BLOCK_TIME_SECONDS * 1.1) + 1;
+    const guess = below ? Math.min(high, below.block + estimate) : Math.max(low, above.block - estimate);
+    const guessTimestamp = await probe(guess);
+    // Narrow from whichever side the guess landed on; the guess itself is already a candidate
+    if (guessTimestamp < targetTimestamp) low = Math.max(low, guess + 1);
+    if (guessTimestamp > targetTimestamp) high = Math.min(high, guess - 1);
+  }
+
+  while (low <= high && closestDiff !== 0) {
+    const mid = Math.floor((low + high) / 2);
+    const blockTimestamp = await probe(mid);
+
+    if (blockTimestamp < targetTimestamp) {
+      low = mid + 1;
+    } else if (blockTimestamp > targetTimestamp) {
+      high = mid - 1;
+    } else {
+      break;
+    }
+  }
+
+  if (index) {
+    // Keep the result and the closest probes on either side of the target, which bound later searches best.
+    const probes = Object.entries(probed).map(([block, timestamp]) => ({ block: Number(block), timestamp }));
+    const before = probes.filter(p => p.timestamp <= targetTimestamp).sort((a, b) => b.block - a.block)[0];
+    const after = probes.filter(p => p.timestamp >= targetTimestamp).sort((a, b) => a.block - b.block)[0];
+    for (const p of [before, after]) {
+      if (p) index.blocks[p.block] = p.timestamp;
+    }
+    if (probed[closestBlock] !== undefined) {
+      index.blocks[closestBlock] = probed[closestBlock];
+    }
+    // A target past the chain head would resolve to a different block later, so only finished lookups are recorded.
+    if (above || after) {
+      index.resolved[targetTimestamp] = closestBlock;
+    }
+    saveBlockIndex(index);
+  }
+
+  return closestBlock;
+}
@@ -0,0 +1,88 @@
+/**
+ * @module PulseChain Block Index Builder
+ *
+ * @description
+ * This Node.js command-line program prebuilds the date-to-block index used by index.js (see ./block-index.js):
+ * for every UTC date in a range, it resolves the block closest to midnight UTC and records it in the index file.
+ * Later balance queries for those dates (e.g. end-of-month reports) then need no block search at all.
+ *
+ * Each date's search is bounded by the dates already resolved, so building a long range costs only a few
+ * getBlock calls per date after the first.
+ *
+ * Configuration:
+ * Reads 'defaultRpc' and 'blockIndexFile' from 'config.json' in the current working directory, as index.js does.
+ *
+ * Usage:
+ * node build-block-index.js [options]
+ *
+ * Options:
+ *   --from <date>                    First UTC date in YYYY-MM-DD format (required)
+ *   --to <date>                      Last UTC date in YYYY-MM-DD format (default: today)
+ *   -r, --rpc <url>                  RPC URL (default: from config.json or https://rpc-pulsechain.g4mm4.io)
+ *   --block-index <path>             Date-to-block index file (default: from config.json or block-index.json)
+ *
+ * Example usage:
+ *   node build-block-index.js --from 2025-01-01 --to 2025-12-31
+ *
+ * Error Handling:
+ * - Network errors are caught and logged, with the program exiting with code 1. Dates resolved before the error are kept.
+ */
+
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { Command } from 'commander';
+
+import { DEFAULT_BLOCK_INDEX_FILE, dateToTimestamp, findBlockByTimestamp, openBlockIndex } from './block-index.js';
+
+let defaultRpc = 'https://rpc-pulsechain.g4mm4.io'; // Fallback default RPC
+let defaultBlockIndexFile = DEFAULT_BLOCK_INDEX_FILE;
+
+try {
+  const config = JSON.parse(fs.readFileSync('config.json', 'utf8'));
+  defaultRpc = config.defaultRpc || defaultRpc;
+  defaultBlockIndexFile = config.blockIndexFile || defaultBlockIndexFile;
+} catch (error) {
+  console.warn('Warning: config.json not found or invalid. Using fallback defaults.');
+}
+
+const program = new Command();
+
+program
+  .requiredOption('--from <date>', 'First UTC date in YYYY-MM-DD format')
+  .option('--to <date>', 'Last UTC date in YYYY-MM-DD format (default: today)')
+  .option('-r, --rpc <url>', 'RPC URL', defaultRpc)
+  .option('--block-index <path>', 'Date-to-block index file', defaultBlockIndexFile)
+  .parse(process.argv);
+
+const options = program.opts();
+
+/**
+ * Resolves midnight UTC of every date in the range to a block, recording each in the index.
+ *
+ * @returns {Promise<void>} A promise that resolves when every date has been indexed.
+ */
+async function main() {
+  try {
+    const provider = new ethers.JsonRpcProvider(options.rpc);
+    const index = await openBlockIndex(provider, options.blockIndex);
+
+    const fromTimestamp = dateToTimestamp(options.from);
+    const toTimestamp = options.to
+      ? dateToTimestamp(options.to)
+      : dateToTimestamp(new Date().toISOString().split('T')[0]);
+
+    for (let timestamp = fromTimestamp; timestamp <= toTimestamp; timestamp += 24 * 60 * 60) {
+      const cached = index.resolved[timestamp] !== undefined;
+      const blockNumber = await findBlockByTimestamp(provider, timestamp, index);
+      const date = new Date(timestamp * 1000).toISOString().split('T')[0];
+      console.log(`${date}: block ${blockNumber}${cached ? ' (already indexed)' : ''}`);
+    }
+
+    console.log(`\nIndex saved to ${options.blockIndex}`);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
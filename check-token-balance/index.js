@@ -4,6 +4,14 @@
  * @description
  * This Node.js command-line program queries the balances of specified tokens for a given PulseChain wallet address
  * at a specific block number or UTC date (midnight). It supports the native PLS token and ERC-20 tokens.
+ * It can also sample balances over a range (--from/--to/--step) and print them as a time series table,
+ * optionally charted with the asciichart renderer from ../chart-price-ratio.
+ * For several wallets at once (--wallets), it prints a wallet × token matrix with per-token totals, all
+ * queried at the same block so the snapshot is consistent across wallets.
+ * With --value-in usd|pls, it also prices each token at the queried block's date and prints a value column
+ * and a portfolio total, citing the GeckoTerminal pool and candle that supplied each price.
+ * Tokens may be given by contract address or by symbol from a local token registry file (see ./token-registry.js), and
+ * are labelled in the output with the symbol and name read from the token contract.
  * Balances are formatted in human-readable decimal format with commas for readability.
  * A supplementary plain balance output is provided without commas or separators except for decimal points (trailing .0 removed for whole numbers).
  * 
@@ -12,6 +20,11 @@
  * - ethers: For interacting with the Ethereum-compatible PulseChain blockchain.
  * - commander: For parsing command-line options.
  * - fs: For reading the configuration file (built-in Node.js module).
+ * - ./multicall.js: Batches all balance, decimals, symbol and name reads for a block into Multicall3 aggregate3 calls.
+ * - ./token-registry.js: Resolves token symbols given to --tokens to contract addresses.
+ * - ./block-index.js: Resolves dates to blocks, backed by a persistent on-disk date-to-block index.
+ * - ./valuation.js: Prices balances from GeckoTerminal, reusing the pool selection and OHLCV fetch in ../chart-price-ratio.
+ * - ../output-format.js: Shared --format json|csv|ndjson output, and the aligned text tables.
  * 
  * Installation:
  * npm install
@@ -19,30 +32,90 @@
  * Configuration:
  * The program looks for a 'config.json' file in the current working directory with the following structure:
  * {
- *   "defaultRpc": "https://rpc-pulsechain.g4mm4.io"
+ *   "defaultRpc": "https://rpc-pulsechain.g4mm4.io",
+ *   "blockIndexFile": "block-index.json",
+ *   "tokenRegistryFile": "tokens.json",
+ *   "wallets": {
+ *     "treasury": "0xYourTreasuryAddress",
+ *     "ops": "0xYourOpsAddress"
+ *   }
  * }
- * If the file is missing or invalid, it falls back to the hardcoded default RPC URL.
+ * The optional "wallets" object is an address book of names usable with --wallets.
+ * The optional "blockIndexFile" sets where resolved date-to-block lookups are cached (default: block-index.json).
+ * The optional "tokenRegistryFile" sets the symbol → address registry used by --tokens (default: tokens.json).
+ * If the file is missing or invalid, it falls back to the hardcoded default RPC URL and an empty address book.
  * 
  * Usage:
  * node script.js [options]
  * 
  * Options:
- *   -a, --address <address>          PulseChain wallet address (required)
+ *   -a, --address <address>          PulseChain wallet address (required unless --wallets is given)
+ *   -w, --wallets <wallets>          Comma-separated wallet names from the config.json address book and/or addresses, or the path to
+ *                                    a file listing them (a JSON array or name → address object, or one entry per line; '#' starts a comment)
  *   -b, --block <block>              PulseChain block number
  *   -d, --date <date>                UTC date in YYYY-MM-DD format (00:00:00 UTC)
- *   -t, --tokens <tokens>            Comma-separated list of token contract addresses or "Pulse_Native_Gas_Token" for native PLS (required)
+ *   -t, --tokens <tokens>            Comma-separated list of token symbols from the token registry (e.g. PLSX,HEX,INC), token contract
+ *                                    addresses, or "PLS"/"Pulse_Native_Gas_Token" for native PLS (required)
  *   -r, --rpc <url>                  RPC URL (use an archive node for historical queries) (default: from config.json or https://rpc-pulsechain.g4mm4.io)
+ *   --from <dateOrBlock>             Start of a balance time series: UTC date (YYYY-MM-DD), or a block number when --step is a block count
+ *   --to <dateOrBlock>               End of a balance time series (default: today, or the latest block when --step is a block count)
+ *   --step <step>                    Time series sampling step: daily, weekly, monthly, or a number of blocks (default: daily)
+ *   --chart                          Also render each token's time series as an ASCII chart (requires `npm install` in ../chart-price-ratio)
+ *   --block-index <path>             Date-to-block index file (default: from config.json or block-index.json)
+ *   --no-block-index                 Resolve dates without reading or writing the date-to-block index
+ *   --value-in <currency>            Also value balances in "usd" or "pls" at the queried block's date
+ *   --token-registry <path>          Token symbol registry file (default: from config.json or tokens.json)
+ *   -f, --format <format>            Output format: text (default), json, csv or ndjson
  * 
  * Notes:
- * - Either --block or --date must be provided.
+ * - Exactly one of --block, --date or --from must be provided.
+ * - Exactly one of --address or --wallets must be provided. --wallets and --value-in cannot be combined with --from.
+ * - With --value-in, each token is priced at the close of the last GeckoTerminal daily candle that ended at or before the
+ *   queried block, from the pool chosen by pool-selector.js; PLS values divide by the WPLS price of the same day. With --wallets,
+ *   the per-token totals are valued.
+ * - Time series sample points for daily/weekly/monthly steps are midnight UTC of each date, each resolved to a block with
+ *   findBlockByTimestamp. Monthly steps keep the day of month of --from, clamped to the last day of shorter months.
  * - For historical balances (past blocks), the RPC must support archive mode (historical state queries). The default public RPC may not support old blocks. In that case, sign up for a free account at Moralis (https://moralis.com/), create a PulseChain node, and pass the node URL using --rpc <your_moralis_node_url> or update config.json.
  * - Balances are formatted with commas in the integer part and include the decimal part if non-zero (e.g., "430,537,004,257" or "1,234.567").
  * - The program uses binary search to find the closest block for a given date, which is efficient but assumes monotonic increasing timestamps.
+ *   Resolved dates are kept in a local date-to-block index, which later searches use to narrow their bounds; prebuild it for a date
+ *   range with `node build-block-index.js --from <date> --to <date>`.
+ * - All balance and decimals reads for one block are batched through Multicall3 (native PLS via getEthBalance), so a run costs
+ *   one RPC round trip per block queried (plus one per 500 calls), regardless of how many tokens or wallets are given.
+ * - Tokens are labelled by the symbol() and name() of their contract; legacy tokens returning bytes32 are decoded, and a token
+ *   without a symbol falls back to its registry symbol, then to its shortened address.
  * 
  * Example usage:
  *   node script.js --address 0xYourAddress --date 2023-05-10 --tokens Pulse_Native_Gas_Token,0xContractAddress
  *   or
  *   node script.js --address 0xYourAddress --block 100000 --tokens Pulse_Native_Gas_Token --rpc https://your-archive-rpc.com
+ *   or
+ *   node script.js --address 0xYourAddress --from 2025-01-01 --to 2025-03-31 --step weekly --tokens Pulse_Native_Gas_Token,0xContractAddress --chart
+ *   or
+ *   node script.js --address 0xYourAddress --from 22000000 --to 22100000 --step 10000 --tokens Pulse_Native_Gas_Token
+ *   or
+ *   node script.js --wallets treasury,ops,0xAnotherAddress --date 2025-03-31 --tokens Pulse_Native_Gas_Token,0xContractAddress
+ *   or
+ *   node script.js --address 0xYourAddress --date 2025-03-31 --tokens Pulse_Native_Gas_Token,0xContractAddress --value-in usd
+ *   or
+ *   node script.js --address 0xYourAddress --date 2025-03-31 --tokens PLS,PLSX,HEX,INC
+ * 
+ * Machine-Readable Output (--format json|csv|ndjson):
+ * Logs go to stderr and stdout carries one record per (wallet, token, block) in every mode, with these fields in this order:
+ *   wallet       Wallet address
+ *   walletName   Address book name (--wallets mode), else null
+ *   block        Block number queried
+ *   timestamp    Unix timestamp (seconds) of that block
+ *   token        Token contract address, or "Pulse_Native_Gas_Token"
+ *   symbol       Token symbol ("PLS" for native PLS), else its registry symbol, or null if it has neither
+ *   name         Token name ("Pulse" for native PLS), or null if the token has none
+ *   decimals     Token decimals
+ *   rawAmount    Balance as a raw integer, in a decimal string
+ *   amount       Balance formatted with decimals, no separators (as in "Plain Balances")
+ *   valueIn      "usd" or "pls" with --value-in, else null
+ *   price        Price per token in valueIn, else null
+ *   value        amount × price, else null
+ * See ../output-format.js for the format conventions.
  * 
  * Error Handling:
  * - Invalid options or missing required options will cause the program to exit with an error message.
@@ -53,12 +126,24 @@ import fs from 'fs';
 import { ethers } from 'ethers';
 import { Command } from 'commander';
 
+import { NATIVE_TOKEN, fetchBalances } from './multicall.js';
+import { DEFAULT_BLOCK_INDEX_FILE, dateToTimestamp, findBlockByTimestamp, openBlockIndex } from './block-index.js';
+import { DEFAULT_TOKEN_REGISTRY_FILE, loadTokenRegistry, resolveTokens } from './token-registry.js';
+import { valueHoldings } from './valuation.js';
+import { formatTable, parseOutputFormat, redirectLogsToStderr, writeRecords } from '../output-format.js';
+
 let defaultRpc = 'https://rpc-pulsechain.g4mm4.io'; // Fallback default RPC
+let addressBook = {}; // Wallet name → address, from config.json "wallets"
+let defaultBlockIndexFile = DEFAULT_BLOCK_INDEX_FILE;
+let defaultTokenRegistryFile = DEFAULT_TOKEN_REGISTRY_FILE;
 
 try {
   const configData = fs.readFileSync('config.json', 'utf8');
   const config = JSON.parse(configData);
   defaultRpc = config.defaultRpc || defaultRpc;
+  addressBook = config.wallets || addressBook;
+  defaultBlockIndexFile = config.blockIndexFile || defaultBlockIndexFile;
+  defaultTokenRegistryFile = config.tokenRegistryFile || defaultTokenRegistryFile;
 } catch (error) {
   console.warn('Warning: config.json not found or invalid. Using fallback default RPC.');
 }
@@ -66,67 +151,65 @@ try {
 const program = new Command();
 
 program
-  .requiredOption('-a, --address <address>', 'PulseChain wallet address')
+  .option('-a, --address <address>', 'PulseChain wallet address')
+  .option('-w, --wallets <wallets>', 'Comma-separated wallet names (from the config.json address book) and/or addresses, or a file listing them')
   .option('-b, --block <block>', 'PulseChain block number')
   .option('-d, --date <date>', 'UTC date in YYYY-MM-DD format (00:00:00 UTC)')
-  .requiredOption('-t, --tokens <tokens>', 'Comma-separated list of token contract addresses or "Pulse_Native_Gas_Token" for native PLS')
+  .requiredOption('-t, --tokens <tokens>', 'Comma-separated list of token symbols from the token registry, token contract addresses, or "PLS"/"Pulse_Native_Gas_Token" for native PLS')
   .option('-r, --rpc <url>', 'RPC URL (use an archive node for historical queries)', defaultRpc)
+  .option('--from <dateOrBlock>', 'Start of a balance time series: UTC date (YYYY-MM-DD), or a block number when --step is a block count')
+  .option('--to <dateOrBlock>', 'End of a balance time series (default: today, or the latest block when --step is a block count)')
+  .option('--step <step>', 'Time series sampling step: daily, weekly, monthly, or a number of blocks', 'daily')
+  .option('--chart', 'Also render each token\'s time series as an ASCII chart')
+  .option('--block-index <path>', 'Date-to-block index file', defaultBlockIndexFile)
+  .option('--no-block-index', 'Resolve dates without reading or writing the date-to-block index')
+  .option('--value-in <currency>', 'Also value balances in "usd" or "pls" at the queried block\'s date')
+  .option('--token-registry <path>', 'Token symbol registry file', defaultTokenRegistryFile)
+  .option('-f, --format <format>', 'Output format: text, json, csv or ndjson', 'text')
   .parse(process.argv);
 
 const options = program.opts();
 
-if (!options.block && !options.date) {
-  console.error('Error: Provide either --block or --date');
+let format;
+try {
+  format = parseOutputFormat(options.format);
+} catch (error) {
+  console.error('Error:', error.message);
   process.exit(1);
 }
+if (format !== 'text') {
+  redirectLogsToStderr();
+}
 
-const tokens = options.tokens.split(',');
-const provider = new ethers.JsonRpcProvider(options.rpc);
-
-/**
- * Finds the block number closest to the given target timestamp using binary search.
- * 
- * This function performs a binary search over the blockchain blocks to find the block
- * whose timestamp is closest to the provided target timestamp. It iteratively narrows
- * down the search range by fetching block timestamps and adjusting the low and high bounds.
- * 
- * @param {ethers.JsonRpcProvider} provider - The ethers provider instance connected to the PulseChain RPC.
- * @param {number} targetTimestamp - The target Unix timestamp (in seconds) to find the closest block for.
- * @returns {Promise<number>} A promise that resolves to the block number closest to the target timestamp.
- * @throws {Error} If a block cannot be fetched during the search.
- */
-async function findBlockByTimestamp(provider, targetTimestamp) {
-  let low = 1;
-  let high = await provider.getBlockNumber();
-  let closestBlock = low;
-  let closestDiff = Infinity;
+if ([options.block, options.date, options.from].filter(Boolean).length !== 1) {
+  console.error('Error: Provide exactly one of --block, --date or --from');
+  process.exit(1);
+}
 
-  while (low <= high) {
-    const mid = Math.floor((low + high) / 2);
-    const block = await provider.getBlock(mid);
-    if (!block) {
-      throw new Error(`Failed to fetch block ${mid}`);
-    }
-    const blockTimestamp = block.timestamp;
-    const diff = Math.abs(blockTimestamp - targetTimestamp);
+if (!options.address === !options.wallets) {
+  console.error('Error: Provide exactly one of --address or --wallets');
+  process.exit(1);
+}
 
-    if (diff < closestDiff) {
-      closestDiff = diff;
-      closestBlock = mid;
-    }
+if (options.wallets && options.from) {
+  console.error('Error: --wallets cannot be combined with --from');
+  process.exit(1);
+}
 
-    if (blockTimestamp < targetTimestamp) {
-      low = mid + 1;
-    } else if (blockTimestamp > targetTimestamp) {
-      high = mid - 1;
-    } else {
-      return mid;
-    }
-  }
+if (options.valueIn && !['usd', 'pls'].includes(options.valueIn.toLowerCase())) {
+  console.error('Error: --value-in must be "usd" or "pls"');
+  process.exit(1);
+}
 
-  return closestBlock;
+if (options.valueIn && options.from) {
+  console.error('Error: --value-in cannot be combined with --from');
+  process.exit(1);
 }
 
+let tokens = []; // Resolved --tokens entries ({token, symbol}), set in main()
+const provider = new ethers.JsonRpcProvider(options.rpc);
+let blockIndex = null; // Opened in main() unless --no-block-index
+
 /**
  * Determines the block number to query based on command-line options.
  * 
@@ -141,14 +224,90 @@ async function getBlockNumber() {
   if (options.block) {
     return parseInt(options.block, 10);
   } else {
-    const dateStr = options.date + 'T00:00:00.000Z';
-    const date = new Date(dateStr);
-    if (isNaN(date.getTime())) {
-      throw new Error('Invalid date format. Use YYYY-MM-DD.');
+    return await findBlockByTimestamp(provider, dateToTimestamp(options.date), blockIndex);
+  }
+}
+
+/**
+ * Builds the sample timestamps (midnight UTC) for a daily, weekly or monthly time series.
+ * Monthly samples keep the start date's day of month, clamped to the last day of shorter months.
+ * 
+ * @param {number} fromTimestamp - Start Unix timestamp in seconds (inclusive).
+ * @param {number} toTimestamp - End Unix timestamp in seconds (inclusive).
+ * @param {string} step - One of 'daily', 'weekly' or 'monthly'.
+ * @returns {Array<number>} Sample Unix timestamps in seconds, oldest first.
+ */
+function buildSampleTimestamps(fromTimestamp, toTimestamp, step) {
+  const start = new Date(fromTimestamp * 1000);
+  const samples = [];
+  for (let i = 0; ; i++) {
+    let date;
+    if (step === 'monthly') {
+      const year = start.getUTCFullYear();
+      const month = start.getUTCMonth() + i;
+      const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      date = new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)));
+    } else {
+      const days = step === 'weekly' ? 7 : 1;
+      date = new Date(start.getTime() + i * days * 24 * 60 * 60 * 1000);
     }
     const timestamp = Math.floor(date.getTime() / 1000);
-    return await findBlockByTimestamp(provider, timestamp);
+    if (timestamp > toTimestamp) break;
+    samples.push(timestamp);
   }
+  return samples;
+}
+
+/**
+ * Resolves the time series sample points from the --from, --to and --step options.
+ * 
+ * For daily/weekly/monthly steps, --from/--to are dates and each sample date is resolved to a block
+ * with findBlockByTimestamp. For a numeric step, --from/--to may be dates or block numbers, and a
+ * sample is taken every `step` blocks.
+ * 
+ * @returns {Promise<Array<{label: string, timestamp: number, blockNumber: number, blockTimestamp?: number}>>}
+ *   Sample points, oldest first; block steps also carry the timestamp of the block they fetched.
+ * @throws {Error} If the options are invalid or block lookup fails.
+ */
+async function getSamplePoints() {
+  const step = options.step.trim().toLowerCase();
+
+  if (/^\d+$/.test(step)) {
+    const blockStep = parseInt(step, 10);
+    if (blockStep <= 0) {
+      throw new Error('--step must be a positive number of blocks.');
+    }
+    const resolve = async (value) => /^\d+$/.test(value)
+      ? parseInt(value, 10)
+      : findBlockByTimestamp(provider, dateToTimestamp(value), blockIndex);
+    const fromBlock = await resolve(options.from);
+    const toBlock = options.to ? await resolve(options.to) : await provider.getBlockNumber();
+
+    const points = [];
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber += blockStep) {
+      const block = await provider.getBlock(blockNumber);
+      if (!block) {
+        throw new Error(`Failed to fetch block ${blockNumber}`);
+      }
+      const label = new Date(block.timestamp * 1000).toISOString().replace('T', ' ').slice(0, 16);
+      points.push({ label, timestamp: block.timestamp, blockNumber, blockTimestamp: block.timestamp });
+    }
+    return points;
+  }
+
+  if (!['daily', 'weekly', 'monthly'].includes(step)) {
+    throw new Error(`Invalid --step '${options.step}'. Use daily, weekly, monthly, or a number of blocks.`);
+  }
+  const fromTimestamp = dateToTimestamp(options.from);
+  const toTimestamp = options.to ? dateToTimestamp(options.to) : Math.floor(Date.now() / 1000);
+
+  const points = [];
+  for (const timestamp of buildSampleTimestamps(fromTimestamp, toTimestamp, step)) {
+    const blockNumber = await findBlockByTimestamp(provider, timestamp, blockIndex);
+    const label = new Date(timestamp * 1000).toISOString().split('T')[0];
+    points.push({ label, timestamp, blockNumber });
+  }
+  return points;
 }
 
 /**
@@ -182,67 +341,369 @@ function formatBalancePlain(balance, decimals) {
   return formatted;
 }
 
+/**
+ * Returns the short label of the i-th --tokens entry: its contract symbol, else its registry symbol,
+ * else its shortened address.
+ * 
+ * @param {number} i - Index of the token in --tokens.
+ * @param {{symbol: ?string}} result - The token's result from fetchBalances.
+ * @returns {string} The label.
+ */
+function tokenLabel(i, result) {
+  const { token, symbol } = tokens[i];
+  return result.symbol || symbol || `${token.slice(0, 6)}...${token.slice(-4)}`;
+}
+
+/**
+ * Describes the i-th --tokens entry as its label, name and contract address (e.g. "PLSX (PulseX) 0x95B3...").
+ * 
+ * @param {number} i - Index of the token in --tokens.
+ * @param {{symbol: ?string, name: ?string}} result - The token's result from fetchBalances.
+ * @returns {string} The description.
+ */
+function describeToken(i, result) {
+  const { token } = tokens[i];
+  const name = result.name ? ` (${result.name})` : '';
+  return token === NATIVE_TOKEN ? `${tokenLabel(i, result)}${name}` : `${tokenLabel(i, result)}${name} ${token}`;
+}
+
+/**
+ * Parses the --wallets option into a list of named wallets.
+ * 
+ * The option is either a path to a file, or a comma-separated list. A file may contain a JSON array of
+ * entries, a JSON object mapping names to addresses, or one entry per line ('#' starts a comment).
+ * Each entry is either a wallet address or a name from the config.json address book (case-insensitive); in a
+ * JSON array, it may also be an object { "name", "address" }, named after its address when "name" is left out.
+ * 
+ * @param {string} value - The --wallets option value.
+ * @returns {Array<{name: string, address: string}>} The wallets, in the order given.
+ * @throws {Error} If the file cannot be parsed, a name is not in the address book, or an entry has an invalid
+ *   address or name.
+ */
+function resolveWallets(value) {
+  let entries;
+  if (fs.existsSync(value)) {
+    const text = fs.readFileSync(value, 'utf8');
+    if (/^\s*[[{]/.test(text)) {
+      const json = JSON.parse(text);
+      entries = Array.isArray(json)
+        ? json
+        : Object.entries(json).map(([name, address]) => ({ name, address }));
+    } else {
+      entries = text.split('\n').map(line => line.replace(/#.*/, '').trim()).filter(Boolean);
+    }
+  } else {
+    entries = value.split(',').map(e => e.trim()).filter(Boolean);
+  }
+
+  const bookByName = new Map(Object.entries(addressBook).map(([name, address]) => [name.toLowerCase(), { name, address }]));
+  const shortName = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+  return entries.map(entry => {
+    if (entry && typeof entry === 'object') {
+      const { name, address } = entry;
+      if (typeof address !== 'string' || !ethers.isAddress(address)) {
+        throw new Error(`Invalid wallet entry ${JSON.stringify(entry)}: 'address' must be a wallet address.`);
+      }
+      if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+        throw new Error(`Invalid wallet entry ${JSON.stringify(entry)}: 'name' must be a non-empty string.`);
+      }
+      return { name: name === undefined ? shortName(address) : name, address };
+    }
+    if (typeof entry !== 'string') {
+      throw new Error(`Invalid wallet entry ${JSON.stringify(entry)}: expected an address, an address book name or { "name", "address" }.`);
+    }
+    if (ethers.isAddress(entry)) {
+      return { name: shortName(entry), address: entry };
+    }
+    const named = bookByName.get(entry.toLowerCase());
+    if (!named) {
+      throw new Error(`Unknown wallet '${entry}': not an address and not in the config.json address book.`);
+    }
+    return named;
+  });
+}
+
+/**
+ * Fetches the timestamp of a block.
+ * 
+ * @param {number} blockNumber - The block number.
+ * @returns {Promise<number>} The block's Unix timestamp in seconds.
+ * @throws {Error} If the block cannot be fetched.
+ */
+async function getBlockTimestamp(blockNumber) {
+  const block = await provider.getBlock(blockNumber);
+  if (!block) {
+    throw new Error(`Failed to fetch block ${blockNumber}`);
+  }
+  return block.timestamp;
+}
+
+/**
+ * Builds one machine-readable balance record (see "Machine-Readable Output" in the file header).
+ * 
+ * @param {Object} entry
+ * @param {string} entry.wallet - Wallet address.
+ * @param {?string} [entry.walletName] - Address book name, if any.
+ * @param {number} entry.blockNumber - Block queried.
+ * @param {number} entry.timestamp - Block timestamp in seconds.
+ * @param {number} entry.tokenIndex - Index of the token in --tokens.
+ * @param {{balance: bigint, decimals: number, symbol: ?string, name: ?string}} entry.result - Result from fetchBalances.
+ * @param {?{price: number}} [entry.quote] - The token's valuation row, with --value-in.
+ * @returns {Object} The record.
+ */
+function toBalanceRecord({ wallet, walletName = null, blockNumber, timestamp, tokenIndex, result, quote = null }) {
+  const { balance, decimals, name } = result;
+  return {
+    wallet,
+    walletName,
+    block: blockNumber,
+    timestamp,
+    token: tokens[tokenIndex].token,
+    symbol: result.symbol || tokens[tokenIndex].symbol,
+    name,
+    decimals,
+    rawAmount: balance,
+    amount: formatBalancePlain(balance, decimals),
+    valueIn: quote ? options.valueIn.toLowerCase() : null,
+    price: quote ? quote.price : null,
+    value: quote ? Number(ethers.formatUnits(balance, decimals)) * quote.price : null
+  };
+}
+
+/** Field order of machine-readable balance records. */
+const BALANCE_RECORD_FIELDS = [
+  'wallet', 'walletName', 'block', 'timestamp', 'token', 'symbol', 'name', 'decimals',
+  'rawAmount', 'amount', 'valueIn', 'price', 'value'
+];
+
+/**
+ * Values the given holdings in the --value-in currency at a block's date.
+ * 
+ * @param {Array<{token: string, balance: bigint, decimals: number}>} holdings - The balances to value.
+ * @param {number} timestamp - The queried block's timestamp; it selects the price candle.
+ * @returns {Promise<{rows: Array<{token: string, amount: number, price: number, value: number, sources: Array<string>}>, total: number}>}
+ * @throws {Error} If a price cannot be fetched.
+ */
+async function valueAt(holdings, timestamp) {
+  return valueHoldings(holdings, timestamp, options.valueIn.toLowerCase());
+}
+
+/**
+ * Prints a valuation table with a total, followed by the pool and candle that supplied each price.
+ * 
+ * @param {Array<{label: string, balance: bigint, decimals: number}>} holdings - The balances that were valued.
+ * @param {{rows: Array<Object>, total: number}} valuation - The result of valueAt for those holdings.
+ */
+function printValuation(holdings, { rows, total }) {
+  const currency = options.valueIn.toUpperCase();
+
+  const formatValue = (value) => value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const table = rows.map((r, i) => [
+    holdings[i].label,
+    formatBalanceWithCommas(holdings[i].balance, holdings[i].decimals),
+    r.price.toPrecision(8),
+    formatValue(r.value)
+  ]);
+  table.push(['Total', '', '', formatValue(total)]);
+
+  console.log(`\nValuation (${currency}):`);
+  console.log(formatTable(['Token', 'Balance', `Price (${currency})`, `Value (${currency})`], table, 1));
+
+  console.log('\nPrice sources (GeckoTerminal daily close):');
+  rows.forEach((r, i) => {
+    console.log(`${holdings[i].label}: ${r.sources.length > 0 ? r.sources.join('; ') : `1 ${currency} by definition`}`);
+  });
+}
+
+/**
+ * Queries every wallet's balance of every token at one block and prints a wallet × token matrix,
+ * followed by a row of per-token totals.
+ * 
+ * @param {number} blockNumber - The block to query all wallets at.
+ * @returns {Promise<void>} A promise that resolves when the matrix has been printed.
+ * @throws {Error} If wallet resolution or any balance query fails.
+ */
+async function printPortfolio(blockNumber) {
+  const wallets = resolveWallets(options.wallets);
+
+  const queries = wallets.flatMap(wallet => tokens.map(({ token }) => ({ address: wallet.address, token })));
+  const results = await fetchBalances(provider, queries, blockNumber);
+
+  const totals = tokens.map(() => ({ balance: 0n, decimals: 18 }));
+  results.forEach((result, i) => {
+    const t = i % tokens.length;
+    totals[t] = { balance: totals[t].balance + result.balance, decimals: result.decimals };
+  });
+  const labels = tokens.map((_, i) => tokenLabel(i, results[i]));
+  const holdings = tokens.map(({ token }, i) => ({ token, label: labels[i], ...totals[i] }));
+
+  const timestamp = format !== 'text' || options.valueIn ? await getBlockTimestamp(blockNumber) : null;
+  const valuation = options.valueIn ? await valueAt(holdings, timestamp) : null;
+
+  if (format !== 'text') {
+    const records = queries.map(({ address }, i) => toBalanceRecord({
+      wallet: address,
+      walletName: wallets[Math.floor(i / tokens.length)].name,
+      blockNumber,
+      timestamp,
+      tokenIndex: i % tokens.length,
+      result: results[i],
+      quote: valuation && valuation.rows[i % tokens.length]
+    }));
+    writeRecords(records, format, BALANCE_RECORD_FIELDS);
+    return;
+  }
+
+  const table = wallets.map((wallet, w) => {
+    const cells = [wallet.name, wallet.address];
+    tokens.forEach((_, i) => {
+      const { balance, decimals } = results[w * tokens.length + i];
+      cells.push(formatBalanceWithCommas(balance, decimals));
+    });
+    return cells;
+  });
+  table.push(['Total', '', ...totals.map(t => formatBalanceWithCommas(t.balance, t.decimals))]);
+
+  console.log(`\nPortfolio Snapshot (${wallets.length} wallets):`);
+  console.log(formatTable(['Wallet', 'Address', ...labels], table, 2));
+
+  if (valuation) {
+    printValuation(holdings, valuation);
+  }
+}
+
+/**
+ * Queries balances at each time series sample point and prints them as a table (one row per sample,
+ * one column per token), optionally followed by one ASCII chart per token.
+ * 
+ * @returns {Promise<void>} A promise that resolves when the table (and charts) have been printed.
+ * @throws {Error} If sample point resolution or any balance query fails.
+ */
+async function printTimeSeries() {
+  const points = await getSamplePoints();
+  if (points.length === 0) {
+    throw new Error('No sample points in the given range.');
+  }
+  console.log(`Querying balances at ${points.length} sample points (step: ${options.step})`);
+
+  const rows = [];
+  for (const point of points) {
+    const queries = tokens.map(({ token }) => ({ address: options.address, token }));
+    const balances = await fetchBalances(provider, queries, point.blockNumber);
+    rows.push({ ...point, balances });
+  }
+
+  if (format !== 'text') {
+    // Block steps already fetched each block; date steps only know the sample time, so fetch the rest together
+    const blockTimestamps = await Promise.all(rows.map(row => row.blockTimestamp ?? getBlockTimestamp(row.blockNumber)));
+    const records = [];
+    rows.forEach((row, r) => {
+      row.balances.forEach((result, i) => records.push(toBalanceRecord({
+        wallet: options.address,
+        blockNumber: row.blockNumber,
+        timestamp: blockTimestamps[r],
+        tokenIndex: i,
+        result
+      })));
+    });
+    writeRecords(records, format, BALANCE_RECORD_FIELDS);
+    return;
+  }
+
+  const headers = ['Date', 'Block', ...rows[0].balances.map((b, i) => tokenLabel(i, b))];
+  const table = rows.map(r => [
+    r.label,
+    String(r.blockNumber),
+    ...r.balances.map(b => formatBalanceWithCommas(b.balance, b.decimals))
+  ]);
+
+  console.log('\nBalance Time Series:');
+  console.log(formatTable(headers, table, 2));
+
+  if (options.chart) {
+    if (rows.length < 2) {
+      console.log('\n(Single sample point - no chart available)');
+      return;
+    }
+    const { renderAsciiChart } = await import('../chart-price-ratio/ascii-chart.js');
+    const timestamps = rows.map(r => r.timestamp * 1000);
+    tokens.forEach((_, i) => {
+      const values = rows.map(r => Number(ethers.formatUnits(r.balances[i].balance, r.balances[i].decimals)));
+      console.log(`\n${describeToken(i, rows[0].balances[i])}:`);
+      console.log(renderAsciiChart(values, timestamps, { height: 15, hourly: /^\d+$/.test(options.step.trim()) }));
+    });
+  }
+}
+
 /**
  * Main execution function of the program.
  * 
  * This function orchestrates the program's logic: it retrieves the target block number,
- * logs it, and then iterates over the provided tokens to fetch and log their balances
- * at that block for the specified wallet address.
+ * logs it, and then fetches the balances of all provided tokens at that block for the
+ * specified wallet address in one batch (see fetchBalances in ./multicall.js).
+ * In time series mode (--from), it delegates to printTimeSeries instead, and in portfolio
+ * mode (--wallets) to printPortfolio.
  * 
- * For the native token (PLS), it uses the provider's getBalance method and assumes 18 decimals.
- * For ERC-20 tokens, it constructs a contract instance with the balanceOf and decimals ABI and queries it.
- * 
- * Outputs both formatted (with commas) and plain balances.
+ * Outputs both formatted (with commas) and plain balances, or records in the --format schema.
  * 
  * @returns {Promise<void>} A promise that resolves when all balances are fetched and logged.
  * @throws {Error} If any balance query fails.
  */
 async function main() {
   try {
+    tokens = resolveTokens(options.tokens, loadTokenRegistry(options.tokenRegistry));
+
+    if (options.blockIndex) {
+      blockIndex = await openBlockIndex(provider, options.blockIndex);
+    }
+
+    if (options.from) {
+      await printTimeSeries();
+      return;
+    }
+
     const blockNumber = await getBlockNumber();
     console.log(`Querying balances at block: ${blockNumber}`);
 
-    const abi = [
-      'function balanceOf(address) view returns (uint256)',
-      'function decimals() view returns (uint8)'
-    ];
+    if (options.wallets) {
+      await printPortfolio(blockNumber);
+      return;
+    }
 
-    console.log('\nFormatted Balances (with commas):');
-    for (const token of tokens) {
-      const trimmedToken = token.trim();
-      let balance;
-      let decimals;
-
-      if (trimmedToken === 'Pulse_Native_Gas_Token') {
-        balance = await provider.getBalance(options.address, blockNumber);
-        decimals = 18;
-      } else {
-        const contract = new ethers.Contract(trimmedToken, abi, provider);
-        balance = await contract.balanceOf(options.address, { blockTag: blockNumber });
-        decimals = await contract.decimals({ blockTag: blockNumber });
-      }
+    const queries = tokens.map(({ token }) => ({ address: options.address, token }));
+    const results = await fetchBalances(provider, queries, blockNumber);
+    const holdings = tokens.map(({ token }, i) => ({ token, label: tokenLabel(i, results[i]), ...results[i] }));
 
-      const formattedBalance = formatBalanceWithCommas(balance, decimals);
-      console.log(`${trimmedToken}: ${formattedBalance}`);
+    const timestamp = format !== 'text' || options.valueIn ? await getBlockTimestamp(blockNumber) : null;
+    const valuation = options.valueIn ? await valueAt(holdings, timestamp) : null;
+
+    if (format !== 'text') {
+      const records = results.map((result, i) => toBalanceRecord({
+        wallet: options.address,
+        blockNumber,
+        timestamp,
+        tokenIndex: i,
+        result,
+        quote: valuation && valuation.rows[i]
+      }));
+      writeRecords(records, format, BALANCE_RECORD_FIELDS);
+      return;
     }
 
+    console.log('\nFormatted Balances (with commas):');
+    results.forEach((result, i) => {
+      const { balance, decimals } = result;
+      console.log(`${describeToken(i, result)}: ${formatBalanceWithCommas(balance, decimals)}`);
+    });
+
     console.log('\nPlain Balances (no commas):');
-    for (const token of tokens) {
-      const trimmedToken = token.trim();
-      let balance;
-      let decimals;
-
-      if (trimmedToken === 'Pulse_Native_Gas_Token') {
-        balance = await provider.getBalance(options.address, blockNumber);
-        decimals = 18;
-      } else {
-        const contract = new ethers.Contract(trimmedToken, abi, provider);
-        balance = await contract.balanceOf(options.address, { blockTag: blockNumber });
-        decimals = await contract.decimals({ blockTag: blockNumber });
-      }
+    results.forEach((result, i) => {
+      const { balance, decimals } = result;
+      console.log(`${describeToken(i, result)}: ${formatBalancePlain(balance, decimals)}`);
+    });
 
-      const plainBalance = formatBalancePlain(balance, decimals);
-      console.log(`${trimmedToken}: ${plainBalance}`);
+    if (valuation) {
+      printValuation(holdings, valuation);
     }
   } catch (error) {
     console.error('Error:', error.message);
@@ -0,0 +1,191 @@
+/**
+ * @module Multicall Balance Reader
+ *
+ * @description
+ * Batches balance and token metadata reads into Multicall3 `aggregate3` calls, so that a run querying many
+ * tokens and wallets costs a handful of RPC round trips instead of several per token.
+ *
+ * Native PLS balances are read through Multicall3's `getEthBalance`, so they are batched along with the
+ * ERC-20 `balanceOf` calls.  Each token's `decimals()`, `symbol()` and `name()` are read once per batch, however
+ * many wallets hold it.  Legacy tokens (e.g. MKR-style) that return `bytes32` instead of `string` for symbol
+ * and name are decoded too.
+ *
+ * Multicall3 is deployed at the same address on every EVM chain; on PulseChain it was inherited from the
+ * Ethereum state at the fork, so it is available at every PulseChain block.
+ */
+
+import { ethers } from 'ethers';
+
+import { NATIVE_TOKEN } from '../pulsechain-tokens.js';
+
+/** Identifier used throughout check-token-balance for native PLS (see ../pulsechain-tokens.js). */
+export { NATIVE_TOKEN };
+
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const multicallInterface = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)'
+]);
+
+const erc20Interface = new ethers.Interface([
+  'function balanceOf(address) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function name() view returns (string)'
+]);
+
+/**
+ * Decodes the return data of a symbol() or name() call, which is an ABI string for standard tokens and
+ * a right-padded bytes32 for some legacy tokens.
+ *
+ * @param {string} returnData - The raw return data.
+ * @returns {?string} The decoded text, or null if it is neither a string nor printable bytes32 text.
+ */
+function decodeStringOrBytes32(returnData) {
+  try {
+    return ethers.AbiCoder.defaultAbiCoder().decode(['string'], returnData)[0];
+  } catch (error) {
+    if (ethers.dataLength(returnData) !== 32) return null;
+    try {
+      const text = ethers.toUtf8String(returnData).replace(/\0+$/, '');
+      return /^[\x20-\x7e]+$/.test(text) ? text : null;
+    } catch (utf8Error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Executes calls through Multicall3 `aggregate3` at a given block, in chunks of `batchSize`.
+ * Every call is made with allowFailure set, and a failed call is reported in the result rather than
+ * reverting the whole batch.
+ *
+ * @param {ethers.Provider} provider - The ethers provider instance connected to the PulseChain RPC.
+ * @param {Array<{target: string, callData: string}>} calls - The calls to make.
+ * @param {number} blockNumber - The block to execute the calls at.
+ * @param {number} batchSize - Maximum number of calls per aggregate3 request.
+ * @returns {Promise<Array<{success: boolean, returnData: string}>>} One result per call, in order.
+ */
+export async function aggregate3(provider, calls, blockNumber, batchSize = 500) {
+  const results = [];
+  for (let i = 0; i < calls.length; i += batchSize) {
+    const chunk = calls.slice(i, i + batchSize).map(c => ({ ...c, allowFailure: true }));
+    const data = multicallInterface.encodeFunctionData('aggregate3', [chunk]);
+    const raw = await provider.call({ to: MULTICALL3_ADDRESS, data, blockTag: blockNumber });
+    const [returnData] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+    results.push(...returnData.map(r => ({ success: r.success, returnData: r.returnData })));
+  }
+  return results;
+}
+
+/**
+ * Fetches the balance of each (wallet, token) pair, and the decimals, symbol and name of each distinct token,
+ * at a given block in as few Multicall3 requests as possible.
+ *
+ * @param {ethers.Provider} provider - The ethers provider instance connected to the PulseChain RPC.
+ * @param {Array<{address: string, token: string}>} queries - Wallet address and token (contract address or
+ *        "Pulse_Native_Gas_Token") for each balance wanted.
+ * @param {number} blockNumber - The block to query at.
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=500] - Maximum number of calls per aggregate3 request.
+ * @returns {Promise<Array<{balance: bigint, decimals: number, symbol: ?string, name: ?string}>>} One result per query,
+ *          in order. Symbol and name are "PLS" and "Pulse" for native PLS, and null for a token whose call fails.
+ * @throws {Error} If the multicall fails, or any balanceOf or decimals call fails (the error names the token).
+ */
+export async function fetchBalances(provider, queries, blockNumber, { batchSize = 500 } = {}) {
+  const calls = [];
+  const metadataIndex = new Map(); // token → index of its decimals() call, followed by its symbol() and name() calls
+
+  for (const { token } of queries) {
+    if (token !== NATIVE_TOKEN && !metadataIndex.has(token.toLowerCase())) {
+      metadataIndex.set(token.toLowerCase(), calls.length);
+      calls.push({ target: token, callData: erc20Interface.encodeFunctionData('decimals') });
+      calls.push({ target: token, callData: erc20Interface.encodeFunctionData('symbol') });
+      calls.push({ target: token, callData: erc20Interface.encodeFunctionData('name') });
+    }
+  }
+  const balanceStart = calls.length;
+  for (const { address, token } of queries) {
+    calls.push(token === NATIVE_TOKEN
+      ? { target: MULTICALL3_ADDRESS, callData: multicallInterface.encodeFunctionData('getEthBalance', [address]) }
+      : { target: token, callData: erc20Interface.encodeFunctionData('balanceOf', [address]) });
+  }
+
+  const results = await aggregate3(provider, calls, blockNumber, batchSize);
+
+  const decode = (index, fn, what) => {
+    const { success, returnData } = results[index];
+    if (!success || returnData === '0x') {
+      throw new Error(`${what} call failed for token ${calls[index].target} at block ${blockNumber}`);
+    }
+    return erc20Interface.decodeFunctionResult(fn, returnData)[0];
+  };
+
+  const decodeText = (index) => {
+    const { success, returnData } = results[index];
+    return success ? decodeStringOrBytes32(returnData) : null;
+  };
+
+  return queries.map(({ token }, i) => {
+    const index = balanceStart + i;
+    if (token === NATIVE_TOKEN) {
+      const { success, returnData } = results[index];
+      if (!success) {
+        throw new Error(`getEthBalance call failed at block ${blockNumber}`);
+      }
+      return {
+        balance: multicallInterface.decodeFunctionResult('getEthBalance', returnData)[0],
+        decimals: 18,
+        symbol: 'PLS',
+        name: 'Pulse'
+      };
+    }
+    const metadata = metadataIndex.get(token.toLowerCase());
+    return {
+      balance: decode(index, 'balanceOf', 'balanceOf'),
+      decimals: Number(decode(metadata, 'decimals', 'decimals')),
+      symbol: decodeText(metadata + 1),
+      name: decodeText(metadata + 2)
+    };
+  });
+}
+
+/**
+ * Fetches the decimals, symbol and name of each token at a given block in as few Multicall3 requests as possible.
+ * Unlike fetchBalances, a token whose calls fail does not fail the batch, which suits token lists gathered from
+ * logs (that may include non-ERC-20 contracts).
+ *
+ * @param {ethers.Provider} provider - The ethers provider instance connected to the PulseChain RPC.
+ * @param {Array<string>} tokens - Token contract addresses.
+ * @param {number} blockNumber - The block to query at.
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=500] - Maximum number of calls per aggregate3 request.
+ * @returns {Promise<Array<{decimals: ?number, symbol: ?string, name: ?string}>>} One result per token, in order;
+ *          each field is null if its call fails.
+ * @throws {Error} If the multicall itself fails.
+ */
+export async function fetchTokenMetadata(provider, tokens, blockNumber, { batchSize = 500 } = {}) {
+  const calls = tokens.flatMap(token => ['decimals', 'symbol', 'name'].map(fn => ({
+    target: token,
+    callData: erc20Interface.encodeFunctionData(fn)
+  })));
+  const results = await aggregate3(provider, calls, blockNumber, batchSize);
+
+  return tokens.map((token, i) => {
+    const [decimals, symbol, name] = results.slice(i * 3, i * 3 + 3);
+    let decimalsValue = null;
+    if (decimals.success && decimals.returnData !== '0x') {
+      try {
+        decimalsValue = Number(erc20Interface.decodeFunctionResult('decimals', decimals.returnData)[0]);
+      } catch (error) {
+        decimalsValue = null;
+      }
+    }
+    return {
+      decimals: decimalsValue,
+      symbol: symbol.success ? decodeStringOrBytes32(symbol.returnData) : null,
+      name: name.success ? decodeStringOrBytes32(name.returnData) : null
+    };
+  });
+}
@@ -0,0 +1,129 @@
+/**
+ * Tests for block-index.js: the binary search, the first guess from a one-sided bound and lookups served from
+ * the index, against a stubbed provider with known block timestamps.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { findBlockByTimestamp, openBlockIndex } from '../block-index.js';
+
+const GENESIS = 1_700_000_000;
+const HEAD = 1_000_000;
+
+let dir;
+
+/**
+ * A provider for a chain with a steady block time, recording the blocks it is asked for.
+ * @param {number} blockTime - Seconds per block
+ * @returns {{provider: Object, probes: Array<number>, timestampOf: function(number): number}}
+ */
+function stubChain(blockTime) {
+  const timestampOf = (block) => GENESIS + block * blockTime;
+  const probes = [];
+  const provider = {
+    getNetwork: async () => ({ chainId: 369n }),
+    getBlockNumber: async () => HEAD,
+    getBlock: async (block) => {
+      probes.push(block);
+      return block >= 0 && block <= HEAD ? { number: block, timestamp: timestampOf(block) } : null;
+    }
+  };
+  return { provider, probes, timestampOf };
+}
+
+/**
+ * A fresh index file holding the given known blocks.
+ * @param {Object} provider
+ * @param {Object<number, number>} [blocks] - Block → timestamp
+ * @returns {Promise<Object>}
+ */
+async function indexWith(provider, blocks = {}) {
+  const index = await openBlockIndex(provider, path.join(dir, `index-${Math.random().toString(36).slice(2)}.json`));
+  Object.assign(index.blocks, blocks);
+  return index;
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'block-index-test-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the search finds an exact hit, or the closest block between two', async () => {
+  const { provider, timestampOf } = stubChain(10);
+  assert.equal(await findBlockByTimestamp(provider, timestampOf(123456)), 123456);
+  assert.equal(await findBlockByTimestamp(provider, timestampOf(123456) + 4), 123456);
+  assert.equal(await findBlockByTimestamp(provider, timestampOf(123456) + 6), 123457);
+});
+
+test('from a lower bound, a guess short of the target raises the lower bound past it', async () => {
+  // 5-second blocks: a guess at 10 seconds per block falls short of the target
+  const { provider, probes, timestampOf } = stubChain(5);
+  const index = await indexWith(provider, { 100000: timestampOf(100000) });
+  const target = timestampOf(400000) + 2;
+  assert.equal(await findBlockByTimestamp(provider, target, index), 400000);
+
+  const [guess, ...rest] = probes;
+  assert.ok(guess > 100000 && timestampOf(guess) < target);
+  // Bisection starts between the guess and the chain head, not back at the known block
+  assert.equal(rest[0], Math.floor((guess + 1 + HEAD) / 2));
+  assert.ok(rest.every(block => block > guess));
+});
+
+test('from an upper bound, a guess reaching back past the target raises the lower bound past it', async () => {
+  // 20-second blocks: a guess at 10 seconds per block reaches back further than the target
+  const { provider, probes, timestampOf } = stubChain(20);
+  const index = await indexWith(provider, { 300000: timestampOf(300000) });
+  const target = timestampOf(200000) - 3;
+  assert.equal(await findBlockByTimestamp(provider, target, index), 200000);
+
+  const [guess, ...rest] = probes;
+  assert.ok(guess < 300000 && timestampOf(guess) < target);
+  assert.equal(rest[0], Math.floor((guess + 1 + 300000) / 2));
+  assert.ok(rest.every(block => block > guess && block < 300000));
+});
+
+test('from a lower bound, a guess past the target lowers the upper bound below it', async () => {
+  const { provider, probes, timestampOf } = stubChain(10);
+  const index = await indexWith(provider, { 500000: timestampOf(500000) });
+  const target = timestampOf(500500);
+  assert.equal(await findBlockByTimestamp(provider, target, index), 500500);
+
+  const [guess, ...rest] = probes;
+  assert.ok(timestampOf(guess) > target);
+  assert.equal(rest[0], Math.floor((500000 + guess - 1) / 2));
+  assert.ok(rest.every(block => block > 500000 && block < guess));
+  // Far fewer probes than the ~20 of a search up to the chain head
+  assert.ok(probes.length <= 12, `${probes.length} probes`);
+});
+
+test('a repeated lookup is answered from the index, and a nearby one is bounded by it', async () => {
+  const { provider, probes, timestampOf } = stubChain(10);
+  const index = await indexWith(provider);
+  const target = timestampOf(654321) + 1;
+  assert.equal(await findBlockByTimestamp(provider, target, index), 654321);
+  const firstSearch = probes.length;
+  assert.ok(firstSearch > 15);
+
+  // The result and its bracketing blocks are saved with the index
+  const saved = JSON.parse(fs.readFileSync(index.filePath, 'utf8'));
+  assert.equal(saved.resolved[target], 654321);
+  assert.equal(saved.blocks[654321], timestampOf(654321));
+
+  assert.equal(await findBlockByTimestamp(provider, target, index), 654321);
+  assert.equal(probes.length, firstSearch);
+
+  // Reopened from its file, the index still answers without any probe
+  const reopened = await openBlockIndex(provider, index.filePath);
+  assert.equal(await findBlockByTimestamp(provider, target, reopened), 654321);
+  assert.equal(probes.length, firstSearch);
+
+  assert.equal(await findBlockByTimestamp(provider, timestampOf(654330), reopened), 654330);
+  assert.ok(probes.length - firstSearch < firstSearch / 2, `${probes.length - firstSearch} probes for a nearby lookup`);
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for multicall.js: aggregate3 batching, failed sub-calls and bytes32 metadata, against a stubbed provider
+ * that executes Multicall3 calls on in-memory tokens.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+
+import { MULTICALL3_ADDRESS, NATIVE_TOKEN, aggregate3, fetchBalances, fetchTokenMetadata } from '../multicall.js';
+
+const WALLET_1 = '0x1111111111111111111111111111111111111111';
+const WALLET_2 = '0x2222222222222222222222222222222222222222';
+const HEX = '0x2b591e99afe9f32eaa6214f7b7629768c40eeb39';
+const MKR = '0x3333333333333333333333333333333333333333';
+const BROKEN = '0x4444444444444444444444444444444444444444';
+const NOT_A_TOKEN = '0x5555555555555555555555555555555555555555';
+
+const iface = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)',
+  'function balanceOf(address) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function name() view returns (string)'
+]);
+
+/** Right-padded bytes32 text, as legacy tokens return for symbol() and name(). */
+const bytes32 = (text) => ethers.encodeBytes32String(text);
+
+/**
+ * Contract → function → raw return data (or a function of the call's arguments); a missing function reverts.
+ * MKR returns bytes32 metadata; BROKEN has no name() and a reverting balanceOf.
+ */
+const CONTRACTS = {
+  [MULTICALL3_ADDRESS.toLowerCase()]: {
+    getEthBalance: ([address]) => iface.encodeFunctionResult('getEthBalance', [address === WALLET_1 ? 5n * 10n ** 18n : 0n])
+  },
+  [HEX]: {
+    balanceOf: ([address]) => iface.encodeFunctionResult('balanceOf', [address === WALLET_1 ? 12345678n : 100n]),
+    decimals: () => iface.encodeFunctionResult('decimals', [8]),
+    symbol: () => iface.encodeFunctionResult('symbol', ['HEX']),
+    name: () => iface.encodeFunctionResult('name', ['HEX'])
+  },
+  [MKR]: {
+    balanceOf: () => iface.encodeFunctionResult('balanceOf', [7n]),
+    decimals: () => iface.encodeFunctionResult('decimals', [18]),
+    symbol: () => bytes32('MKR'),
+    name: () => bytes32('Maker')
+  },
+  [BROKEN]: {
+    decimals: () => iface.encodeFunctionResult('decimals', [18]),
+    symbol: () => `0x${'ff'.repeat(32)}`
+  },
+  [NOT_A_TOKEN]: {
+    // A fallback function that accepts any call and returns nothing
+    decimals: () => '0x',
+    symbol: () => '0x',
+    name: () => '0x'
+  }
+};
+
+/**
+ * A provider executing aggregate3 on CONTRACTS, recording each request.
+ * @returns {{provider: Object, requests: Array<{size: number, blockTag: *}>}}
+ */
+function stubProvider() {
+  const requests = [];
+  const provider = {
+    async call(tx) {
+      assert.equal(tx.to, MULTICALL3_ADDRESS);
+      const [calls] = iface.decodeFunctionData('aggregate3', tx.data);
+      requests.push({ size: calls.length, blockTag: tx.blockTag });
+      const results = calls.map(({ target, allowFailure, callData }) => {
+        assert.equal(allowFailure, true);
+        const { name, args } = iface.parseTransaction({ data: callData });
+        const fn = CONTRACTS[target.toLowerCase()]?.[name];
+        return fn ? { success: true, returnData: fn([...args].map(a => (typeof a === 'string' ? a.toLowerCase() : a))) }
+          : { success: false, returnData: '0x' };
+      });
+      return iface.encodeFunctionResult('aggregate3', [results]);
+    }
+  };
+  return { provider, requests };
+}
+
+const symbolCall = (target) => ({ target, callData: iface.encodeFunctionData('symbol') });
+
+test('aggregate3 splits the calls into batches of batchSize and keeps their order', async () => {
+  const { provider, requests } = stubProvider();
+  const targets = [HEX, MKR, BROKEN, HEX, MKR, NOT_A_TOKEN, HEX];
+  const results = await aggregate3(provider, targets.map(symbolCall), 42, 3);
+
+  assert.deepEqual(requests, [{ size: 3, blockTag: 42 }, { size: 3, blockTag: 42 }, { size: 1, blockTag: 42 }]);
+  assert.equal(results.length, targets.length);
+  assert.deepEqual(results.map(r => r.success), [true, true, true, true, true, true, true]);
+  assert.equal(results[1].returnData, bytes32('MKR'));
+  assert.equal(results[6].returnData, iface.encodeFunctionResult('symbol', ['HEX']));
+});
+
+test('aggregate3 reports a failed sub-call without failing the batch', async () => {
+  const { provider } = stubProvider();
+  const results = await aggregate3(provider, [
+    { target: BROKEN, callData: iface.encodeFunctionData('name') },
+    symbolCall(HEX)
+  ], 1);
+  assert.deepEqual(results[0], { success: false, returnData: '0x' });
+  assert.equal(results[1].success, true);
+});
+
+test('fetchBalances reads native and token balances, with each token\'s metadata read once', async () => {
+  const { provider, requests } = stubProvider();
+  const balances = await fetchBalances(provider, [
+    { address: WALLET_1, token: NATIVE_TOKEN },
+    { address: WALLET_1, token: HEX },
+    { address: WALLET_2, token: HEX.toUpperCase().replace('0X', '0x') },
+    { address: WALLET_1, token: MKR }
+  ], 100);
+
+  assert.deepEqual(balances, [
+    { balance: 5n * 10n ** 18n, decimals: 18, symbol: 'PLS', name: 'Pulse' },
+    { balance: 12345678n, decimals: 8, symbol: 'HEX', name: 'HEX' },
+    { balance: 100n, decimals: 8, symbol: 'HEX', name: 'HEX' },
+    { balance: 7n, decimals: 18, symbol: 'MKR', name: 'Maker' }
+  ]);
+  // Metadata of HEX and MKR (3 calls each), then 4 balances
+  assert.deepEqual(requests, [{ size: 10, blockTag: 100 }]);
+});
+
+test('fetchBalances splits its calls at batchSize', async () => {
+  const { provider, requests } = stubProvider();
+  const queries = [WALLET_1, WALLET_2].flatMap(address => [HEX, MKR].map(token => ({ address, token })));
+  const balances = await fetchBalances(provider, queries, 100, { batchSize: 4 });
+  assert.deepEqual(requests.map(r => r.size), [4, 4, 2]);
+  assert.deepEqual(balances.map(b => b.balance), [12345678n, 7n, 100n, 7n]);
+});
+
+test('fetchBalances leaves unreadable text metadata null, and fails on a failed balance', async () => {
+  const { provider } = stubProvider();
+  await assert.rejects(
+    fetchBalances(provider, [{ address: WALLET_1, token: BROKEN }], 100),
+    new RegExp(`balanceOf call failed for token ${BROKEN} at block 100`)
+  );
+  await assert.rejects(
+    fetchBalances(provider, [{ address: WALLET_1, token: NOT_A_TOKEN }], 100),
+    /call failed for token/
+  );
+});
+
+test('fetchTokenMetadata decodes bytes32 text and turns failed calls into nulls', async () => {
+  const { provider, requests } = stubProvider();
+  const metadata = await fetchTokenMetadata(provider, [HEX, MKR, BROKEN, NOT_A_TOKEN], 100, { batchSize: 5 });
+
+  assert.deepEqual(metadata, [
+    { decimals: 8, symbol: 'HEX', name: 'HEX' },
+    { decimals: 18, symbol: 'MKR', name: 'Maker' },
+    // Non-printable bytes32 symbol, reverting name()
+    { decimals: 18, symbol: null, name: null },
+    // Empty return data for everything
+    { decimals: null, symbol: null, name: null }
+  ]);
+  assert.deepEqual(requests.map(r => r.size), [5, 5, 2]);
+});
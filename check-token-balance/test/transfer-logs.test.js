@@ -0,0 +1,131 @@
+/**
+ * Tests for transfer-logs.js: the adaptive chunking of scanTransferLogs, against a stubbed provider whose
+ * eth_getLogs rejects ranges above a fixed span.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+
+import { scanTransferLogs } from '../transfer-logs.js';
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const TOKEN = '0x2b591e99afe9f32eaa6214f7b7629768c40eeb39';
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+const topic = (address) => ethers.zeroPadValue(address, 32);
+const amount = (value) => ethers.toBeHex(value, 32);
+
+/**
+ * Logs every 7 blocks in [FROM, TO]: alternately out of and into the wallet, a transfer from the wallet to
+ * itself every 70 blocks from the first, and an ERC-721 transfer (4 topics) every 91 blocks from the first.
+ */
+const FROM = 1000;
+const TO = 4999;
+const LOGS = [];
+for (let block = FROM; block <= TO; block += 7) {
+  const self = (block - FROM) % 70 === 0;
+  const out = self || block % 2 === 0;
+  LOGS.push({
+    transactionHash: ethers.id(`tx${block}`),
+    index: 0,
+    blockNumber: block,
+    address: TOKEN,
+    topics: [TRANSFER_TOPIC, topic(out ? WALLET : OTHER), topic(out && !self ? OTHER : WALLET)],
+    data: amount(block)
+  });
+  if ((block - FROM) % 91 === 0) {
+    LOGS.push({
+      transactionHash: ethers.id(`nft${block}`),
+      index: 1,
+      blockNumber: block,
+      address: TOKEN,
+      topics: [TRANSFER_TOPIC, topic(WALLET), topic(OTHER), amount(1)],
+      data: '0x'
+    });
+  }
+}
+
+/**
+ * A provider whose getLogs rejects spans longer than maxSpan blocks, recording each range it answers.
+ * @param {number} maxSpan
+ * @returns {{provider: Object, answered: Array<[number, number]>, rejected: Array<[number, number]>}}
+ */
+function cappedProvider(maxSpan) {
+  const answered = [];
+  const rejected = [];
+  const provider = {
+    async getLogs({ fromBlock, toBlock, topics }) {
+      if (toBlock - fromBlock + 1 > maxSpan) {
+        rejected.push([fromBlock, toBlock]);
+        throw new Error('query returned more than 10000 results');
+      }
+      answered.push([fromBlock, toBlock]);
+      return LOGS.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock &&
+        topics.every((t, i) => t === null || t.toLowerCase() === log.topics[i].toLowerCase()));
+    }
+  };
+  return { provider, answered, rejected };
+}
+
+test('scanTransferLogs covers every block exactly once while chunks fail and shrink', async () => {
+  const { provider, answered, rejected } = cappedProvider(300);
+  const progress = [];
+  const { transfers, requests } = await scanTransferLogs(provider, WALLET, FROM, TO, {
+    chunkSize: 1000,
+    onProgress: p => progress.push(p)
+  });
+
+  // Each chunk is queried once per direction
+  assert.equal(answered.length % 2, 0);
+  const chunks = answered.filter((_, i) => i % 2 === 0);
+  assert.deepEqual(answered.filter((_, i) => i % 2 === 1), chunks);
+  assert.deepEqual(progress.map(p => [p.fromBlock, p.toBlock]), chunks);
+
+  let next = FROM;
+  for (const [start, end] of chunks) {
+    assert.equal(start, next, `chunk starting at ${start} should start at ${next}`);
+    assert.ok(end >= start);
+    next = end + 1;
+  }
+  assert.equal(next, TO + 1);
+  // A rejected chunk is charged both requests, though its second is never sent
+  assert.equal(requests, answered.length + 2 * rejected.length);
+  assert.ok(rejected.length > 0);
+
+  // Every ERC-20 log once, the transfers to self included, oldest first
+  const expected = LOGS.filter(log => log.topics.length === 3);
+  assert.ok(expected.length < LOGS.length);
+  assert.equal(transfers.length, expected.length);
+  assert.equal(new Set(transfers.map(t => `${t.txHash}:${t.logIndex}`)).size, transfers.length);
+  assert.deepEqual(transfers.map(t => t.blockNumber), expected.map(log => log.blockNumber));
+  assert.ok(transfers.every(t => t.value === BigInt(t.blockNumber) && t.token === TOKEN));
+  const self = transfers.find(t => (t.blockNumber - FROM) % 70 === 0);
+  assert.equal(self.from, ethers.getAddress(WALLET));
+  assert.equal(self.to, ethers.getAddress(WALLET));
+});
+
+test('scanTransferLogs settles below the provider\'s limit instead of failing every other chunk', async () => {
+  const { provider, rejected } = cappedProvider(300);
+  await scanTransferLogs(provider, WALLET, FROM, TO, { chunkSize: 1000 });
+
+  // 1000 and 500 fail, 250 succeeds and grows to 375 (3/4 of 500), which fails too; from then on the size
+  // stays at or below 281 (3/4 of 375) and no chunk fails
+  assert.deepEqual(rejected, [[1000, 1999], [1000, 1499], [1250, 1624]]);
+});
+
+test('scanTransferLogs grows the chunk size after successes, up to the range end', async () => {
+  const { provider, answered, rejected } = cappedProvider(Infinity);
+  await scanTransferLogs(provider, WALLET, FROM, TO, { chunkSize: 500 });
+  assert.deepEqual(rejected, []);
+  assert.deepEqual(answered.filter((_, i) => i % 2 === 0), [[1000, 1499], [1500, 2499], [2500, 4499], [4500, 4999]]);
+});
+
+test('scanTransferLogs gives up when a single block is rejected', async () => {
+  const provider = { async getLogs() { throw new Error('upstream unavailable'); } };
+  await assert.rejects(
+    scanTransferLogs(provider, WALLET, 10, 13, { chunkSize: 4 }),
+    /eth_getLogs failed for block 10: upstream unavailable/
+  );
+});
@@ -0,0 +1,77 @@
+/**
+ * @module Token Registry
+ *
+ * @description
+ * Resolves the entries of --tokens to token addresses, so that well-known tokens can be given by symbol
+ * (e.g. "PLSX,HEX,INC") instead of by contract address.
+ *
+ * The registry is a local JSON file mapping symbols to contract addresses:
+ * {
+ *   "PLSX": "0x95B303987A60C71504D99Aa1b13B4DA07b0790ab",
+ *   "HEX": "0x2b591e99afE9f32eAA6214f7B7629768c40Eeb39"
+ * }
+ * Symbols are matched case-insensitively.  "PLS" always means native PLS ("Pulse_Native_Gas_Token"), even
+ * without a registry file.  Contract addresses and "Pulse_Native_Gas_Token" are accepted as they are.
+ */
+
+import fs from 'fs';
+import { ethers } from 'ethers';
+
+import { NATIVE_TOKEN } from './multicall.js';
+
+/** Default registry file name, relative to the current working directory (like config.json). */
+export const DEFAULT_TOKEN_REGISTRY_FILE = 'tokens.json';
+
+/**
+ * Loads a token registry file.
+ *
+ * @param {string} [filePath] - Path of the registry file (default: tokens.json in the current working directory).
+ * @returns {Map<string, {symbol: string, address: string}>} Lowercased symbol → registry entry. A missing
+ *          file yields a registry holding only PLS.
+ * @throws {Error} If the file is not valid JSON, or maps a symbol to something that is not an address.
+ */
+export function loadTokenRegistry(filePath = DEFAULT_TOKEN_REGISTRY_FILE) {
+  const registry = new Map([['pls', { symbol: 'PLS', address: NATIVE_TOKEN }]]);
+
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return registry;
+    }
+    throw new Error(`Token registry ${filePath} is invalid: ${error.message}`);
+  }
+
+  for (const [symbol, address] of Object.entries(entries)) {
+    if (address !== NATIVE_TOKEN && !ethers.isAddress(address)) {
+      throw new Error(`Token registry ${filePath}: '${symbol}' does not map to an address.`);
+    }
+    registry.set(symbol.toLowerCase(), { symbol, address });
+  }
+  return registry;
+}
+
+/**
+ * Resolves a comma-separated --tokens value to token addresses.
+ *
+ * @param {string} value - The --tokens option value: symbols, contract addresses and/or "Pulse_Native_Gas_Token".
+ * @param {Map<string, {symbol: string, address: string}>} registry - The registry from loadTokenRegistry.
+ * @returns {Array<{token: string, symbol: ?string}>} Each token's address (or "Pulse_Native_Gas_Token") and the
+ *          registry symbol it was given by (or registered under), in the order given.
+ * @throws {Error} If an entry is neither an address nor a registered symbol.
+ */
+export function resolveTokens(value, registry) {
+  const symbolsByAddress = new Map([...registry.values()].map(e => [e.address.toLowerCase(), e.symbol]));
+
+  return value.split(',').map(t => t.trim()).filter(Boolean).map(entry => {
+    if (entry === NATIVE_TOKEN || ethers.isAddress(entry)) {
+      return { token: entry, symbol: symbolsByAddress.get(entry.toLowerCase()) || null };
+    }
+    const registered = registry.get(entry.toLowerCase());
+    if (!registered) {
+      throw new Error(`Unknown token '${entry}': not an address and not in the token registry.`);
+    }
+    return { token: registered.address, symbol: registered.symbol };
+  });
+}
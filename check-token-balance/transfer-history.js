@@ -0,0 +1,269 @@
+/**
+ * @module PulseChain Transfer History
+ *
+ * @description
+ * This Node.js command-line program lists every ERC-20 token transfer to or from a PulseChain wallet over a
+ * block or date range, as a ledger of transaction hash, block, timestamp, counterparty, token and signed amount.
+ * Unlike getTokenTransferred (../fetch-amount-of-token-transferred.js), it needs no transaction hashes up front:
+ * it scans the chain's Transfer event logs with eth_getLogs (see ./transfer-logs.js).
+ *
+ * Dependencies:
+ * - NodeJS version ~ 21
+ * - ethers: For interacting with the Ethereum-compatible PulseChain blockchain.
+ * - commander: For parsing command-line options.
+ * - ./transfer-logs.js: Scans Transfer logs in adaptive chunks that respect provider limits.
+ * - ./multicall.js: Reads each token's decimals, symbol and name in one batch.
+ * - ./block-index.js: Resolves dates to blocks, backed by the persistent date-to-block index.
+ * - ./token-registry.js: Resolves token symbols given to --tokens to contract addresses.
+ * - ../output-format.js: Shared --format json|csv|ndjson output.
+ *
+ * Configuration:
+ * Reads 'defaultRpc', 'blockIndexFile' and 'tokenRegistryFile' from 'config.json' in the current working directory,
+ * as index.js does.
+ *
+ * Usage:
+ * node transfer-history.js [options]
+ *
+ * Options:
+ *   -a, --address <address>          PulseChain wallet address (required)
+ *   -t, --tokens <tokens>            Comma-separated token symbols from the token registry or token contract addresses
+ *                                    (default: every token)
+ *   --from <dateOrBlock>             Start of the range: UTC date (YYYY-MM-DD) or block number (required)
+ *   --to <dateOrBlock>               End of the range: UTC date (inclusive) or block number (default: the latest block)
+ *   -r, --rpc <url>                  RPC URL (default: from config.json or https://rpc-pulsechain.g4mm4.io)
+ *   --chunk-size <blocks>            Initial eth_getLogs chunk size in blocks (default: 10000)
+ *   --block-index <path>             Date-to-block index file (default: from config.json or block-index.json)
+ *   --no-block-index                 Resolve dates without reading or writing the date-to-block index
+ *   --token-registry <path>          Token symbol registry file (default: from config.json or tokens.json)
+ *   -f, --format <format>            Output format: text (default), json, csv or ndjson
+ *
+ * Notes:
+ * - A --from date starts at the block closest to midnight UTC of that date; a --to date ends just before the block
+ *   closest to midnight UTC of the following day, so the whole date is included.
+ * - Native PLS transfers emit no logs, so they cannot be listed; PLS is rejected in --tokens.
+ * - The chunk size halves whenever the RPC rejects a chunk (too many blocks or results) and grows back on success.
+ * - The RPC must serve eth_getLogs over the whole range; public RPCs may prune old logs.
+ *
+ * Example usage:
+ *   node transfer-history.js --address 0xYourAddress --from 2025-01-01 --to 2025-03-31 --format csv > q1.csv
+ *   or
+ *   node transfer-history.js --address 0xYourAddress --tokens PLSX,HEX --from 22000000 --to 22100000
+ *
+ * Machine-Readable Output (--format json|csv|ndjson):
+ * Logs go to stderr and stdout carries one record per transfer, oldest first, with these fields in this order:
+ *   wallet        Wallet address
+ *   txHash        Transaction hash
+ *   logIndex      Index of the Transfer log in its block
+ *   block         Block number
+ *   timestamp     Unix timestamp (seconds) of the block
+ *   date          The block's UTC date and time (ISO 8601)
+ *   token         Token contract address
+ *   symbol        Token symbol, or null if the token has none
+ *   direction     "in", "out", or "self" for a transfer from the wallet to itself
+ *   counterparty  The other side of the transfer (the wallet itself for "self")
+ *   rawAmount     Signed amount as a raw integer, in a decimal string (negative for "out", 0 for "self")
+ *   amount        Signed amount formatted with the token's decimals, or null if the token has no decimals()
+ * See ../output-format.js for the format conventions.
+ *
+ * Error Handling:
+ * - Invalid options or missing required options will cause the program to exit with an error message.
+ * - Network or contract query errors are caught and logged, with the program exiting with code 1.
+ */
+
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { Command } from 'commander';
+
+import { NATIVE_TOKEN, fetchTokenMetadata } from './multicall.js';
+import { DEFAULT_BLOCK_INDEX_FILE, dateToTimestamp, findBlockByTimestamp, openBlockIndex } from './block-index.js';
+import { DEFAULT_TOKEN_REGISTRY_FILE, loadTokenRegistry, resolveTokens } from './token-registry.js';
+import { DEFAULT_CHUNK_SIZE, scanTransferLogs } from './transfer-logs.js';
+import { formatTable, parseOutputFormat, redirectLogsToStderr, writeRecords } from '../output-format.js';
+
+let defaultRpc = 'https://rpc-pulsechain.g4mm4.io'; // Fallback default RPC
+let defaultBlockIndexFile = DEFAULT_BLOCK_INDEX_FILE;
+let defaultTokenRegistryFile = DEFAULT_TOKEN_REGISTRY_FILE;
+
+try {
+  const config = JSON.parse(fs.readFileSync('config.json', 'utf8'));
+  defaultRpc = config.defaultRpc || defaultRpc;
+  defaultBlockIndexFile = config.blockIndexFile || defaultBlockIndexFile;
+  defaultTokenRegistryFile = config.tokenRegistryFile || defaultTokenRegistryFile;
+} catch (error) {
+  console.warn('Warning: config.json not found or invalid. Using fallback defaults.');
+}
+
+const program = new Command();
+
+program
+  .requiredOption('-a, --address <address>', 'PulseChain wallet address')
+  .option('-t, --tokens <tokens>', 'Comma-separated token symbols from the token registry or token contract addresses (default: every token)')
+  .requiredOption('--from <dateOrBlock>', 'Start of the range: UTC date (YYYY-MM-DD) or block number')
+  .option('--to <dateOrBlock>', 'End of the range: UTC date (inclusive) or block number (default: the latest block)')
+  .option('-r, --rpc <url>', 'RPC URL', defaultRpc)
+  .option('--chunk-size <blocks>', 'Initial eth_getLogs chunk size in blocks', String(DEFAULT_CHUNK_SIZE))
+  .option('--block-index <path>', 'Date-to-block index file', defaultBlockIndexFile)
+  .option('--no-block-index', 'Resolve dates without reading or writing the date-to-block index')
+  .option('--token-registry <path>', 'Token symbol registry file', defaultTokenRegistryFile)
+  .option('-f, --format <format>', 'Output format: text, json, csv or ndjson', 'text')
+  .parse(process.argv);
+
+const options = program.opts();
+
+let format;
+try {
+  format = parseOutputFormat(options.format);
+} catch (error) {
+  console.error('Error:', error.message);
+  process.exit(1);
+}
+if (format !== 'text') {
+  redirectLogsToStderr();
+}
+
+if (!ethers.isAddress(options.address)) {
+  console.error(`Error: Invalid wallet address '${options.address}'`);
+  process.exit(1);
+}
+
+const chunkSize = parseInt(options.chunkSize, 10);
+if (!(chunkSize > 0)) {
+  console.error('Error: --chunk-size must be a positive number of blocks');
+  process.exit(1);
+}
+
+const provider = new ethers.JsonRpcProvider(options.rpc);
+
+/** Field order of machine-readable ledger records. */
+const LEDGER_RECORD_FIELDS = [
+  'wallet', 'txHash', 'logIndex', 'block', 'timestamp', 'date', 'token', 'symbol',
+  'direction', 'counterparty', 'rawAmount', 'amount'
+];
+
+/**
+ * Resolves --from and --to to an inclusive block range.
+ *
+ * @param {?Object} blockIndex - A block index from openBlockIndex, or null.
+ * @returns {Promise<{fromBlock: number, toBlock: number}>} The block range.
+ * @throws {Error} If a date is invalid, block lookup fails, or the range is empty.
+ */
+async function getBlockRange(blockIndex) {
+  const latest = await provider.getBlockNumber();
+  const fromBlock = /^\d+$/.test(options.from)
+    ? parseInt(options.from, 10)
+    : await findBlockByTimestamp(provider, dateToTimestamp(options.from), blockIndex);
+
+  let toBlock = latest;
+  if (options.to && /^\d+$/.test(options.to)) {
+    toBlock = parseInt(options.to, 10);
+  } else if (options.to) {
+    const nextMidnight = dateToTimestamp(options.to) + 24 * 60 * 60;
+    if (nextMidnight < Math.floor(Date.now() / 1000)) {
+      toBlock = await findBlockByTimestamp(provider, nextMidnight, blockIndex) - 1;
+    }
+  }
+
+  if (toBlock < fromBlock) {
+    throw new Error(`Empty block range ${fromBlock}-${toBlock}.`);
+  }
+  return { fromBlock, toBlock: Math.min(toBlock, latest) };
+}
+
+/**
+ * Fetches the timestamps of the given blocks, sending up to 100 requests at a time (ethers batches
+ * concurrent requests into JSON-RPC batch calls).
+ *
+ * @param {Array<number>} blockNumbers - Distinct block numbers.
+ * @returns {Promise<Map<number, number>>} Block number → Unix timestamp in seconds.
+ * @throws {Error} If a block cannot be fetched.
+ */
+async function getBlockTimestamps(blockNumbers) {
+  const timestamps = new Map();
+  for (let i = 0; i < blockNumbers.length; i += 100) {
+    const blocks = await Promise.all(blockNumbers.slice(i, i + 100).map(n => provider.getBlock(n)));
+    blocks.forEach((block, j) => {
+      if (!block) {
+        throw new Error(`Failed to fetch block ${blockNumbers[i + j]}`);
+      }
+      timestamps.set(block.number, block.timestamp);
+    });
+  }
+  return timestamps;
+}
+
+/**
+ * Scans the range for the wallet's transfers and prints the ledger, or writes it in the --format schema.
+ *
+ * @returns {Promise<void>} A promise that resolves when the ledger has been output.
+ * @throws {Error} If any query fails.
+ */
+async function main() {
+  try {
+    let tokens = null;
+    if (options.tokens) {
+      tokens = resolveTokens(options.tokens, loadTokenRegistry(options.tokenRegistry)).map(t => t.token);
+      if (tokens.includes(NATIVE_TOKEN)) {
+        throw new Error('Native PLS transfers emit no logs and cannot be listed; remove PLS from --tokens.');
+      }
+    }
+
+    const blockIndex = options.blockIndex ? await openBlockIndex(provider, options.blockIndex) : null;
+    const { fromBlock, toBlock } = await getBlockRange(blockIndex);
+    console.log(`Scanning blocks ${fromBlock} to ${toBlock} for transfers ${tokens ? `of ${tokens.length} token(s) ` : ''}to or from ${options.address}`);
+
+    const { transfers, requests } = await scanTransferLogs(provider, options.address, fromBlock, toBlock, { tokens, chunkSize });
+    console.log(`Found ${transfers.length} transfer(s) in ${requests} eth_getLogs requests`);
+
+    const tokenAddresses = [...new Set(transfers.map(t => t.token))];
+    const metadata = await fetchTokenMetadata(provider, tokenAddresses, toBlock);
+    const tokenInfo = new Map(tokenAddresses.map((token, i) => [token, metadata[i]]));
+    const timestamps = await getBlockTimestamps([...new Set(transfers.map(t => t.blockNumber))]);
+
+    const wallet = ethers.getAddress(options.address);
+    const records = transfers.map(t => {
+      const direction = t.from === wallet ? (t.to === wallet ? 'self' : 'out') : 'in';
+      const rawAmount = direction === 'self' ? 0n : direction === 'out' ? -t.value : t.value;
+      const { decimals, symbol } = tokenInfo.get(t.token);
+      const timestamp = timestamps.get(t.blockNumber);
+      return {
+        wallet,
+        txHash: t.txHash,
+        logIndex: t.logIndex,
+        block: t.blockNumber,
+        timestamp,
+        date: new Date(timestamp * 1000).toISOString(),
+        token: t.token,
+        symbol,
+        direction,
+        counterparty: direction === 'in' ? t.from : t.to,
+        rawAmount,
+        amount: decimals === null ? null : ethers.formatUnits(rawAmount, decimals)
+      };
+    });
+
+    if (format !== 'text') {
+      writeRecords(records, format, LEDGER_RECORD_FIELDS);
+      return;
+    }
+
+    if (records.length === 0) {
+      return;
+    }
+    const table = records.map(r => [
+      r.date.replace('T', ' ').slice(0, 19),
+      String(r.block),
+      r.symbol || r.token,
+      r.direction,
+      r.counterparty,
+      r.amount === null ? `${r.rawAmount} (raw)` : r.amount,
+      r.txHash
+    ]);
+    console.log('\nTransfer Ledger:');
+    console.log(formatTable(['Date (UTC)', 'Block', 'Token', 'Dir', 'Counterparty', 'Amount', 'Tx Hash'], table, 5));
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
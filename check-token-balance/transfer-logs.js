@@ -0,0 +1,105 @@
+/**
+ * @module Transfer Log Scanner
+ *
+ * @description
+ * Scans a block range with `eth_getLogs` for ERC-20 `Transfer` events to or from a wallet.
+ *
+ * Providers cap `eth_getLogs` by block span and/or result count, and the caps differ between providers, so
+ * the range is scanned in adaptive chunks: a chunk that the provider rejects is halved and retried, and the
+ * chunk size grows back after each chunk that succeeds, but only to three quarters of the smallest size that
+ * has failed, so that the scan settles below the provider's limit instead of failing every other chunk.  Each chunk costs two requests (one for transfers
+ * from the wallet, one for transfers to it), filtered by token address when a token list is given.
+ *
+ * Only standard ERC-20 `Transfer` logs (3 topics, a 32-byte amount) are returned; ERC-721 `Transfer` logs
+ * (4 topics, same signature) are skipped.  Native PLS transfers emit no logs and cannot be found this way.
+ */
+
+import { ethers } from 'ethers';
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+/** Default initial chunk size in blocks (about a day of PulseChain blocks). */
+export const DEFAULT_CHUNK_SIZE = 10000;
+
+/** Upper bound the chunk size may grow to. */
+const MAX_CHUNK_SIZE = 100000;
+
+/**
+ * Fetches the Transfer logs from and to a wallet in one block range.
+ *
+ * @param {ethers.Provider} provider - The ethers provider instance connected to the PulseChain RPC.
+ * @param {string} walletTopic - The wallet address as a 32-byte topic.
+ * @param {?Array<string>} tokens - Token contract addresses to filter by, or null for all tokens.
+ * @param {number} fromBlock - First block of the range (inclusive).
+ * @param {number} toBlock - Last block of the range (inclusive).
+ * @returns {Promise<Array<ethers.Log>>} The logs of both directions.
+ */
+async function getTransferLogs(provider, walletTopic, tokens, fromBlock, toBlock) {
+  const filter = { fromBlock, toBlock, ...(tokens ? { address: tokens } : {}) };
+  const outgoing = await provider.getLogs({ ...filter, topics: [TRANSFER_TOPIC, walletTopic] });
+  const incoming = await provider.getLogs({ ...filter, topics: [TRANSFER_TOPIC, null, walletTopic] });
+  return [...outgoing, ...incoming];
+}
+
+/**
+ * Scans a block range for ERC-20 Transfer events to or from a wallet, in adaptive chunks.
+ *
+ * @param {ethers.Provider} provider - The ethers provider instance connected to the PulseChain RPC.
+ * @param {string} wallet - The wallet address.
+ * @param {number} fromBlock - First block of the range (inclusive).
+ * @param {number} toBlock - Last block of the range (inclusive).
+ * @param {Object} [options]
+ * @param {?Array<string>} [options.tokens=null] - Token contract addresses to scan, or null for every token.
+ * @param {number} [options.chunkSize=DEFAULT_CHUNK_SIZE] - Initial chunk size in blocks.
+ * @param {function({fromBlock: number, toBlock: number, chunkSize: number, found: number}): void} [options.onProgress]
+ *        Called after each chunk is scanned.
+ * @returns {Promise<{transfers: Array<{txHash: string, logIndex: number, blockNumber: number, token: string, from: string, to: string, value: bigint}>, requests: number}>}
+ *          The transfers, oldest first (a transfer from the wallet to itself appears once), and the number of
+ *          eth_getLogs requests made.
+ * @throws {Error} If a single-block chunk is still rejected by the provider.
+ */
+export async function scanTransferLogs(provider, wallet, fromBlock, toBlock, { tokens = null, chunkSize = DEFAULT_CHUNK_SIZE, onProgress } = {}) {
+  const walletTopic = ethers.zeroPadValue(ethers.getAddress(wallet), 32);
+  const seen = new Map(); // "txHash:logIndex" → transfer
+  let requests = 0;
+  let size = Math.max(1, chunkSize);
+  let ceiling = MAX_CHUNK_SIZE; // Largest size worth trying again, lowered by each failure
+
+  for (let start = fromBlock; start <= toBlock;) {
+    const end = Math.min(toBlock, start + size - 1);
+    let logs;
+    try {
+      requests += 2;
+      logs = await getTransferLogs(provider, walletTopic, tokens, start, end);
+    } catch (error) {
+      if (end === start) {
+        throw new Error(`eth_getLogs failed for block ${start}: ${error.message}`);
+      }
+      ceiling = Math.max(1, Math.min(ceiling, Math.floor((end - start + 1) * 3 / 4)));
+      size = Math.max(1, Math.floor((end - start + 1) / 2));
+      continue;
+    }
+
+    for (const log of logs) {
+      if (log.topics.length !== 3 || ethers.dataLength(log.data) !== 32) continue;
+      seen.set(`${log.transactionHash}:${log.index}`, {
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        blockNumber: log.blockNumber,
+        token: log.address,
+        from: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+        to: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+        value: BigInt(log.data)
+      });
+    }
+    if (onProgress) {
+      onProgress({ fromBlock: start, toBlock: end, chunkSize: size, found: seen.size });
+    }
+
+    start = end + 1;
+    size = Math.max(size, Math.min(ceiling, size * 2));
+  }
+
+  const transfers = [...seen.values()].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  return { transfers, requests };
+}
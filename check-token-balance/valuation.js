@@ -0,0 +1,108 @@
+/**
+ * @module Balance Valuation
+ *
+ * @description
+ * Prices token balances in USD or PLS as of a given block's date, using GeckoTerminal daily candles.
+ *
+ * Reuses the GeckoTerminal pool discovery (getBestPoolWithHistory in ../chart-price-ratio/pool-selector.js)
+ * and OHLCV fetch (getClosesGecko in ../chart-price-ratio/gecko-terminal.js) from the ratio chart tool.
+ *
+ * Pricing rules:
+ * - A token's USD price is the close of the last daily candle that ended at or before the block's timestamp,
+ *   from the token's best pool (falling back to the candle containing the block when there is no earlier one).
+ * - Native PLS is priced through WPLS.
+ * - PLS prices are the token's USD price divided by WPLS's USD price for the same day.
+ * - Every price records the pool(s) and candle(s) that supplied it, so reports can cite their source.
+ */
+
+import { ethers } from 'ethers';
+
+import { getBestPoolWithHistory } from '../chart-price-ratio/pool-selector.js';
+import { getClosesGecko } from '../chart-price-ratio/gecko-terminal.js';
+import { NATIVE_TOKEN, WPLS_ADDRESS } from '../pulsechain-tokens.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const poolCache = new Map(); // token → pool chosen by getBestPoolWithHistory, for the life of the run
+
+/**
+ * Finds a token's USD price at a timestamp from its best GeckoTerminal pool.
+ *
+ * @param {string} tokenAddress - Token contract address.
+ * @param {number} timestamp - Unix timestamp in seconds (the queried block's timestamp).
+ * @param {string} network - Network name for GeckoTerminal API (e.g., 'pulsechain').
+ * @returns {Promise<{price: number, pool: {address: string, name: string}, candle: string}>}
+ *          The USD price, the pool it came from, and the candle's date (YYYY-MM-DD).
+ * @throws {Error} If no pool or no candle on or before the timestamp is found.
+ */
+async function getUsdPriceAt(tokenAddress, timestamp, network) {
+  const token = tokenAddress.toLowerCase();
+  if (!poolCache.has(token)) {
+    poolCache.set(token, await getBestPoolWithHistory(token, network));
+  }
+  const pool = poolCache.get(token);
+
+  const candles = await getClosesGecko(pool.address, 'day', 3, {
+    network,
+    currency: 'usd',
+    token,
+    beforeTimestamp: timestamp
+  });
+  const blockMs = timestamp * 1000;
+  const eligible = candles.filter(c => c.timestamp <= blockMs).sort((a, b) => b.timestamp - a.timestamp);
+  const candle = eligible.find(c => c.timestamp + DAY_MS <= blockMs) || eligible[0];
+  if (!candle) {
+    throw new Error(`No GeckoTerminal candle on or before ${new Date(blockMs).toISOString()} for ${tokenAddress}`);
+  }
+
+  return {
+    price: candle.close,
+    pool: { address: pool.address, name: pool.name },
+    candle: new Date(candle.timestamp).toISOString().split('T')[0]
+  };
+}
+
+/**
+ * Values a set of balances in USD or PLS at a block's timestamp.
+ *
+ * @param {Array<{token: string, balance: bigint, decimals: number}>} holdings - Token (contract address or
+ *        "Pulse_Native_Gas_Token") and raw balance for each holding.
+ * @param {number} timestamp - Unix timestamp in seconds of the queried block.
+ * @param {'usd'|'pls'} valueIn - The currency to value in.
+ * @param {Object} [options]
+ * @param {string} [options.network='pulsechain'] - Network name for GeckoTerminal API.
+ * @returns {Promise<{rows: Array<{token: string, amount: number, price: number, value: number, sources: Array<string>}>, total: number}>}
+ *          One row per holding, with the price, value and a description of each pool/candle used, plus the total value.
+ * @throws {Error} If a price cannot be found.
+ */
+export async function valueHoldings(holdings, timestamp, valueIn, { network = 'pulsechain' } = {}) {
+  const describe = (quote) => `${quote.pool.name} (${quote.pool.address}) candle ${quote.candle}`;
+
+  let plsQuote = null;
+  if (valueIn === 'pls' || holdings.some(h => h.token === NATIVE_TOKEN)) {
+    plsQuote = await getUsdPriceAt(WPLS_ADDRESS, timestamp, network);
+  }
+
+  const rows = [];
+  for (const { token, balance, decimals } of holdings) {
+    const amount = Number(ethers.formatUnits(balance, decimals));
+    let price;
+    let sources;
+
+    if (token === NATIVE_TOKEN) {
+      price = valueIn === 'pls' ? 1 : plsQuote.price;
+      sources = valueIn === 'pls' ? [] : [describe(plsQuote)];
+    } else if (valueIn === 'pls' && token.toLowerCase() === WPLS_ADDRESS) {
+      price = 1;
+      sources = [];
+    } else {
+      const quote = await getUsdPriceAt(token, timestamp, network);
+      price = valueIn === 'pls' ? quote.price / plsQuote.price : quote.price;
+      sources = valueIn === 'pls' ? [describe(quote), `WPLS: ${describe(plsQuote)}`] : [describe(quote)];
+    }
+
+    rows.push({ token, amount, price, value: amount * price, sources });
+  }
+
+  return { rows, total: rows.reduce((sum, r) => sum + r.value, 0) };
+}
@@ -0,0 +1,289 @@
+/**
+ * @fileoverview
+ * This is a Node.js program that turns a Pulsechain transaction hash into a structured trade record, using the ethers.js library.
+ * Given a transaction hash and the wallet that made the trade, it decodes the transaction receipt and returns the tokens sold
+ * and bought, their amounts, the router and pair contracts touched, the gas paid in PLS and the effective execution price.
+ *
+ * The following events are decoded from the receipt:
+ * - PulseX V1/V2 pair `Swap` events (Uniswap V2 style), to find the pairs touched and each hop of the route.
+ * - ERC-20 `Transfer` events to and from the wallet, to find the exact token amounts sold and bought.
+ * - WPLS `Deposit`/`Withdrawal` events, to account for native PLS sent into or paid out of the router, which does
+ *   not show up as a Transfer event.
+ *
+ * @requires Node.js (version 18 or higher recommended for async/await support)
+ * @requires ethers.js (install via: npm install ethers)
+ *
+ * How to use:
+ * 1. Install dependencies: Run `npm install` in this directory.
+ * 2. To use the function in your own code: Import `decodeSwap` and call `decodeSwap(txHash, walletAddress)` in an async
+ *    context and await the result.
+ * 3. Alternatively, uncomment the `test()` call at the bottom and run `node decode-swap.js`.
+ *
+ * Note: This program connects to a public Pulsechain RPC endpoint ('https://rpc-pulsechain.g4mm4.io') unless a provider is passed in.
+ *
+ * Workarounds and Limitations:
+ * - Native PLS amounts are inferred from WPLS Deposit/Withdrawal events, since internal value transfers emit no logs. A swap
+ *   that wraps or unwraps PLS on behalf of someone other than the wallet in the same transaction would be misattributed.
+ * - Any PLS refunded by the router (e.g. excess `msg.value` on an exact-output swap) is not subtracted unless it was wrapped.
+ * - The execution price is only computed when exactly one token was sold and exactly one was bought.
+ * - Each hop's direction and amounts are the pair's net flows, since fee-on-transfer tokens and refunds can make both
+ *   sides of a Swap event nonzero.  Swap-topic logs from contracts without token0()/token1() are not hops and are skipped.
+ * - Amounts are formatted to 7 decimal places and returned as floats; the exact raw integer amounts are returned alongside as BigInt.
+ */
+
+import { ethers } from 'ethers';
+
+import { formatAmount, sumTransferLogs } from './fetch-amount-of-token-transferred.js';
+import { NATIVE_TOKEN, WPLS_ADDRESS } from './pulsechain-tokens.js';
+
+export { NATIVE_TOKEN, WPLS_ADDRESS };
+
+const DEFAULT_RPC = 'https://rpc-pulsechain.g4mm4.io';
+
+/** Well-known PulseX contracts, used to label the router and the pairs touched. */
+const KNOWN_ROUTERS = {
+  '0x98bf93ebf5c380c0e6ae8e192a7e2ae08edacc02': 'PulseX V1 Router',
+  '0x165c3410fc91ef562c50559f7d2289febed552d9': 'PulseX V2 Router'
+};
+const KNOWN_FACTORIES = {
+  '0x1715a3e4a142d8b698131108995174f37aeba10d': 'PulseX V1',
+  '0x29ea7545def87022badc76323f373ea1e707c523': 'PulseX V2'
+};
+
+const swapInterface = new ethers.Interface([
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Deposit(address indexed dst, uint256 wad)',
+  'event Withdrawal(address indexed src, uint256 wad)'
+]);
+const SWAP_TOPIC = swapInterface.getEvent('Swap').topicHash;
+const TRANSFER_TOPIC = swapInterface.getEvent('Transfer').topicHash;
+const DEPOSIT_TOPIC = swapInterface.getEvent('Deposit').topicHash;
+const WITHDRAWAL_TOPIC = swapInterface.getEvent('Withdrawal').topicHash;
+
+const PAIR_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function factory() view returns (address)'
+];
+const TOKEN_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+/**
+ * Fetches symbol and decimals for a token, with native PLS handled without an RPC call.
+ * A token whose symbol() reverts or is not a string is reported as '???'.
+ *
+ * @param {ethers.Provider} provider - The ethers provider.
+ * @param {string} tokenAddress - Token contract address, or NATIVE_TOKEN.
+ * @returns {Promise<{symbol: string, decimals: number}>}
+ */
+async function getTokenMeta(provider, tokenAddress) {
+  if (tokenAddress === NATIVE_TOKEN) {
+    return { symbol: 'PLS', decimals: 18 };
+  }
+  const contract = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
+  const [symbol, decimals] = await Promise.all([
+    contract.symbol().catch(() => '???'),
+    contract.decimals()
+  ]);
+  return { symbol, decimals: Number(decimals) };
+}
+
+/**
+ * Decodes every pair Swap event in the receipt, resolving each pair's tokens and factory.  Logs with the Swap topic
+ * from contracts that are not V2-style pairs (no token0()/token1()) are skipped.
+ *
+ * @param {ethers.Provider} provider - The ethers provider.
+ * @param {ethers.TransactionReceipt} receipt - The transaction receipt.
+ * @returns {Promise<Array<{logIndex: number, pair: string, protocol: string, tokenIn: string, tokenOut: string,
+ *          amountIn: bigint, amountOut: bigint, sender: string, to: string}>>} One entry per hop, in log order.
+ */
+async function decodeSwapEvents(provider, receipt) {
+  const pairCache = new Map();
+  const swaps = [];
+
+  for (const log of receipt.logs) {
+    if (log.topics[0] !== SWAP_TOPIC) continue;
+
+    const pairAddress = ethers.getAddress(log.address);
+    if (!pairCache.has(pairAddress)) {
+      const pair = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+      let tokens;
+      try {
+        tokens = await Promise.all([pair.token0(), pair.token1()]);
+      } catch {
+        // Another contract emitting an event with the same signature
+        pairCache.set(pairAddress, null);
+        continue;
+      }
+      const factory = await pair.factory().catch(() => null);
+      const protocol = (factory && KNOWN_FACTORIES[factory.toLowerCase()]) || 'unknown';
+      pairCache.set(pairAddress, { token0: tokens[0], token1: tokens[1], protocol });
+    }
+    if (!pairCache.get(pairAddress)) continue;
+    const { token0, token1, protocol } = pairCache.get(pairAddress);
+
+    const { args } = swapInterface.parseLog(log);
+    // Net flows: both inputs can be nonzero (fee-on-transfer tokens, refunds), so the side that came in on balance is sold
+    const net0 = args.amount0In - args.amount0Out;
+    const net1 = args.amount1In - args.amount1Out;
+    const zeroForOne = net0 > 0n;
+    swaps.push({
+      logIndex: log.index,
+      pair: pairAddress,
+      protocol,
+      tokenIn: zeroForOne ? token0 : token1,
+      tokenOut: zeroForOne ? token1 : token0,
+      amountIn: zeroForOne ? net0 : net1,
+      amountOut: zeroForOne ? -net1 : -net0,
+      sender: args.sender,
+      to: args.to
+    });
+  }
+
+  return swaps;
+}
+
+/**
+ * Computes the wallet's raw net flow per token in the transaction.  ERC-20 flows come from Transfer events;
+ * native PLS flows come from WPLS Deposit (PLS wrapped on the wallet's behalf) and Withdrawal (PLS unwrapped
+ * and paid out) events, or from the transaction value if nothing was wrapped.
+ *
+ * @param {ethers.TransactionReceipt} receipt - The transaction receipt.
+ * @param {ethers.TransactionResponse} tx - The transaction.
+ * @param {string} walletAddress - The wallet that made the trade.
+ * @returns {Map<string, bigint>} Token address (or NATIVE_TOKEN) → net raw amount (positive = received).
+ */
+function getNetFlows(receipt, tx, walletAddress) {
+  const wallet = walletAddress.toLowerCase();
+  const flows = new Map();
+
+  const touchedTokens = new Set();
+  for (const log of receipt.logs) {
+    if (log.topics.length !== 3 || log.topics[0] !== TRANSFER_TOPIC) continue;
+    const from = ethers.dataSlice(log.topics[1], 12).toLowerCase();
+    const to = ethers.dataSlice(log.topics[2], 12).toLowerCase();
+    if (from === wallet || to === wallet) touchedTokens.add(ethers.getAddress(log.address));
+  }
+  for (const token of touchedTokens) {
+    const { inflow, outflow } = sumTransferLogs(receipt, token, walletAddress);
+    if (inflow !== outflow) flows.set(token, inflow - outflow);
+  }
+
+  if (tx.from.toLowerCase() === wallet) {
+    let wrapped = 0n;
+    let unwrapped = 0n;
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== WPLS_ADDRESS) continue;
+      if (log.topics[0] === DEPOSIT_TOPIC) wrapped += swapInterface.parseLog(log).args.wad;
+      if (log.topics[0] === WITHDRAWAL_TOPIC) unwrapped += swapInterface.parseLog(log).args.wad;
+    }
+    const sent = wrapped > 0n ? wrapped : tx.value;
+    const nativeNet = unwrapped - sent;
+    if (nativeNet !== 0n) flows.set(NATIVE_TOKEN, nativeNet);
+  }
+
+  return flows;
+}
+
+/**
+ * Decodes a swap transaction into a normalized trade record.
+ *
+ * @param {string} txHash - The transaction hash.
+ * @param {string} walletAddress - The wallet that made the trade.
+ * @param {Object} [options]
+ * @param {ethers.Provider} [options.provider] - Provider to use (default: a JsonRpcProvider on the public Pulsechain RPC).
+ * @returns {Promise<{
+ *   txHash: string, blockNumber: number, wallet: string,
+ *   router: {address: string, name: string},
+ *   pairs: Array<{address: string, protocol: string}>,
+ *   sold: Array<{token: string, symbol: string, decimals: number, amount: number, raw: bigint}>,
+ *   bought: Array<{token: string, symbol: string, decimals: number, amount: number, raw: bigint}>,
+ *   price: {boughtPerSold: number, soldPerBought: number}|null,
+ *   gas: {used: bigint, price: bigint, paidPls: number, raw: bigint},
+ *   swaps: Array<Object>
+ * }>} The trade record.  `price` is null unless exactly one token was sold and one bought.
+ * @throws {Error} If the transaction or its receipt is not found, or an RPC call fails.
+ */
+export async function decodeSwap(txHash, walletAddress, { provider } = {}) {
+  provider = provider || new ethers.JsonRpcProvider(DEFAULT_RPC);
+
+  const [tx, receipt] = await Promise.all([
+    provider.getTransaction(txHash),
+    provider.getTransactionReceipt(txHash)
+  ]);
+  if (!tx || !receipt) {
+    throw new Error(`Transaction not found: ${txHash}`);
+  }
+
+  const swaps = await decodeSwapEvents(provider, receipt);
+  const flows = getNetFlows(receipt, tx, walletAddress);
+
+  const sold = [];
+  const bought = [];
+  for (const [token, net] of flows) {
+    const { symbol, decimals } = await getTokenMeta(provider, token);
+    const raw = net < 0n ? -net : net;
+    const leg = { token, symbol, decimals, amount: formatAmount(raw, decimals), raw };
+    (net < 0n ? sold : bought).push(leg);
+  }
+
+  let price = null;
+  if (sold.length === 1 && bought.length === 1) {
+    const soldUnits = Number(ethers.formatUnits(sold[0].raw, sold[0].decimals));
+    const boughtUnits = Number(ethers.formatUnits(bought[0].raw, bought[0].decimals));
+    price = {
+      boughtPerSold: boughtUnits / soldUnits,
+      soldPerBought: soldUnits / boughtUnits
+    };
+  }
+
+  const pairs = [];
+  for (const swap of swaps) {
+    if (!pairs.some(p => p.address === swap.pair)) {
+      pairs.push({ address: swap.pair, protocol: swap.protocol });
+    }
+  }
+
+  const routerAddress = tx.to ? ethers.getAddress(tx.to) : null;
+  const gasRaw = receipt.fee;
+
+  return {
+    txHash,
+    blockNumber: receipt.blockNumber,
+    wallet: ethers.getAddress(walletAddress),
+    router: {
+      address: routerAddress,
+      name: (routerAddress && KNOWN_ROUTERS[routerAddress.toLowerCase()]) || 'unknown'
+    },
+    pairs,
+    sold,
+    bought,
+    price,
+    gas: {
+      used: receipt.gasUsed,
+      price: receipt.gasPrice,
+      paidPls: formatAmount(gasRaw, 18),
+      raw: gasRaw
+    },
+    swaps
+  };
+}
+
+/**
+ * A test function to demonstrate usage of decodeSwap with hardcoded example values.
+ * Logs the result to the console.
+ *
+ * @returns {Promise<void>} Resolves after logging the test result.
+ */
+// Test case
+async function test() {
+  const txHash = '0xab9c6162b16c9e26149720420cb73c7d445d31b150cf448f3e91da13125b1bd8';
+  const walletAddress = '0xbCB167f16A1aA3ca3F483CC922967e9aCdEC405D';
+  const trade = await decodeSwap(txHash, walletAddress);
+  console.log('Decoded trade for example transaction:', trade);
+}
+
+// test(); // Uncomment to test this module.
@@ -1,9 +1,15 @@
 /**
  * @fileoverview
  * This is a Node.js program that interacts with the Pulsechain blockchain (a fork of Ethereum) using the ethers.js library.
- * It provides a function to calculate the net positive balance change (assumed to be a token transfer) for a specific ERC-20 token
- * in a given wallet address, based on a transaction ID. The calculation is done by comparing the token balance just before and after
- * the block containing the transaction.
+ * It provides functions to calculate the amount of a specific ERC-20 token transferred to and from a given wallet address
+ * in a given transaction.
+ *
+ * Two methods are supported:
+ * - 'logs' (default): Decodes the ERC-20 `Transfer` events in the transaction receipt and sums the exact amounts sent to
+ *   and from the wallet in that one transaction. Tokens that emit several Transfer events (fee-on-transfer tokens, routers
+ *   that hop through several pairs) are handled by summing every matching event.
+ * - 'balanceDelta': Compares the token balance just before and after the block containing the transaction. Kept as an
+ *   explicit fallback, e.g. for non-standard tokens that do not emit Transfer events.
  *
  * @requires Node.js (version 18 or higher recommended for async/await support)
  * @requires ethers.js (install via: npm install ethers)
@@ -12,37 +18,155 @@
  * 1. Install dependencies: Run `npm init -y` followed by `npm install ethers` in your project directory.
  * 2. Save this code as a file, e.g., `getTokenTransferred.js`.
  * 3. Run the script: Execute `node getTokenTransferred.js` to run the included test case, which logs the result to the console.
- * 4. To use the function in your own code: Import it (if modular) or call `getTokenTransferred(txId, tokenAddress, walletAddress)` 
- *    in an async context and await the result.
+ * 4. To use the function in your own code: Import it (if modular) or call `getTokenTransferred(txId, tokenAddress, walletAddress)`
+ *    in an async context and await the result.  For inflow, outflow and net amounts separately, call
+ *    `getTokenTransfersInTx(txId, tokenAddress, walletAddress)` instead.
  *
  * Note: This program connects to a public Pulsechain RPC endpoint ('https://rpc-pulsechain.g4mm4.io'). Ensure the endpoint is reliable;
  *       you may replace it with another RPC provider if needed (e.g., for rate limiting or privacy).
  *
  * Workarounds and Limitations:
- * - This method calculates the balance delta across the entire block, not isolated to the specific transaction. If the block contains
- *   multiple transactions affecting the same wallet/token balance, the result may inaccurately attribute changes from other txs.
- *   A more precise approach would involve parsing transaction logs for Transfer events (using ethers.js filters or receipt.logs).
- * - Handles only positive deltas (assumed incoming transfers); returns 0 for no change or decreases.
- * - Error handling is basic: Returns 0 on any error (e.g., invalid txId, network issues) and logs the error.
- * - The amount is formatted to 7 decimal places and returned as a float; precision may be lost for very large/small values due to JS number limits.
+ * - The 'balanceDelta' method calculates the balance delta across the entire block, not isolated to the specific transaction. If the
+ *   block contains multiple transactions affecting the same wallet/token balance, the result may inaccurately attribute changes from
+ *   other txs.  Use the default 'logs' method for per-transaction reconciliation.
+ * - The 'logs' method only sees movements that the token reports through standard `Transfer` events. Rebasing tokens, or tokens that
+ *   change balances silently, are not captured; use 'balanceDelta' for those.
+ * - `getTokenTransferred` handles only positive amounts (incoming transfers); returns 0 for no change or decreases.
+ * - Error handling is basic: `getTokenTransferred` returns 0 on any error (e.g., invalid txId, network issues) and logs the error.
+ * - Amounts are formatted to 7 decimal places and returned as floats; precision may be lost for very large/small values due to JS
+ *   number limits.  `getTokenTransfersInTx` also returns the exact raw integer amounts as BigInt for reconciliation.
  * - Assumes the token is ERC-20 compliant with `decimals()` and `balanceOf(address)` functions.
  */
 
 import { ethers } from 'ethers';
 
+const DEFAULT_RPC = 'https://rpc-pulsechain.g4mm4.io';
+
+const ERC20_ABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address) view returns (uint256)'
+];
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+const TRANSFER_TOPIC = erc20Interface.getEvent('Transfer').topicHash;
+
+/**
+ * Formats a raw token amount as a float rounded to 7 decimal places.
+ *
+ * @param {bigint} value - The raw integer amount.
+ * @param {number|bigint} decimals - The token's decimals.
+ * @returns {number} The amount as a float (to 7 decimal places).
+ */
+export function formatAmount(value, decimals) {
+  return parseFloat(Number(ethers.formatUnits(value, decimals)).toFixed(7));
+}
+
 /**
- * Calculates the net positive token balance change for a wallet in the block containing the given transaction.
- * This is used as a proxy for the amount "transferred" to the wallet, but see workarounds in file header for limitations.
+ * Sums the ERC-20 Transfer events of one token in a transaction receipt that move tokens to or from the wallet.
+ * Every matching event is counted, so fee-on-transfer tokens and multi-hop router trades are handled.
+ * A transfer from the wallet to itself counts as both inflow and outflow, netting to zero.
+ * ERC-721 style Transfer events (where the value is an indexed token id) are ignored.
+ *
+ * @param {ethers.TransactionReceipt} receipt - The transaction receipt containing the logs.
+ * @param {string} tokenAddress - The address of the ERC-20 token contract.
+ * @param {string} walletAddress - The wallet address to sum transfers for.
+ * @returns {{inflow: bigint, outflow: bigint, transfers: Array<{logIndex: number, from: string, to: string, value: bigint}>}}
+ *          Raw inflow and outflow totals, plus each matching transfer in log order.
+ */
+export function sumTransferLogs(receipt, tokenAddress, walletAddress) {
+  const token = tokenAddress.toLowerCase();
+  const wallet = walletAddress.toLowerCase();
+  let inflow = 0n;
+  let outflow = 0n;
+  const transfers = [];
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== token) continue;
+    if (log.topics.length !== 3 || log.topics[0] !== TRANSFER_TOPIC) continue;
+
+    const { args } = erc20Interface.parseLog(log);
+    const from = args.from.toLowerCase();
+    const to = args.to.toLowerCase();
+    if (from !== wallet && to !== wallet) continue;
+
+    if (to === wallet) inflow += args.value;
+    if (from === wallet) outflow += args.value;
+    transfers.push({ logIndex: log.index, from: args.from, to: args.to, value: args.value });
+  }
+
+  return { inflow, outflow, transfers };
+}
+
+/**
+ * Returns the exact amounts of a token sent to and from a wallet in one transaction, decoded from the
+ * ERC-20 Transfer events in the transaction receipt.  Unlike getTokenTransferred, errors are thrown
+ * rather than swallowed, so that reconciliation code can tell "no transfer" apart from "lookup failed".
+ *
+ * @param {string} txId - The transaction hash.
+ * @param {string} tokenAddress - The address of the ERC-20 token contract.
+ * @param {string} walletAddress - The wallet address to check.
+ * @param {Object} [options]
+ * @param {ethers.Provider} [options.provider] - Provider to use (default: a JsonRpcProvider on the public Pulsechain RPC).
+ * @returns {Promise<{blockNumber: number, decimals: number, inflow: number, outflow: number, net: number,
+ *          raw: {inflow: bigint, outflow: bigint, net: bigint},
+ *          transfers: Array<{logIndex: number, from: string, to: string, value: bigint}>}>}
+ *          Inflow, outflow and net (inflow - outflow) as floats (to 7 decimal places) and as raw integers.
+ * @throws {Error} If the transaction receipt is not found or an RPC call fails.
+ */
+export async function getTokenTransfersInTx(txId, tokenAddress, walletAddress, { provider } = {}) {
+  provider = provider || new ethers.JsonRpcProvider(DEFAULT_RPC);
+
+  const receipt = await provider.getTransactionReceipt(txId);
+  if (!receipt) {
+    throw new Error(`Transaction receipt not found: ${txId}`);
+  }
+
+  const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  const decimals = Number(await tokenContract.decimals());
+
+  const { inflow, outflow, transfers } = sumTransferLogs(receipt, tokenAddress, walletAddress);
+  const net = inflow - outflow;
+
+  return {
+    blockNumber: receipt.blockNumber,
+    decimals,
+    inflow: formatAmount(inflow, decimals),
+    outflow: formatAmount(outflow, decimals),
+    net: formatAmount(net, decimals),
+    raw: { inflow, outflow, net },
+    transfers
+  };
+}
+
+/**
+ * Calculates the net positive token balance change for a wallet caused by the given transaction.
+ * This is used as the amount "transferred" to the wallet.
+ *
+ * With the default 'logs' method the amount is decoded from the transaction's own Transfer events.
+ * With the 'balanceDelta' method it is the balance change across the whole block containing the
+ * transaction; see workarounds in file header for limitations.
  *
  * @param {string} txId - The transaction hash (e.g., '0xab9c6162b16c9e26149720420cb73c7d445d31b150cf448f3e91da13125b1bd8').
  * @param {string} tokenAddress - The address of the ERC-20 token contract (e.g., '0x8a7FDcA264e87b6da72D000f22186B4403081A2a').
  * @param {string} walletAddress - The wallet address to check for balance changes (e.g., '0xbCB167f16A1aA3ca3F483CC922967e9aCdEC405D').
- * @returns {Promise<number>} The positive balance delta formatted as a float (to 7 decimal places), or 0 if no positive change, transaction not found, or error.
+ * @param {Object} [options]
+ * @param {'logs'|'balanceDelta'} [options.method='logs'] - How to measure the amount.
+ * @param {ethers.Provider} [options.provider] - Provider to use (default: a JsonRpcProvider on the public Pulsechain RPC).
+ * @returns {Promise<number>} The positive net amount formatted as a float (to 7 decimal places), or 0 if no positive change, transaction not found, or error.
  */
-async function getTokenTransferred(txId, tokenAddress, walletAddress) {
-  const provider = new ethers.JsonRpcProvider('https://rpc-pulsechain.g4mm4.io');
+export async function getTokenTransferred(txId, tokenAddress, walletAddress, { method = 'logs', provider } = {}) {
+  provider = provider || new ethers.JsonRpcProvider(DEFAULT_RPC);
 
   try {
+    if (method === 'logs') {
+      const { raw, decimals } = await getTokenTransfersInTx(txId, tokenAddress, walletAddress, { provider });
+      return raw.net > 0n ? formatAmount(raw.net, decimals) : 0;
+    }
+    if (method !== 'balanceDelta') {
+      throw new Error(`Unknown method '${method}'. Use 'logs' or 'balanceDelta'.`);
+    }
+
     const receipt = await provider.getTransactionReceipt(txId);
     if (!receipt) {
       console.log('Transaction receipt not found.');
@@ -52,10 +176,7 @@ async function getTokenTransferred(txId, tokenAddress, walletAddress) {
     const blockNumber = receipt.blockNumber;
     const prevBlock = blockNumber - 1;
 
-    const tokenContract = new ethers.Contract(tokenAddress, [
-      'function decimals() view returns (uint8)',
-      'function balanceOf(address) view returns (uint256)'
-    ], provider);
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
 
     const decimals = await tokenContract.decimals();
 
@@ -67,8 +188,7 @@ async function getTokenTransferred(txId, tokenAddress, walletAddress) {
       return 0;
     }
 
-    const amount = Number(ethers.formatUnits(delta, decimals)).toFixed(7);
-    return parseFloat(amount);
+    return formatAmount(delta, decimals);
   } catch (error) {
     console.error('Error fetching data:', error);
     return 0;
@@ -76,10 +196,10 @@ async function getTokenTransferred(txId, tokenAddress, walletAddress) {
 }
 
 /**
- * A test function to demonstrate usage of getTokenTransferred with hardcoded example values.
- * Logs the result to the console.
+ * A test function to demonstrate usage of getTokenTransferred and getTokenTransfersInTx with hardcoded example values.
+ * Logs the results to the console.
  *
- * @returns {Promise<void>} Resolves after logging the test result.
+ * @returns {Promise<void>} Resolves after logging the test results.
  */
 // Test case
 async function test() {
@@ -88,6 +208,10 @@ async function test() {
   const walletAddress = '0xbCB167f16A1aA3ca3F483CC922967e9aCdEC405D';
   const result = await getTokenTransferred(txId, tokenAddress, walletAddress);
   console.log('Test result for example transaction:', result);
+  const fallback = await getTokenTransferred(txId, tokenAddress, walletAddress, { method: 'balanceDelta' });
+  console.log('Test result for example transaction (balanceDelta fallback):', fallback);
+  const { inflow, outflow, net } = await getTokenTransfersInTx(txId, tokenAddress, walletAddress);
+  console.log('Inflow / outflow / net for example transaction:', inflow, outflow, net);
 }
 
 // test(); // Uncomment to test this module.
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview
+ * Shared machine-readable output for the command-line tools in this repository (`check-token-balance/index.js`
+ * and `chart-price-ratio/pulse-token-ratio.js`), selected with `--format json|csv|ndjson`.
+ *
+ * Conventions, for every tool and format:
+ * - stdout carries only the records, in the tool's documented schema (see each tool's file header).
+ *   Log chatter (progress, pool selection, warnings) goes to stderr, so stdout can be piped into other scripts.
+ * - Every record is a flat object with a fixed set of fields in a fixed order; fields that do not apply are null.
+ * - Raw integer amounts are decimal strings, so that no precision is lost to JSON numbers.
+ *
+ * Formats:
+ * - json:   One JSON array of records.
+ * - ndjson: One JSON record per line.
+ * - csv:    A header row of field names, then one row per record (RFC 4180 quoting; null is an empty cell).
+ *
+ * formatTable, for the aligned tables of the human-readable 'text' format, is shared here too.
+ */
+
+/** Formats accepted by --format. 'text' is each tool's human-readable default. */
+export const OUTPUT_FORMATS = ['text', 'json', 'csv', 'ndjson'];
+
+/**
+ * Validates a --format value.
+ *
+ * @param {string} format - The requested format.
+ * @returns {string} The format, lowercased.
+ * @throws {Error} If the format is not one of OUTPUT_FORMATS.
+ */
+export function parseOutputFormat(format) {
+  const normalized = String(format).toLowerCase();
+  if (!OUTPUT_FORMATS.includes(normalized)) {
+    throw new Error(`Invalid format '${format}'. Supported values: ${OUTPUT_FORMATS.join(', ')}.`);
+  }
+  return normalized;
+}
+
+/**
+ * Sends console.log and console.info to stderr, keeping stdout for records only.
+ * Call this as soon as a machine-readable format has been selected.
+ */
+export function redirectLogsToStderr() {
+  console.log = console.error;
+  console.info = console.error;
+}
+
+/**
+ * Formats rows of text cells as an aligned plain-text table with a header underline.
+ * The first `leftColumns` columns are left-aligned (labels); the rest are right-aligned (numbers).
+ * 
+ * @param {Array<string>} headers - Column headers.
+ * @param {Array<Array<string>>} rows - Table rows, each with one cell per header.
+ * @param {number} leftColumns - Number of leading left-aligned columns.
+ * @returns {string} The table, newline-separated.
+ */
+export function formatTable(headers, rows, leftColumns) {
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(cells => cells[i].length)));
+  const formatRow = (cells) => cells.map((c, i) => (i < leftColumns ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join('  ');
+  return [
+    formatRow(headers),
+    widths.map(w => '-'.repeat(w)).join('  '),
+    ...rows.map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Quotes a CSV cell if it contains a comma, quote or line break.
+ *
+ * @param {*} value - The cell value; null and undefined become an empty cell.
+ * @returns {string} The CSV cell.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes records in the given machine-readable format.
+ *
+ * @param {Array<Object>} records - Flat records; BigInt values are written as decimal strings.
+ * @param {string} format - One of 'json', 'csv' or 'ndjson'.
+ * @param {Array<string>} fields - The schema's field names, in output order (used for the CSV header and column order).
+ * @returns {string} The serialized output, ending with a newline.
+ */
+export function formatRecords(records, format, fields) {
+  const ordered = records.map(r => Object.fromEntries(fields.map(f => {
+    const value = r[f] === undefined ? null : r[f];
+    return [f, typeof value === 'bigint' ? value.toString() : value];
+  })));
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(ordered, null, 2) + '\n';
+    case 'ndjson':
+      return ordered.map(r => JSON.stringify(r) + '\n').join('');
+    case 'csv':
+      return [fields.join(','), ...ordered.map(r => fields.map(f => csvCell(r[f])).join(','))].join('\n') + '\n';
+    default:
+      throw new Error(`Cannot format records as '${format}'.`);
+  }
+}
+
+/**
+ * Writes records to stdout in the given machine-readable format.
+ *
+ * @param {Array<Object>} records - Flat records.
+ * @param {string} format - One of 'json', 'csv' or 'ndjson'.
+ * @param {Array<string>} fields - The schema's field names, in output order.
+ */
+export function writeRecords(records, format, fields) {
+  process.stdout.write(formatRecords(records, format, fields));
+}
@@ -0,0 +1,20 @@
+/**
+ * @fileoverview
+ * PulseChain token constants shared by the tools in this repository (`decode-swap.js`, `check-token-balance/`
+ * and `chart-price-ratio/`).  No imports, so that any script can use them without loading the others.
+ *
+ * Addresses are lowercase; compare them with lowercased addresses.
+ */
+
+/** Identifier used for native PLS wherever a token address is expected (it has no contract). */
+export const NATIVE_TOKEN = 'Pulse_Native_Gas_Token';
+
+/** Wrapped PLS: PLS prices are quoted against it, and native PLS is wrapped into it by routers. */
+export const WPLS_ADDRESS = '0xa1077a294dde1b09bb078844df40758a5d0f9a27';
+
+/** USD stablecoins bridged from Ethereum (DAI, USDC, USDT), treated as exactly $1. */
+export const USD_STABLECOINS = [
+  '0xefd766ccb38eaf1dfd701853bfce31359239f305',
+  '0x15d38573d2feeb82e7ad5187ab8c1d52810b1f07',
+  '0x0cb6f5a34ad42ec934882a05265a7d5f59b51a2f'
+];
@@ -0,0 +1,106 @@
+/**
+ * Tests for decode-swap.js: a multi-hop route paid in native PLS, decoded from a stubbed receipt.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+
+import { decodeSwap } from '../decode-swap.js';
+import { NATIVE_TOKEN, WPLS_ADDRESS } from '../pulsechain-tokens.js';
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const ROUTER = '0x165c3410fc91ef562c50559f7d2289febed552d9';
+const V2_FACTORY = '0x29ea7545def87022badc76323f373ea1e707c523';
+const PLSX = '0x2222222222222222222222222222222222222222';
+const HEX = '0x3333333333333333333333333333333333333333';
+const PAIR_WPLS_PLSX = '0x4444444444444444444444444444444444444444';
+const PAIR_PLSX_HEX = '0x5555555555555555555555555555555555555555';
+const NOT_A_PAIR = '0x6666666666666666666666666666666666666666';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+const iface = new ethers.Interface([
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Deposit(address indexed dst, uint256 wad)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function factory() view returns (address)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+]);
+
+/** Contract address → view function → result. */
+const CONTRACTS = {
+  [PAIR_WPLS_PLSX]: { token0: PLSX, token1: WPLS_ADDRESS, factory: V2_FACTORY },
+  [PAIR_PLSX_HEX]: { token0: PLSX, token1: HEX, factory: V2_FACTORY },
+  [WPLS_ADDRESS]: { symbol: 'WPLS', decimals: 18 },
+  [PLSX]: { symbol: 'PLSX', decimals: 18 },
+  [HEX]: { symbol: 'HEX', decimals: 8 }
+};
+
+const PLS_IN = ethers.parseEther('100');
+
+let logIndex = 0;
+
+/**
+ * A receipt log.
+ * @param {string} address - Emitting contract
+ * @param {string} event
+ * @param {Array} args
+ * @returns {Object}
+ */
+function log(address, event, args) {
+  return { address, index: logIndex++, ...iface.encodeEventLog(event, args) };
+}
+
+// 100 PLS → WPLS → PLSX → HEX through the V2 router.  The first pair also pays a little PLSX back in (a refund), so
+// both of its amountIn fields are nonzero; a Swap-topic log from a contract that is not a pair is mixed in.
+const receipt = {
+  blockNumber: 123,
+  gasUsed: 150000n,
+  gasPrice: 1000n,
+  fee: 150000n * 1000n,
+  logs: [
+    log(WPLS_ADDRESS, 'Deposit', [ROUTER, PLS_IN]),
+    log(WPLS_ADDRESS, 'Transfer', [ROUTER, PAIR_WPLS_PLSX, PLS_IN]),
+    log(PLSX, 'Transfer', [PAIR_WPLS_PLSX, PAIR_PLSX_HEX, 498n]),
+    log(PAIR_WPLS_PLSX, 'Swap', [ROUTER, 2n, PLS_IN, 500n, 0n, PAIR_PLSX_HEX]),
+    log(NOT_A_PAIR, 'Swap', [ROUTER, 1n, 0n, 0n, 1n, ROUTER]),
+    log(HEX, 'Transfer', [PAIR_PLSX_HEX, WALLET, 700000000n]),
+    log(PAIR_PLSX_HEX, 'Swap', [ROUTER, 498n, 0n, 0n, 700000000n, WALLET])
+  ]
+};
+
+const provider = {
+  getTransaction: async () => ({ hash: TX_HASH, from: WALLET, to: ROUTER, value: PLS_IN }),
+  getTransactionReceipt: async () => receipt,
+  call: async (tx) => {
+    const { name } = iface.parseTransaction({ data: tx.data });
+    const contract = CONTRACTS[tx.to.toLowerCase()];
+    if (!contract || contract[name] === undefined) {
+      throw new Error('execution reverted');
+    }
+    return iface.encodeFunctionResult(name, [contract[name]]);
+  }
+};
+
+test('decodeSwap follows a multi-hop route paid in native PLS', async () => {
+  const trade = await decodeSwap(TX_HASH, WALLET, { provider });
+
+  assert.deepEqual(trade.router, { address: ethers.getAddress(ROUTER), name: 'PulseX V2 Router' });
+  assert.deepEqual(trade.sold, [{ token: NATIVE_TOKEN, symbol: 'PLS', decimals: 18, amount: 100, raw: PLS_IN }]);
+  assert.deepEqual(trade.bought, [{ token: ethers.getAddress(HEX), symbol: 'HEX', decimals: 8, amount: 7, raw: 700000000n }]);
+  assert.deepEqual(trade.price, { boughtPerSold: 0.07, soldPerBought: 100 / 7 });
+  assert.equal(trade.gas.raw, 150000000n);
+});
+
+test('decodeSwap reads each hop\'s direction from net flows and skips non-pair Swap logs', async () => {
+  const { swaps, pairs } = await decodeSwap(TX_HASH, WALLET, { provider });
+
+  assert.deepEqual(swaps.map(s => [s.pair.toLowerCase(), s.protocol, s.tokenIn.toLowerCase(), s.tokenOut.toLowerCase(), s.amountIn, s.amountOut]), [
+    [PAIR_WPLS_PLSX, 'PulseX V2', WPLS_ADDRESS, PLSX, PLS_IN, 498n],
+    [PAIR_PLSX_HEX, 'PulseX V2', PLSX, HEX, 498n, 700000000n]
+  ]);
+  assert.deepEqual(pairs.map(p => p.address.toLowerCase()), [PAIR_WPLS_PLSX, PAIR_PLSX_HEX]);
+});